@@ -0,0 +1,194 @@
+const express = require('express');
+const axios = require('axios');
+const { body, query } = require('express-validator');
+const validation = require('../middleware/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Notifications are stored and delivered by the backend service (see backend/src/routes/notifications.js);
+// these routes forward to it with the caller's bearer token, which the backend authenticates.
+const backend = axios.create({
+  baseURL: `${process.env.BACKEND_URL || 'http://localhost:8000'}/api/notifications`,
+  timeout: 10000
+});
+
+const forward = (method, path) => async (req, res) => {
+  try {
+    const response = await backend.request({
+      method,
+      url: path,
+      params: req.query,
+      data: method === 'get' ? undefined : req.body,
+      headers: { Authorization: req.header('Authorization') || '' },
+      validateStatus: () => true
+    });
+
+    res.status(response.status).json(response.data);
+  } catch (error) {
+    logger.error(`Error forwarding ${method.toUpperCase()} /api/notifications${path}:`, error);
+    res.status(502).json({ error: 'Notification service unavailable' });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [PROPOSAL_RECEIVED, PROPOSAL_ACCEPTED, MESSAGE_RECEIVED, MILESTONE_UPDATED, DISPUTE_UPDATED, SAVED_SEARCH_MATCH, PROPOSAL_UPDATED, PROPOSAL_REJECTED, PROJECT_STATUS_CHANGED, REVIEW_RECEIVED, REFERRAL_REWARD]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: Ids to link to (projectId, proposalId, messageId, milestoneId, disputeId, transitionId, reviewId, referralRewardId)
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of notifications and the cursor of the next one
+ */
+router.get('/',
+  [
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('unread').optional().isBoolean()
+  ],
+  validation.handleValidationErrors,
+  forward('get', '/')
+);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ */
+router.get('/unread-count', forward('get', '/unread-count'));
+
+/**
+ * @swagger
+ * /api/notifications/read:
+ *   patch:
+ *     summary: Mark notifications as read (all of them when ids is omitted)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked read
+ */
+router.patch('/read',
+  [
+    body('ids').optional().isArray({ min: 1, max: 200 }),
+    body('ids.*').isString()
+  ],
+  validation.handleValidationErrors,
+  forward('patch', '/read')
+);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get per-type channel preferences, digest frequency and webhook settings
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences with defaults filled in
+ *   put:
+ *     summary: Update notification preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: object
+ *                 description: Per notification type, e.g. { "MESSAGE_RECEIVED": { "email": true } }
+ *               digest:
+ *                 type: string
+ *                 enum: [NONE, HOURLY, DAILY]
+ *               webhookUrl:
+ *                 type: string
+ *                 nullable: true
+ *               webhookSecret:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ */
+router.get('/preferences', forward('get', '/preferences'));
+
+router.put('/preferences',
+  [
+    body('channels').optional().isObject(),
+    body('digest').optional().isIn(['NONE', 'HOURLY', 'DAILY']),
+    body('webhookUrl').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_tld: false }),
+    body('webhookSecret').optional({ nullable: true }).isString().isLength({ min: 16, max: 200 })
+  ],
+  validation.handleValidationErrors,
+  forward('put', '/preferences')
+);
+
+module.exports = router;
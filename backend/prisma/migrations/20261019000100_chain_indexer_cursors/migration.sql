@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "reputation_events" ADD COLUMN     "chainLogId" TEXT;
+
+-- CreateTable
+CREATE TABLE "chain_cursors" (
+    "id" TEXT NOT NULL,
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" TEXT NOT NULL,
+    "lastBlock" INTEGER NOT NULL,
+    "lastBlockHash" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "chain_cursors_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "chain_logs" (
+    "id" TEXT NOT NULL,
+    "cursorId" TEXT NOT NULL,
+    "blockNumber" INTEGER NOT NULL,
+    "blockHash" TEXT NOT NULL,
+    "txHash" TEXT NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "eventName" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "chain_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "chain_logs_cursorId_blockNumber_idx" ON "chain_logs"("cursorId", "blockNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "chain_logs_txHash_logIndex_key" ON "chain_logs"("txHash", "logIndex");
+
+-- AddForeignKey
+ALTER TABLE "reputation_events" ADD CONSTRAINT "reputation_events_chainLogId_fkey" FOREIGN KEY ("chainLogId") REFERENCES "chain_logs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "chain_logs" ADD CONSTRAINT "chain_logs_cursorId_fkey" FOREIGN KEY ("cursorId") REFERENCES "chain_cursors"("id") ON DELETE CASCADE ON UPDATE CASCADE;
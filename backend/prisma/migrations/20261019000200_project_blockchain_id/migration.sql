@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN     "blockchainId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "projects_contractAddress_blockchainId_key" ON "projects"("contractAddress", "blockchainId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "user_reputation" ADD COLUMN     "onChainBreakdown" JSONB;
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "fraud_assessments" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "penalty" INTEGER NOT NULL,
+    "signals" JSONB NOT NULL,
+    "triggeredRules" JSONB NOT NULL,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fraud_assessments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "fraud_assessments_userId_createdAt_idx" ON "fraud_assessments"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "fraud_assessments" ADD CONSTRAINT "fraud_assessments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
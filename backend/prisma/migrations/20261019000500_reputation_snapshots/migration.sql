@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "user_reputation" ADD COLUMN     "eventsScore" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "reputation_snapshots" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "score" INTEGER NOT NULL,
+    "ratingScore" INTEGER NOT NULL,
+    "onChainScore" INTEGER NOT NULL,
+    "eventsScore" INTEGER NOT NULL,
+    "fraudPenalty" INTEGER NOT NULL,
+    "explanations" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reputation_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "reputation_snapshots_userId_createdAt_idx" ON "reputation_snapshots"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "reputation_snapshots" ADD CONSTRAINT "reputation_snapshots_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "UserRole" AS ENUM ('USER', 'ADMIN', 'SYSTEM');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "role" "UserRole" NOT NULL DEFAULT 'USER';
+
+-- AlterTable
+ALTER TABLE "user_reputation" ADD COLUMN     "profile" TEXT;
+
+-- AlterTable
+ALTER TABLE "reputation_snapshots" ADD COLUMN     "profile" TEXT;
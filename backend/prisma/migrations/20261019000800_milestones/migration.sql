@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "MilestoneStatus" AS ENUM ('PENDING', 'SUBMITTED', 'APPROVED', 'REJECTED', 'PAID');
+
+-- CreateTable
+CREATE TABLE "milestones" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "order" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "dueDate" TIMESTAMP(3),
+    "status" "MilestoneStatus" NOT NULL DEFAULT 'PENDING',
+    "submissionNote" TEXT,
+    "feedback" TEXT,
+    "submittedAt" TIMESTAMP(3),
+    "approvedAt" TIMESTAMP(3),
+    "paidAt" TIMESTAMP(3),
+    "paymentTxHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "milestones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "milestones_projectId_order_key" ON "milestones"("projectId", "order");
+
+-- AddForeignKey
+ALTER TABLE "milestones" ADD CONSTRAINT "milestones_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
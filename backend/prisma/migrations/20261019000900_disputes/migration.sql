@@ -0,0 +1,83 @@
+-- CreateEnum
+CREATE TYPE "DisputeStatus" AS ENUM ('OPEN', 'ANALYZED', 'ESCALATED', 'RESOLVED', 'WITHDRAWN');
+
+-- CreateEnum
+CREATE TYPE "DisputeOutcome" AS ENUM ('CLIENT', 'FREELANCER', 'SPLIT');
+
+-- CreateTable
+CREATE TABLE "disputes" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "openedById" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" "DisputeStatus" NOT NULL DEFAULT 'OPEN',
+    "previousProjectStatus" "ProjectStatus" NOT NULL,
+    "responseDeadline" TIMESTAMP(3) NOT NULL,
+    "evidenceDeadline" TIMESTAMP(3) NOT NULL,
+    "daoDisputeId" TEXT,
+    "escalationTxHash" TEXT,
+    "escalatedAt" TIMESTAMP(3),
+    "outcome" "DisputeOutcome",
+    "resolutionNote" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "disputes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "dispute_evidence" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "submittedById" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "files" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dispute_evidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "dispute_analyses" (
+    "id" TEXT NOT NULL,
+    "disputeId" TEXT NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION NOT NULL,
+    "decision" JSONB NOT NULL,
+    "model" TEXT NOT NULL,
+    "modelVersion" TEXT NOT NULL,
+    "usedLLM" BOOLEAN NOT NULL DEFAULT false,
+    "requestedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dispute_analyses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "disputes_projectId_status_idx" ON "disputes"("projectId", "status");
+
+-- CreateIndex
+CREATE INDEX "disputes_daoDisputeId_idx" ON "disputes"("daoDisputeId");
+
+-- CreateIndex
+CREATE INDEX "dispute_evidence_disputeId_createdAt_idx" ON "dispute_evidence"("disputeId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "dispute_analyses_disputeId_createdAt_idx" ON "dispute_analyses"("disputeId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "disputes" ADD CONSTRAINT "disputes_openedById_fkey" FOREIGN KEY ("openedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dispute_evidence" ADD CONSTRAINT "dispute_evidence_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "disputes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dispute_evidence" ADD CONSTRAINT "dispute_evidence_submittedById_fkey" FOREIGN KEY ("submittedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dispute_analyses" ADD CONSTRAINT "dispute_analyses_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "disputes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
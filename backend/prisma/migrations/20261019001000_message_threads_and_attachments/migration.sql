@@ -0,0 +1,74 @@
+-- CreateEnum
+CREATE TYPE "MessageRevisionAction" AS ENUM ('EDIT', 'DELETE');
+
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "deletedAt" TIMESTAMP(3),
+ADD COLUMN     "editedAt" TIMESTAMP(3),
+ADD COLUMN     "parentId" TEXT;
+
+-- CreateTable
+CREATE TABLE "message_attachments" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "uploaderId" TEXT NOT NULL,
+    "messageId" TEXT,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_attachments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "message_read_receipts" (
+    "messageId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "readAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_read_receipts_pkey" PRIMARY KEY ("messageId","userId")
+);
+
+-- CreateTable
+CREATE TABLE "message_revisions" (
+    "id" TEXT NOT NULL,
+    "messageId" TEXT NOT NULL,
+    "editorId" TEXT NOT NULL,
+    "action" "MessageRevisionAction" NOT NULL,
+    "previousContent" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "message_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "message_attachments_projectId_sha256_idx" ON "message_attachments"("projectId", "sha256");
+
+-- CreateIndex
+CREATE INDEX "message_revisions_messageId_createdAt_idx" ON "message_revisions"("messageId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "messages_projectId_parentId_createdAt_idx" ON "messages"("projectId", "parentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_attachments" ADD CONSTRAINT "message_attachments_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_attachments" ADD CONSTRAINT "message_attachments_uploaderId_fkey" FOREIGN KEY ("uploaderId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_read_receipts" ADD CONSTRAINT "message_read_receipts_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_read_receipts" ADD CONSTRAINT "message_read_receipts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_revisions" ADD CONSTRAINT "message_revisions_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "messages"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "message_revisions" ADD CONSTRAINT "message_revisions_editorId_fkey" FOREIGN KEY ("editorId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
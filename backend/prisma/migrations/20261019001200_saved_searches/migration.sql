@@ -0,0 +1,29 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'SAVED_SEARCH_MATCH';
+
+-- CreateTable
+CREATE TABLE "saved_searches" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "filters" JSONB NOT NULL,
+    "sort" TEXT,
+    "alertsEnabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastAlertedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "saved_searches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "saved_searches_alertsEnabled_idx" ON "saved_searches"("alertsEnabled");
+
+-- CreateIndex
+CREATE INDEX "projects_status_createdAt_idx" ON "projects"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "projects_skills_idx" ON "projects" USING GIN ("skills");
+
+-- AddForeignKey
+ALTER TABLE "saved_searches" ADD CONSTRAINT "saved_searches_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "ProposalRevisionSource" AS ENUM ('EDIT', 'COUNTER_OFFER', 'RESUBMIT');
+
+-- CreateEnum
+CREATE TYPE "CounterOfferStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'SUPERSEDED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'PROPOSAL_UPDATED';
+ALTER TYPE "NotificationType" ADD VALUE 'PROPOSAL_REJECTED';
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "ProposalStatus" ADD VALUE 'WITHDRAWN';
+ALTER TYPE "ProposalStatus" ADD VALUE 'EXPIRED';
+
+-- AlterTable
+ALTER TABLE "proposals" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "shortlistedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "proposal_revisions" (
+    "id" TEXT NOT NULL,
+    "proposalId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "bidAmount" DOUBLE PRECISION NOT NULL,
+    "description" TEXT NOT NULL,
+    "deliveryTime" INTEGER NOT NULL,
+    "source" "ProposalRevisionSource" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "proposal_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "proposal_counter_offers" (
+    "id" TEXT NOT NULL,
+    "proposalId" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "bidAmount" DOUBLE PRECISION,
+    "deliveryTime" INTEGER,
+    "message" TEXT,
+    "status" "CounterOfferStatus" NOT NULL DEFAULT 'PENDING',
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "proposal_counter_offers_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "proposal_revisions_proposalId_revision_key" ON "proposal_revisions"("proposalId", "revision");
+
+-- CreateIndex
+CREATE INDEX "proposal_counter_offers_proposalId_status_idx" ON "proposal_counter_offers"("proposalId", "status");
+
+-- AddForeignKey
+ALTER TABLE "proposal_revisions" ADD CONSTRAINT "proposal_revisions_proposalId_fkey" FOREIGN KEY ("proposalId") REFERENCES "proposals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "proposal_counter_offers" ADD CONSTRAINT "proposal_counter_offers_proposalId_fkey" FOREIGN KEY ("proposalId") REFERENCES "proposals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "proposal_counter_offers" ADD CONSTRAINT "proposal_counter_offers_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "TransitionActor" AS ENUM ('CLIENT', 'FREELANCER', 'ADMIN', 'SYSTEM');
+
+-- AlterEnum
+ALTER TYPE "ProjectStatus" ADD VALUE 'SUBMITTED';
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'PROJECT_STATUS_CHANGED';
+
+-- CreateTable
+CREATE TABLE "project_transitions" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "fromStatus" "ProjectStatus" NOT NULL,
+    "toStatus" "ProjectStatus" NOT NULL,
+    "actorId" TEXT,
+    "actorRole" "TransitionActor" NOT NULL,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "project_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "project_transitions_projectId_createdAt_idx" ON "project_transitions"("projectId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "project_transitions" ADD CONSTRAINT "project_transitions_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "project_transitions" ADD CONSTRAINT "project_transitions_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateEnum
+CREATE TYPE "ReviewRole" AS ENUM ('CLIENT', 'FREELANCER');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'REVIEW_RECEIVED';
+
+-- AlterTable
+-- authorRole and updatedAt are added nullable so existing reviews can be backfilled first
+ALTER TABLE "reviews" ADD COLUMN     "authorRole" "ReviewRole",
+ADD COLUMN     "categories" JSONB,
+ADD COLUMN     "respondedAt" TIMESTAMP(3),
+ADD COLUMN     "response" TEXT,
+ADD COLUMN     "revealAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "title" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3);
+
+-- Backfill: the project's client wrote a CLIENT review, anyone else the FREELANCER one.
+-- Existing reviews were visible already, so they are revealed as of their creation.
+UPDATE "reviews" r
+SET "authorRole" = CASE WHEN p."clientId" = r."authorId" THEN 'CLIENT'::"ReviewRole" ELSE 'FREELANCER'::"ReviewRole" END,
+    "revealAt" = r."createdAt",
+    "updatedAt" = r."createdAt"
+FROM "projects" p
+WHERE p."id" = r."projectId";
+
+-- AlterTable
+ALTER TABLE "reviews" ALTER COLUMN "authorRole" SET NOT NULL,
+ALTER COLUMN "updatedAt" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "reviews_targetId_revealAt_idx" ON "reviews"("targetId", "revealAt");
@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "RatingModeration" AS ENUM ('NONE', 'FLAGGED', 'APPROVED', 'REMOVED');
+
+-- AlterTable
+ALTER TABLE "ratings" ADD COLUMN     "flagReasons" TEXT[],
+ADD COLUMN     "moderatedAt" TIMESTAMP(3),
+ADD COLUMN     "moderatedById" TEXT,
+ADD COLUMN     "moderation" "RatingModeration" NOT NULL DEFAULT 'NONE',
+ADD COLUMN     "voidReason" TEXT,
+ADD COLUMN     "voidedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "ratings_moderation_idx" ON "ratings"("moderation");
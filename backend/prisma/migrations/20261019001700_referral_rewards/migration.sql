@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "ReferralBeneficiary" AS ENUM ('REFERRER', 'REFEREE');
+
+-- CreateEnum
+CREATE TYPE "ReferralRewardStatus" AS ENUM ('PENDING', 'QUALIFIED', 'PAID', 'CLAWED_BACK');
+
+-- CreateEnum
+CREATE TYPE "ReferralPayoutMethod" AS ENUM ('ONCHAIN', 'PLATFORM');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'REFERRAL_REWARD';
+
+-- AlterTable
+ALTER TABLE "referrals" ADD COLUMN     "onchainRegisteredAt" TIMESTAMP(3),
+ADD COLUMN     "registrationAskedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "referral_rewards" (
+    "id" TEXT NOT NULL,
+    "referralId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "beneficiary" "ReferralBeneficiary" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "status" "ReferralRewardStatus" NOT NULL DEFAULT 'PENDING',
+    "qualifyingProjectId" TEXT,
+    "qualifiedAt" TIMESTAMP(3),
+    "payoutMethod" "ReferralPayoutMethod",
+    "paidAmount" DOUBLE PRECISION,
+    "paidAt" TIMESTAMP(3),
+    "chainTxHash" TEXT,
+    "chainLogIndex" INTEGER,
+    "onchainOnly" BOOLEAN NOT NULL DEFAULT false,
+    "clawedBackAt" TIMESTAMP(3),
+    "clawbackReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "referral_rewards_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "referral_rewards_referralId_beneficiary_idx" ON "referral_rewards"("referralId", "beneficiary");
+
+-- CreateIndex
+CREATE INDEX "referral_rewards_status_beneficiary_idx" ON "referral_rewards"("status", "beneficiary");
+
+-- CreateIndex
+CREATE INDEX "referral_rewards_userId_idx" ON "referral_rewards"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referral_rewards_chainTxHash_chainLogIndex_key" ON "referral_rewards"("chainTxHash", "chainLogIndex");
+
+-- AddForeignKey
+ALTER TABLE "referral_rewards" ADD CONSTRAINT "referral_rewards_referralId_fkey" FOREIGN KEY ("referralId") REFERENCES "referrals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_rewards" ADD CONSTRAINT "referral_rewards_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "ReferralTimeframe" AS ENUM ('WEEK', 'MONTH', 'ALL');
+
+-- AlterTable
+ALTER TABLE "referrals" ADD COLUMN     "qualifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "referral_leaderboard" (
+    "timeframe" "ReferralTimeframe" NOT NULL,
+    "userId" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "referrals" INTEGER NOT NULL,
+    "previousRank" INTEGER,
+    "previousReferrals" INTEGER NOT NULL DEFAULT 0,
+    "computedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "referral_leaderboard_pkey" PRIMARY KEY ("timeframe","userId")
+);
+
+-- CreateIndex
+CREATE INDEX "referral_leaderboard_timeframe_rank_idx" ON "referral_leaderboard"("timeframe", "rank");
+
+-- CreateIndex
+CREATE INDEX "referrals_qualifiedAt_idx" ON "referrals"("qualifiedAt");
+
+-- AddForeignKey
+ALTER TABLE "referral_leaderboard" ADD CONSTRAINT "referral_leaderboard_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,81 @@
+-- AlterEnum
+ALTER TYPE "ReferralBeneficiary" ADD VALUE 'SECOND_LEVEL';
+
+-- AlterTable
+ALTER TABLE "referral_codes" ADD COLUMN     "campaignId" TEXT;
+
+-- AlterTable
+ALTER TABLE "referrals" ADD COLUMN     "campaignId" TEXT,
+ADD COLUMN     "clickId" TEXT;
+
+-- CreateTable
+CREATE TABLE "referral_campaigns" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "targetRole" "ReferralRole",
+    "maxUses" INTEGER,
+    "rewardSchedule" JSONB NOT NULL,
+    "secondLevelShare" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "referral_campaigns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "referral_clicks" (
+    "id" TEXT NOT NULL,
+    "codeId" TEXT NOT NULL,
+    "campaignId" TEXT,
+    "utmSource" TEXT,
+    "utmMedium" TEXT,
+    "utmCampaign" TEXT,
+    "utmTerm" TEXT,
+    "utmContent" TEXT,
+    "landingPage" TEXT,
+    "referrerUrl" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "referral_clicks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "referral_clicks_codeId_idx" ON "referral_clicks"("codeId");
+
+-- CreateIndex
+CREATE INDEX "referral_clicks_campaignId_createdAt_idx" ON "referral_clicks"("campaignId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "referral_codes_ownerId_campaignId_idx" ON "referral_codes"("ownerId", "campaignId");
+
+-- CreateIndex
+CREATE INDEX "referral_codes_campaignId_idx" ON "referral_codes"("campaignId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "referrals_clickId_key" ON "referrals"("clickId");
+
+-- CreateIndex
+CREATE INDEX "referrals_campaignId_referrerId_idx" ON "referrals"("campaignId", "referrerId");
+
+-- AddForeignKey
+ALTER TABLE "referral_codes" ADD CONSTRAINT "referral_codes_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "referral_campaigns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_campaigns" ADD CONSTRAINT "referral_campaigns_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_clicks" ADD CONSTRAINT "referral_clicks_codeId_fkey" FOREIGN KEY ("codeId") REFERENCES "referral_codes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referral_clicks" ADD CONSTRAINT "referral_clicks_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "referral_campaigns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "referral_campaigns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "referrals" ADD CONSTRAINT "referrals_clickId_fkey" FOREIGN KEY ("clickId") REFERENCES "referral_clicks"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,14 @@
+-- CreateEnum
+CREATE TYPE "FreelancerAvailability" AS ENUM ('AVAILABLE', 'PART_TIME', 'UNAVAILABLE');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "availability" "FreelancerAvailability" NOT NULL DEFAULT 'AVAILABLE';
+
+-- CreateIndex
+CREATE INDEX "projects_freelancerId_status_idx" ON "projects"("freelancerId", "status");
+
+-- CreateIndex
+CREATE INDEX "project_transitions_actorId_createdAt_idx" ON "project_transitions"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "proposals_freelancerId_createdAt_idx" ON "proposals"("freelancerId", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "chain_logs" ADD COLUMN     "projectId" TEXT;
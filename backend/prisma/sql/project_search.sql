@@ -0,0 +1,6 @@
+-- Full-text index for project search (src/services/projectSearch.js).
+-- Prisma cannot declare expression indexes, so this is applied separately: npm run db:search-index
+-- The expression must match DOCUMENT in projectSearch.js exactly.
+CREATE INDEX IF NOT EXISTS "projects_search_idx" ON "projects" USING GIN (
+  (setweight(to_tsvector('english', "title"), 'A') || setweight(to_tsvector('english', "description"), 'B'))
+);
@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+
+// Human-readable ABI fragments for the contracts the backend reads from or indexes.
+// Kept to the subset actually used; full ABIs live in contracts/artifacts.
+
+const MARKETPLACE_ABI = [
+  "function createProject(string memory _title, string memory _description, uint256 _deadline, string[] memory _skills) external payable",
+  "function submitProposal(uint256 _projectId, uint256 _bidAmount, string memory _description, uint256 _deliveryTime) external",
+  "function acceptProposal(uint256 _proposalId) external",
+  "function completeProject(uint256 _projectId) external",
+  "function getProject(uint256 _projectId) external view returns (tuple(uint256 id, address client, string title, string description, uint256 budget, uint256 deadline, uint8 status, address assignedFreelancer, uint256 createdAt, string[] skills))",
+  "event ProjectCreated(uint256 indexed projectId, address indexed client, string title, uint256 budget)",
+  "event ProposalSubmitted(uint256 indexed proposalId, uint256 indexed projectId, address indexed freelancer, uint256 bidAmount)",
+  "event ProposalAccepted(uint256 indexed proposalId, uint256 indexed projectId, address indexed freelancer)",
+  "event ProjectCompleted(uint256 indexed projectId, address indexed freelancer, uint256 amount)"
+];
+
+const ESCROW_ABI = [
+  "function dao() view returns (address)",
+  "function getUserRating(address user) view returns (uint256)",
+  "function userReputations(address user) view returns (uint256 totalRating, uint256 ratingCount, uint256 completedProjects, uint256 totalEarned, bool isVerified, uint256 stakeAmount)",
+  "function getProject(uint256 projectId) view returns (tuple(uint256 id, address client, address freelancer, string title, string description, uint256 totalAmount, uint256 deadline, uint8 status, uint256 createdAt, uint256 lastActivity, string[] skills, tuple(string description, uint256 amount, uint256 deadline, bool completed, bool approved)[] milestones, uint256 disputeId, bool hasMilestones))",
+  "event ProjectCreated(uint256 indexed projectId, address indexed client, string title, uint256 amount, bool hasMilestones)",
+  "event ProposalAccepted(uint256 indexed projectId, address indexed freelancer, uint256 amount)",
+  "event MilestoneCompleted(uint256 indexed projectId, uint256 milestoneIndex, uint256 amount)",
+  "event ProjectCompleted(uint256 indexed projectId, address indexed freelancer, uint256 totalAmount)",
+  "event DisputeRaised(uint256 indexed projectId, address indexed initiator, uint256 disputeId)",
+  "event UserRated(uint256 indexed projectId, address indexed rater, address indexed target, uint256 rating)",
+  "event StakeDeposited(address indexed user, uint256 amount)",
+  "event StakeWithdrawn(address indexed user, uint256 amount)"
+];
+
+const DAO_ABI = [
+  "function getDispute(uint256 disputeId) view returns (tuple(uint256 projectId, address client, address freelancer, uint256 amount, string reason, uint256 createdAt, bool resolved, address winner, uint256 votingDeadline))",
+  "event DisputeResolved(uint256 indexed disputeId, address indexed winner, uint256 clientVotes, uint256 freelancerVotes)",
+  "function propose(address[] targets, uint256[] values, bytes[] calldatas, string description) returns (uint256)"
+];
+
+// SkillToken (ERC20) transfers used in settlement proposals
+const TOKEN_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)"
+];
+
+const STAKING_ABI = [
+  "function stakes(address user) view returns (uint256 amount, uint256 stakedAt, uint256 lastRewardClaim, uint256 lockPeriod, bool isLocked)"
+];
+
+const NFT_ABI = [
+  "function getUserNFTs(address user) view returns (uint256[])",
+  "function getNFTMetadata(uint256 tokenId) view returns (tuple(uint256 id, uint8 nftType, uint8 rarity, string title, string description, uint256 projectId, address recipient, uint256 mintedAt, uint256 value, string[] attributes, bool isTransferable))"
+];
+
+// SkillFiRewards: the referee registers their referrer; the escrow's completion hook mints the
+// referrer's reward and emits ReferralReward
+const REWARDS_ABI = [
+  "function registerReferral(address referrer)",
+  "function userRewards(address user) view returns (uint256 totalEarned, uint256 referralRewards, uint256 loyaltyPoints, uint8 tier, uint256 streak, uint256 lastActivityTime, address referrer, uint256 referralCount)",
+  "event ReferralReward(address indexed referrer, address indexed referee, uint256 amount)"
+];
+
+// Contract wallets (Safe etc.) validate signatures themselves
+const EIP1271_ABI = [
+  "function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"
+];
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+// SkillFiNFT.NFTType.Skill
+const NFT_TYPE_SKILL = 2;
+
+// SkillFiEscrow.ProjectStatus (uint8) -> Prisma ProjectStatus
+const ESCROW_STATUS = ['OPEN', 'IN_PROGRESS', 'SUBMITTED', 'COMPLETED', 'DISPUTED', 'CANCELLED'];
+
+// SKILL amounts are stored as Float; wei from their shortest decimal digits, since String() and
+// toString() switch to exponent form (1e21, 1e-7) that parseEther rejects
+function toWei(amount) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) throw new Error(`Invalid token amount: ${amount}`);
+  return ethers.parseEther(value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 }));
+}
+
+module.exports = {
+  MARKETPLACE_ABI,
+  ESCROW_ABI,
+  DAO_ABI,
+  TOKEN_ABI,
+  STAKING_ABI,
+  NFT_ABI,
+  REWARDS_ABI,
+  EIP1271_ABI,
+  EIP1271_MAGIC_VALUE,
+  NFT_TYPE_SKILL,
+  ESCROW_STATUS,
+  toWei,
+};
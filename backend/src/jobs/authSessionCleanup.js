@@ -0,0 +1,25 @@
+const authSessions = require('../services/authSessions');
+
+let timer = null;
+
+// Periodically delete long-ended auth sessions and their rotated refresh tokens
+module.exports = {
+  run() {
+    return authSessions.prune();
+  },
+
+  start({ intervalMs = 24 * 60 * 60 * 1000 } = {}) {
+    if (timer) return;
+    const tick = () => module.exports.run()
+      .then(({ pruned }) => pruned && console.log(`[authSessionCleanup] ${pruned} sessions pruned`))
+      .catch(e => console.error('[authSessionCleanup] pass failed', e));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
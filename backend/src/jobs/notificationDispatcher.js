@@ -0,0 +1,36 @@
+const notificationService = require('../services/notificationService');
+
+let running = null;
+let timer = null;
+
+// One pass: retry failed email/webhook deliveries that are due, then send due digests
+async function dispatch() {
+  const retries = await notificationService.processDue();
+  const digests = await notificationService.sendDigests();
+  return { retries, digests };
+}
+
+module.exports = {
+  dispatch,
+
+  // Single-flight so a slow pass never overlaps the next tick
+  run() {
+    if (!running) {
+      running = dispatch().finally(() => { running = null; });
+    }
+    return running;
+  },
+
+  start({ intervalMs = 60000 } = {}) {
+    if (timer) return;
+    timer = setInterval(() => {
+      module.exports.run().catch(e => console.error('[notificationDispatcher] pass failed', e));
+    }, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
@@ -0,0 +1,25 @@
+const proposalService = require('../services/proposalService');
+
+let timer = null;
+
+// Periodically expire pending proposals on open projects whose deadline has passed
+module.exports = {
+  run() {
+    return proposalService.expireDue();
+  },
+
+  start({ intervalMs = 60 * 60 * 1000 } = {}) {
+    if (timer) return;
+    const tick = () => module.exports.run()
+      .then(({ expired }) => expired && console.log(`[proposalExpiry] ${expired} proposals expired`))
+      .catch(e => console.error('[proposalExpiry] pass failed', e));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
@@ -0,0 +1,27 @@
+const referralLeaderboard = require('../services/referralLeaderboard');
+
+let timer = null;
+let running = null;
+
+// Periodically rebuild the materialized week, month and all-time referral leaderboards
+module.exports = {
+  run() {
+    if (running) return running;
+    running = referralLeaderboard.refreshAll().finally(() => { running = null; });
+    return running;
+  },
+
+  start({ intervalMs = 10 * 60 * 1000 } = {}) {
+    if (timer) return;
+    const tick = () => module.exports.run()
+      .catch(e => console.error('[referralLeaderboard] refresh failed', e));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
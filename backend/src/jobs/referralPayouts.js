@@ -0,0 +1,39 @@
+const referralRewards = require('../services/referralRewards');
+
+let timer = null;
+let running = null;
+
+// Periodically settle the referral reward ledger: undo on-chain payouts lost to a reorg, credit
+// qualified rewards to platform balances (referral payouts are platform credits, see
+// referralRewards) and send referees their on-chain registration transaction
+module.exports = {
+  run() {
+    if (running) return running;
+    running = (async () => {
+      const reverted = await referralRewards.revertOrphaned();
+      const credited = await referralRewards.creditQualified();
+      const requested = await referralRewards.requestRegistrations();
+      return { reverted, credited, requested };
+    })().finally(() => { running = null; });
+    return running;
+  },
+
+  start({ intervalMs = 15 * 60 * 1000 } = {}) {
+    if (timer) return;
+    const tick = () => module.exports.run()
+      .then(({ reverted, credited, requested }) => {
+        if (reverted || credited || requested) {
+          console.log(`[referralPayouts] ${credited} credited, ${requested} registrations requested, ${reverted} reverted`);
+        }
+      })
+      .catch(e => console.error('[referralPayouts] pass failed', e));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
@@ -0,0 +1,73 @@
+const { PrismaClient } = require('@prisma/client');
+const reputationService = require('../services/reputationService');
+const profiles = require('../services/reputationProfiles');
+
+const prisma = new PrismaClient();
+
+let running = null;
+
+// Scores computed with another profile, or with overrides ("<profile>+override")
+const staleWhere = (active) => ({ OR: [{ profile: null }, { profile: { not: active } }] });
+
+// Re-score every stored reputation that was not computed with the active profile.
+// Pages by userId so a failing user does not stall the run.
+async function rescoreStale({ batchSize = 100 } = {}) {
+  const active = profiles.active().id;
+  let processed = 0;
+  let failed = 0;
+  let lastUserId = null;
+
+  for (;;) {
+    const batch = await prisma.userReputation.findMany({
+      where: {
+        ...staleWhere(active),
+        ...(lastUserId ? { userId: { gt: lastUserId } } : {})
+      },
+      select: { userId: true },
+      orderBy: { userId: 'asc' },
+      take: batchSize
+    });
+    if (batch.length === 0) break;
+
+    for (const { userId } of batch) {
+      try {
+        await reputationService.recomputeUser(userId);
+        processed++;
+      } catch (e) {
+        failed++;
+        console.error('[reputationRescore] failed for', userId, e);
+      }
+    }
+    lastUserId = batch[batch.length - 1].userId;
+  }
+
+  console.log(`[reputationRescore] profile ${active}: ${processed} re-scored, ${failed} failed`);
+  return { profile: active, processed, failed };
+}
+
+module.exports = {
+  rescoreStale,
+
+  // Single-flight wrapper so startup and the admin endpoint never run two passes at once
+  run(options) {
+    if (!running) {
+      running = rescoreStale(options).finally(() => { running = null; });
+    }
+    return running;
+  },
+
+  // Start a pass only when some score is stale, i.e. the active profile changed since the last
+  // one; resolves to null when there is nothing to do
+  async runIfStale(options) {
+    if (running) return running;
+    const stale = await prisma.userReputation.findFirst({
+      where: staleWhere(profiles.active().id),
+      select: { userId: true }
+    });
+    return stale ? module.exports.run(options) : null;
+  },
+
+  isRunning() {
+    return Boolean(running);
+  },
+};
@@ -0,0 +1,75 @@
+const { PrismaClient } = require('@prisma/client');
+const projectSearch = require('../services/projectSearch');
+const notificationEvents = require('../services/notificationEvents');
+
+const prisma = new PrismaClient();
+
+let running = null;
+let timer = null;
+
+// Notify owners of saved searches about open projects created since their last alert.
+// The window ends at the start of the pass so projects created meanwhile go to the next one.
+async function sendAlerts({ batchSize = 100 } = {}) {
+  const until = new Date();
+  let alerted = 0;
+  let failed = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await prisma.savedSearch.findMany({
+      where: { alertsEnabled: true, ...(lastId ? { id: { gt: lastId } } : {}) },
+      orderBy: { id: 'asc' },
+      take: batchSize
+    });
+    if (batch.length === 0) break;
+
+    for (const saved of batch) {
+      try {
+        const { projects, total } = await projectSearch.search({
+          ...projectSearch.parseFilters(saved.filters),
+          status: 'OPEN',
+          createdAfter: saved.lastAlertedAt || saved.createdAt,
+          createdBefore: until,
+          excludeClientId: saved.userId
+        }, { sort: 'newest', limit: 5, withFacets: false });
+
+        if (total > 0) {
+          notificationEvents.savedSearchMatched(saved, projects, total);
+          alerted++;
+        }
+        await prisma.savedSearch.update({ where: { id: saved.id }, data: { lastAlertedAt: until } });
+      } catch (e) {
+        failed++;
+        console.error('[savedSearchAlerts] failed for', saved.id, e);
+      }
+    }
+    lastId = batch[batch.length - 1].id;
+  }
+
+  return { alerted, failed };
+}
+
+module.exports = {
+  sendAlerts,
+
+  // Single-flight so a slow pass never overlaps the next tick
+  run(options) {
+    if (!running) {
+      running = sendAlerts(options).finally(() => { running = null; });
+    }
+    return running;
+  },
+
+  start({ intervalMs = 15 * 60 * 1000 } = {}) {
+    if (timer) return;
+    timer = setInterval(() => {
+      module.exports.run().catch(e => console.error('[savedSearchAlerts] pass failed', e));
+    }, intervalMs);
+    timer.unref();
+  },
+
+  stop() {
+    clearInterval(timer);
+    timer = null;
+  },
+};
@@ -1,28 +1,39 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const authSessions = require('../services/authSessions');
 
 const prisma = new PrismaClient();
 
+// Resolve an access token to its user (with the session id as `sessionId`); throws if the token
+// is invalid, returns null if its session was revoked or the user is gone.
+// Shared by the HTTP middleware and the Socket.IO handshake.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid || !await authSessions.isActive(decoded.sid, decoded.userId)) return null;
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      walletAddress: true,
+      isVerified: true,
+      role: true
+    }
+  });
+  return user && { ...user, sessionId: decoded.sid };
+};
+
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        username: true,
-        walletAddress: true,
-        isVerified: true
-      }
-    });
+    const user = await authenticateToken(token);
 
     if (!user) {
       return res.status(401).json({ error: 'Invalid token.' });
@@ -36,4 +47,6 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+auth.authenticateToken = authenticateToken;
+
+module.exports = auth;
@@ -0,0 +1,13 @@
+// Role guard; use after `auth` so req.user is populated.
+const PRIVILEGED_ROLES = ['ADMIN', 'SYSTEM'];
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Insufficient permissions.' });
+  }
+  next();
+};
+
+const isPrivileged = (user) => Boolean(user && PRIVILEGED_ROLES.includes(user.role));
+
+module.exports = { requireRole, isPrivileged, PRIVILEGED_ROLES };
@@ -0,0 +1,23 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+function cursorId(chainId, contractAddress) {
+  return `${chainId}:${contractAddress.toLowerCase()}`;
+}
+
+module.exports = {
+  cursorId,
+
+  async get(chainId, contractAddress) {
+    return prisma.chainCursor.findUnique({ where: { id: cursorId(chainId, contractAddress) } });
+  },
+
+  async save(chainId, contractAddress, { lastBlock, lastBlockHash = null }) {
+    const id = cursorId(chainId, contractAddress);
+    return prisma.chainCursor.upsert({
+      where: { id },
+      update: { lastBlock, lastBlockHash },
+      create: { id, chainId, contractAddress: contractAddress.toLowerCase(), lastBlock, lastBlockHash },
+    });
+  },
+};
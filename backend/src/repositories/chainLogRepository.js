@@ -0,0 +1,69 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+module.exports = {
+  async isProcessed({ txHash, logIndex }) {
+    const existing = await prisma.chainLog.findUnique({
+      where: { txHash_logIndex: { txHash, logIndex } }
+    });
+    return Boolean(existing);
+  },
+
+  // Persist a processed log together with the reputation events it produced, atomically.
+  // Returns null if another worker already recorded the same (txHash, logIndex).
+  async record({ cursorId, blockNumber, blockHash, txHash, logIndex, eventName, projectId = null, events = [] }) {
+    try {
+      return await prisma.chainLog.create({
+        data: {
+          cursorId,
+          blockNumber,
+          blockHash,
+          txHash,
+          logIndex,
+          eventName,
+          projectId,
+          reputationEvents: {
+            create: events.map(({ userId, type, weight = 0, delta = 0, metadata }) => ({
+              userId, type, weight, delta, metadata
+            }))
+          }
+        },
+        include: { reputationEvents: true }
+      });
+    } catch (e) {
+      if (e.code === 'P2002') return null;
+      throw e;
+    }
+  },
+
+  // Distinct (blockNumber, blockHash) pairs recorded at or after fromBlock
+  async listBlocksFrom(cursorId, fromBlock) {
+    return prisma.chainLog.findMany({
+      where: { cursorId, blockNumber: { gte: fromBlock } },
+      distinct: ['blockNumber', 'blockHash'],
+      select: { blockNumber: true, blockHash: true },
+      orderBy: { blockNumber: 'asc' }
+    });
+  },
+
+  // Logs recorded at or after fromBlock, oldest first
+  async listFromBlock(cursorId, fromBlock) {
+    return prisma.chainLog.findMany({
+      where: { cursorId, blockNumber: { gte: fromBlock } },
+      select: { blockNumber: true, txHash: true, logIndex: true, eventName: true, projectId: true },
+      orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }]
+    });
+  },
+
+  // Drop logs from orphaned blocks; their reputation events cascade. Returns the affected user ids.
+  async deleteFromBlock(cursorId, fromBlock) {
+    const where = { cursorId, blockNumber: { gte: fromBlock } };
+    const affected = await prisma.reputationEvent.findMany({
+      where: { chainLog: where },
+      distinct: ['userId'],
+      select: { userId: true }
+    });
+    await prisma.chainLog.deleteMany({ where });
+    return affected.map(e => e.userId);
+  },
+};
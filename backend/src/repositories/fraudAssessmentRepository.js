@@ -0,0 +1,18 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+module.exports = {
+  async create({ userId, penalty, signals, triggeredRules, details }) {
+    return prisma.fraudAssessment.create({
+      data: { userId, penalty, signals, triggeredRules, details }
+    });
+  },
+
+  async listByUser(userId, { limit = 20 } = {}) {
+    return prisma.fraudAssessment.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  },
+};
@@ -2,15 +2,24 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
 module.exports = {
-  async create({ fromUserId, toUserId, projectId, score, comment }) {
+  async create({ fromUserId, toUserId, projectId, score, comment, moderation = 'NONE', flagReasons = [] }) {
     return prisma.rating.create({
-      data: { fromUserId, toUserId, projectId, score, comment }
+      data: { fromUserId, toUserId, projectId, score, comment, moderation, flagReasons }
     });
   },
 
+  async findById(id) {
+    return prisma.rating.findUnique({ where: { id } });
+  },
+
+  async update(id, data) {
+    return prisma.rating.update({ where: { id }, data });
+  },
+
+  // Voided ratings do not count
   async getUserAverageScore(userId) {
     const agg = await prisma.rating.aggregate({
-      where: { toUserId: userId },
+      where: { toUserId: userId, voidedAt: null },
       _avg: { score: true },
       _count: { _all: true }
     });
@@ -23,4 +32,18 @@ module.exports = {
     });
     return Boolean(existing);
   },
+
+  async listFlagged({ limit = 50, cursor = null } = {}) {
+    return prisma.rating.findMany({
+      where: { moderation: 'FLAGGED', voidedAt: null },
+      include: {
+        fromUser: { select: { id: true, username: true } },
+        toUser: { select: { id: true, username: true } }
+      },
+      orderBy: { createdAt: 'asc' },
+      take: limit,
+      skip: cursor ? 1 : 0,
+      cursor: cursor ? { id: cursor } : undefined,
+    });
+  },
 };
@@ -0,0 +1,30 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+module.exports = {
+  async create({ userId, score, ratingScore, onChainScore, eventsScore, fraudPenalty, profile, explanations }) {
+    return prisma.reputationSnapshot.create({
+      data: { userId, score, ratingScore, onChainScore, eventsScore, fraudPenalty, profile, explanations }
+    });
+  },
+
+  async latest(userId) {
+    return prisma.reputationSnapshot.findFirst({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  // Chronological snapshots inside an optional [from, to] range, most recent `limit` kept
+  async listByUser(userId, { from = null, to = null, limit = 100 } = {}) {
+    const createdAt = {};
+    if (from) createdAt.gte = from;
+    if (to) createdAt.lte = to;
+    const rows = await prisma.reputationSnapshot.findMany({
+      where: { userId, ...(from || to ? { createdAt } : {}) },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+    return rows.reverse();
+  },
+};
@@ -1,9 +1,11 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const authSessions = require('../services/authSessions');
+const walletLinks = require('../services/walletLinks');
+const sockets = require('../sockets');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -67,16 +69,12 @@ router.post('/register',
         }
       });
 
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Sign the new user in on this device
+      const tokens = await authSessions.open(user.id, req);
 
       res.status(201).json({
         message: 'User registered successfully',
-        token,
+        ...tokens,
         user
       });
     } catch (error) {
@@ -116,19 +114,15 @@ router.post('/login',
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // Generate JWT
-      const token = jwt.sign(
-        { userId: user.id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // Open a session for this device
+      const tokens = await authSessions.open(user.id, req);
 
       // Remove password from response
       const { password: _, ...userWithoutPassword } = user;
 
       res.json({
         message: 'Login successful',
-        token,
+        ...tokens,
         user: userWithoutPassword
       });
     } catch (error) {
@@ -138,11 +132,37 @@ router.post('/login',
   }
 );
 
-// Connect wallet
-router.post('/connect-wallet',
+// Exchange a refresh token for a new access token and a new refresh token. Each refresh token
+// works once; reusing one revokes its session.
+router.post('/refresh',
+  [
+    body('refreshToken').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await authSessions.refresh(req.body.refreshToken, req);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ error: 'Failed to refresh token' });
+    }
+  }
+);
+
+// Log out: ends the current session, or every session with allDevices
+router.post('/logout',
   auth,
   [
-    body('walletAddress').matches(/^0x[a-fA-F0-9]{40}$/)
+    body('allDevices').optional().isBoolean()
   ],
   async (req, res) => {
     try {
@@ -151,21 +171,126 @@ router.post('/connect-wallet',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { walletAddress } = req.body;
+      const allDevices = req.body.allDevices === true || req.body.allDevices === 'true';
+      const revoked = allDevices
+        ? await authSessions.revokeAll(req.user.id, { reason: 'LOGOUT' })
+        : Number(await authSessions.revoke(req.user.sessionId, 'LOGOUT'));
+      await sockets.disconnectSessions(req.io, req.user.id, allDevices ? {} : { sessionId: req.user.sessionId });
 
-      // Check if wallet is already connected to another user
-      const existingWallet = await prisma.user.findUnique({
-        where: { walletAddress }
-      });
+      res.json({ message: 'Logged out', revoked });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: 'Failed to log out' });
+    }
+  }
+);
 
-      if (existingWallet && existingWallet.id !== req.user.id) {
-        return res.status(400).json({ error: 'Wallet already connected to another account' });
+// Active sessions (signed-in devices) of the current user
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    res.json({ sessions: await authSessions.list(req.user.id, req.user.sessionId) });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out every other device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await authSessions.revokeAll(req.user.id, { except: req.user.sessionId });
+    await sockets.disconnectSessions(req.io, req.user.id, { except: req.user.sessionId });
+    res.json({ message: 'Other sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id',
+  auth,
+  [
+    param('id').isString().notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sessions = await authSessions.list(req.user.id, req.user.sessionId);
+      if (!sessions.some(s => s.id === req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      await authSessions.revoke(req.params.id, req.params.id === req.user.sessionId ? 'LOGOUT' : 'REVOKED');
+      await sockets.disconnectSessions(req.io, req.user.id, { sessionId: req.params.id });
+      res.json({ message: 'Session revoked', id: req.params.id });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  }
+);
+
+const isAddress = (field) => field.matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid wallet address');
+
+// Start linking a wallet: returns a Sign-In with Ethereum message for the wallet to sign
+router.post('/wallet/challenge',
+  auth,
+  [
+    isAddress(body('walletAddress')),
+    body('chainId').optional().isInt({ min: 1 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      // Update user with wallet address
-      const updatedUser = await prisma.user.update({
+      const result = await walletLinks.challenge(req.user.id, req.body.walletAddress, req.body.chainId);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Wallet challenge error:', error);
+      res.status(500).json({ error: 'Failed to create wallet challenge' });
+    }
+  }
+);
+
+// Connect wallet: verify the signed challenge and link the wallet. The first linked wallet, or
+// one sent with primary: true, becomes the primary wallet.
+router.post('/connect-wallet',
+  auth,
+  [
+    body('message').isString().isLength({ min: 1, max: 2000 }),
+    body('signature').matches(/^0x[a-fA-F0-9]+$/).withMessage('Invalid signature'),
+    body('primary').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await walletLinks.link(req.user.id, {
+        message: req.body.message,
+        signature: req.body.signature,
+        primary: req.body.primary === true || req.body.primary === 'true'
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      const user = await prisma.user.findUnique({
         where: { id: req.user.id },
-        data: { walletAddress },
         select: {
           id: true,
           email: true,
@@ -177,7 +302,8 @@ router.post('/connect-wallet',
 
       res.json({
         message: 'Wallet connected successfully',
-        user: updatedUser
+        wallet: result.wallet,
+        user
       });
     } catch (error) {
       console.error('Wallet connection error:', error);
@@ -186,6 +312,66 @@ router.post('/connect-wallet',
   }
 );
 
+// Linked wallets, primary first
+router.get('/wallets', auth, async (req, res) => {
+  try {
+    res.json({ wallets: await walletLinks.list(req.user.id) });
+  } catch (error) {
+    console.error('List wallets error:', error);
+    res.status(500).json({ error: 'Failed to fetch wallets' });
+  }
+});
+
+router.put('/wallets/:address/primary',
+  auth,
+  [
+    isAddress(param('address'))
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await walletLinks.makePrimary(req.user.id, req.params.address);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Set primary wallet error:', error);
+      res.status(500).json({ error: 'Failed to set primary wallet' });
+    }
+  }
+);
+
+router.delete('/wallets/:address',
+  auth,
+  [
+    isAddress(param('address'))
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await walletLinks.unlink(req.user.id, req.params.address);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({ message: 'Wallet disconnected', ...result });
+    } catch (error) {
+      console.error('Disconnect wallet error:', error);
+      res.status(500).json({ error: 'Failed to disconnect wallet' });
+    }
+  }
+);
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
@@ -208,7 +394,11 @@ router.get('/me', auth, async (req, res) => {
         reputation: true,
         totalEarned: true,
         userType: true,
-        createdAt: true
+        createdAt: true,
+        wallets: {
+          select: { address: true, isPrimary: true, isContract: true, chainId: true, verifiedAt: true },
+          orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+        }
       }
     });
 
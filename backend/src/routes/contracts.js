@@ -1,35 +1,77 @@
 const express = require('express');
 const { ethers } = require('ethers');
 const { PrismaClient } = require('@prisma/client');
+const { body, param, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const proposalService = require('../services/proposalService');
+const projectStateMachine = require('../services/projectStateMachine');
+const walletLinks = require('../services/walletLinks');
+const { MARKETPLACE_ABI, toWei } = require('../config/contracts');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Contract ABI (simplified for demo)
-const MARKETPLACE_ABI = [
-  "function createProject(string memory _title, string memory _description, uint256 _deadline, string[] memory _skills) external payable",
-  "function submitProposal(uint256 _projectId, uint256 _bidAmount, string memory _description, uint256 _deliveryTime) external",
-  "function acceptProposal(uint256 _proposalId) external",
-  "function completeProject(uint256 _projectId) external",
-  "function getProject(uint256 _projectId) external view returns (tuple(uint256 id, address client, string title, string description, uint256 budget, uint256 deadline, uint8 status, address assignedFreelancer, uint256 createdAt, string[] skills))",
-  "event ProjectCreated(uint256 indexed projectId, address indexed client, string title, uint256 budget)",
-  "event ProposalAccepted(uint256 indexed proposalId, uint256 indexed projectId, address indexed freelancer)"
-];
+// The server never signs: write endpoints return unsigned transactions for the user's wallet,
+// and /tx/:hash/confirm checks the mined receipt before the database is updated.
 
 const MARKETPLACE_ADDRESS = process.env.MARKETPLACE_CONTRACT_ADDRESS;
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS || '1');
+
+const marketplaceInterface = new ethers.Interface(MARKETPLACE_ABI);
 
 // Initialize provider
 const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://localhost:8545');
 
-// Create project on blockchain
-router.post('/create-project', auth, async (req, res) => {
+// Encode a marketplace call for `from` to sign; gas is estimated but estimation failures are reported, not fatal
+async function buildTransaction(from, method, args, value = 0n) {
+  const data = marketplaceInterface.encodeFunctionData(method, args);
+  const { chainId } = await provider.getNetwork();
+  const tx = { from, to: MARKETPLACE_ADDRESS, data, value };
+
+  let gasEstimate = null;
+  let estimateError;
   try {
-    const { projectId, privateKey } = req.body;
+    gasEstimate = (await provider.estimateGas(tx)).toString();
+  } catch (e) {
+    estimateError = e.shortMessage || e.message;
+  }
 
-    if (!privateKey) {
-      return res.status(400).json({ error: 'Private key required for blockchain transaction' });
+  return {
+    from,
+    to: MARKETPLACE_ADDRESS,
+    data,
+    value: value.toString(), // wei
+    chainId: Number(chainId),
+    gasEstimate,
+    ...(estimateError ? { estimateError } : {})
+  };
+}
+
+// The caller's primary verified wallet, or null once the error response is sent
+async function requireWallet(req, res) {
+  if (!MARKETPLACE_ADDRESS) {
+    res.status(503).json({ error: 'Marketplace contract is not configured' });
+    return null;
+  }
+  const wallet = await walletLinks.primaryWallet(req.user.id);
+  if (!wallet) {
+    res.status(400).json({ error: 'Link and verify a wallet before sending blockchain transactions' });
+    return null;
+  }
+  return wallet;
+}
+
+// Build create-project transaction (budget is escrowed by the contract)
+router.post('/create-project', auth, [body('projectId').isString()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+    const from = await requireWallet(req, res);
+    if (!from) return;
+
+    const { projectId } = req.body;
 
     // Get project from database
     const project = await prisma.project.findUnique({
@@ -44,72 +86,39 @@ router.post('/create-project', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Create wallet and contract instance
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(MARKETPLACE_ADDRESS, MARKETPLACE_ABI, wallet);
-
-    // Convert budget to wei
-    const budgetWei = ethers.parseEther(project.budget.toString());
-
-    // Create project on blockchain
-    const tx = await contract.createProject(
-      project.title,
-      project.description,
-      Math.floor(project.deadline?.getTime() / 1000) || Math.floor(Date.now() / 1000) + 86400,
-      project.skills,
-      { value: budgetWei }
-    );
-
-    const receipt = await tx.wait();
-
-    // Extract project ID from event logs
-    const projectCreatedEvent = receipt.logs.find(log => {
-      try {
-        const parsed = contract.interface.parseLog(log);
-        return parsed.name === 'ProjectCreated';
-      } catch {
-        return false;
-      }
-    });
-
-    let blockchainProjectId = null;
-    if (projectCreatedEvent) {
-      const parsed = contract.interface.parseLog(projectCreatedEvent);
-      blockchainProjectId = parsed.args.projectId.toString();
+    if (project.blockchainId) {
+      return res.status(400).json({ error: 'Project is already on-chain' });
     }
 
-    // Update project with contract address and blockchain ID
-    await prisma.project.update({
-      where: { id: projectId },
-      data: {
-        contractAddress: MARKETPLACE_ADDRESS,
-        // You might want to add a blockchainId field to store the on-chain project ID
-      }
-    });
+    const deadline = Math.floor(project.deadline?.getTime() / 1000) || Math.floor(Date.now() / 1000) + 86400;
+    const transaction = await buildTransaction(
+      from,
+      'createProject',
+      [project.title, project.description, deadline, project.skills],
+      toWei(project.budget)
+    );
 
-    res.json({
-      success: true,
-      transactionHash: tx.hash,
-      blockchainProjectId,
-      gasUsed: receipt.gasUsed.toString()
-    });
+    res.json({ action: 'create-project', projectId, transaction });
   } catch (error) {
     console.error('Blockchain project creation error:', error);
-    res.status(500).json({ 
-      error: 'Failed to create project on blockchain',
+    res.status(500).json({
+      error: 'Failed to build project transaction',
       details: error.message
     });
   }
 });
 
-// Submit proposal on blockchain
-router.post('/submit-proposal', auth, async (req, res) => {
+// Build submit-proposal transaction
+router.post('/submit-proposal', auth, [body('proposalId').isString()], async (req, res) => {
   try {
-    const { proposalId, privateKey } = req.body;
-
-    if (!privateKey) {
-      return res.status(400).json({ error: 'Private key required for blockchain transaction' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+    const from = await requireWallet(req, res);
+    if (!from) return;
+
+    const { proposalId } = req.body;
 
     // Get proposal from database
     const proposal = await prisma.proposal.findUnique({
@@ -125,44 +134,38 @@ router.post('/submit-proposal', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Create wallet and contract instance
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(MARKETPLACE_ADDRESS, MARKETPLACE_ABI, wallet);
+    if (!proposal.project.blockchainId) {
+      return res.status(400).json({ error: 'Project is not on-chain yet' });
+    }
 
-    // Submit proposal on blockchain
-    const bidAmountWei = ethers.parseEther(proposal.bidAmount.toString());
-    
-    const tx = await contract.submitProposal(
-      1, // This should be the blockchain project ID
-      bidAmountWei,
+    const transaction = await buildTransaction(from, 'submitProposal', [
+      proposal.project.blockchainId,
+      toWei(proposal.bidAmount),
       proposal.description,
       proposal.deliveryTime
-    );
+    ]);
 
-    const receipt = await tx.wait();
-
-    res.json({
-      success: true,
-      transactionHash: tx.hash,
-      gasUsed: receipt.gasUsed.toString()
-    });
+    res.json({ action: 'submit-proposal', proposalId, transaction });
   } catch (error) {
     console.error('Blockchain proposal submission error:', error);
-    res.status(500).json({ 
-      error: 'Failed to submit proposal on blockchain',
+    res.status(500).json({
+      error: 'Failed to build proposal transaction',
       details: error.message
     });
   }
 });
 
-// Accept proposal on blockchain
-router.post('/accept-proposal', auth, async (req, res) => {
+// Build accept-proposal transaction
+router.post('/accept-proposal', auth, [body('proposalId').isString()], async (req, res) => {
   try {
-    const { proposalId, privateKey } = req.body;
-
-    if (!privateKey) {
-      return res.status(400).json({ error: 'Private key required for blockchain transaction' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+    const from = await requireWallet(req, res);
+    if (!from) return;
+
+    const { proposalId } = req.body;
 
     // Get proposal from database
     const proposal = await prisma.proposal.findUnique({
@@ -178,37 +181,33 @@ router.post('/accept-proposal', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Create wallet and contract instance
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(MARKETPLACE_ADDRESS, MARKETPLACE_ABI, wallet);
-
-    // Accept proposal on blockchain
-    const tx = await contract.acceptProposal(1); // This should be the blockchain proposal ID
+    if (!proposal.blockchainId) {
+      return res.status(400).json({ error: 'Proposal is not on-chain yet' });
+    }
 
-    const receipt = await tx.wait();
+    const transaction = await buildTransaction(from, 'acceptProposal', [proposal.blockchainId]);
 
-    res.json({
-      success: true,
-      transactionHash: tx.hash,
-      gasUsed: receipt.gasUsed.toString()
-    });
+    res.json({ action: 'accept-proposal', proposalId, transaction });
   } catch (error) {
     console.error('Blockchain proposal acceptance error:', error);
-    res.status(500).json({ 
-      error: 'Failed to accept proposal on blockchain',
+    res.status(500).json({
+      error: 'Failed to build acceptance transaction',
       details: error.message
     });
   }
 });
 
-// Complete project and release payment
-router.post('/complete-project', auth, async (req, res) => {
+// Build complete-project transaction (releases payment)
+router.post('/complete-project', auth, [body('projectId').isString()], async (req, res) => {
   try {
-    const { projectId, privateKey } = req.body;
-
-    if (!privateKey) {
-      return res.status(400).json({ error: 'Private key required for blockchain transaction' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
+    const from = await requireWallet(req, res);
+    if (!from) return;
+
+    const { projectId } = req.body;
 
     // Get project from database
     const project = await prisma.project.findUnique({
@@ -223,42 +222,202 @@ router.post('/complete-project', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    // Create wallet and contract instance
-    const wallet = new ethers.Wallet(privateKey, provider);
-    const contract = new ethers.Contract(MARKETPLACE_ADDRESS, MARKETPLACE_ABI, wallet);
-
-    // Complete project on blockchain
-    const tx = await contract.completeProject(1); // This should be the blockchain project ID
+    if (!project.blockchainId) {
+      return res.status(400).json({ error: 'Project is not on-chain yet' });
+    }
 
-    const receipt = await tx.wait();
+    const transaction = await buildTransaction(from, 'completeProject', [project.blockchainId]);
 
-    // Update project status in database
-    await prisma.project.update({
-      where: { id: projectId },
-      data: { status: 'COMPLETED' }
-    });
-
-    res.json({
-      success: true,
-      transactionHash: tx.hash,
-      gasUsed: receipt.gasUsed.toString()
-    });
+    res.json({ action: 'complete-project', projectId, transaction });
   } catch (error) {
     console.error('Blockchain project completion error:', error);
-    res.status(500).json({ 
-      error: 'Failed to complete project on blockchain',
+    res.status(500).json({
+      error: 'Failed to build completion transaction',
       details: error.message
     });
   }
 });
 
+// Decode the first log of `eventName` emitted by the marketplace in a receipt
+function findEvent(receipt, eventName) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== MARKETPLACE_ADDRESS.toLowerCase()) continue;
+    try {
+      const parsed = marketplaceInterface.parseLog(log);
+      if (parsed?.name === eventName) return parsed;
+    } catch {
+      // not a marketplace event
+    }
+  }
+  return null;
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Confirm a signed transaction: checks the receipt, signer and decoded event, then updates the database
+router.post('/tx/:hash/confirm',
+  auth,
+  [
+    param('hash').matches(/^0x[a-fA-F0-9]{64}$/),
+    body('action').isIn(['create-project', 'submit-proposal', 'accept-proposal', 'complete-project']),
+    body('projectId').optional().isString(),
+    body('proposalId').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const wallet = await requireWallet(req, res);
+      if (!wallet) return;
+
+      const { hash } = req.params;
+      const { action, projectId, proposalId } = req.body;
+
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (!receipt) {
+        return res.status(202).json({ status: 'pending', transactionHash: hash });
+      }
+
+      const confirmations = await receipt.confirmations();
+      if (confirmations < REQUIRED_CONFIRMATIONS) {
+        return res.status(202).json({ status: 'pending', transactionHash: hash, confirmations, required: REQUIRED_CONFIRMATIONS });
+      }
+
+      if (receipt.status !== 1) {
+        return res.status(400).json({ error: 'Transaction reverted', transactionHash: hash });
+      }
+      if (!sameAddress(receipt.to, MARKETPLACE_ADDRESS)) {
+        return res.status(400).json({ error: 'Transaction was not sent to the marketplace contract' });
+      }
+      if (!sameAddress(receipt.from, wallet)) {
+        return res.status(403).json({ error: 'Transaction was not signed by your connected wallet' });
+      }
+
+      const txInfo = { transactionHash: hash, blockNumber: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+
+      if (action === 'create-project' || action === 'complete-project') {
+        const project = projectId && await prisma.project.findUnique({ where: { id: projectId } });
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        if (project.clientId !== req.user.id) {
+          return res.status(403).json({ error: 'Not authorized' });
+        }
+
+        if (action === 'create-project') {
+          const event = findEvent(receipt, 'ProjectCreated');
+          if (!event || !sameAddress(event.args.client, wallet) || event.args.title !== project.title) {
+            return res.status(400).json({ error: 'Transaction did not create this project' });
+          }
+
+          const blockchainProjectId = event.args.projectId.toString();
+          if (project.blockchainId && project.blockchainId !== blockchainProjectId) {
+            return res.status(409).json({ error: 'Project is already linked to another on-chain project', blockchainProjectId: project.blockchainId });
+          }
+
+          // Only link a project that is unlinked (or already linked to this id), so two confirms
+          // of different transactions cannot overwrite each other
+          const { count } = await prisma.project.updateMany({
+            where: { id: projectId, OR: [{ blockchainId: null }, { blockchainId: blockchainProjectId }] },
+            data: { contractAddress: MARKETPLACE_ADDRESS, blockchainId: blockchainProjectId }
+          });
+          if (count === 0) {
+            return res.status(409).json({ error: 'Project is already linked to another on-chain project' });
+          }
+          const updated = await prisma.project.findUnique({ where: { id: projectId } });
+          return res.json({ success: true, ...txInfo, blockchainProjectId, project: updated });
+        }
+
+        const event = findEvent(receipt, 'ProjectCompleted');
+        if (!event || event.args.projectId.toString() !== project.blockchainId) {
+          return res.status(400).json({ error: 'Transaction did not complete this project' });
+        }
+
+        // The contract has completed the project; mirror it even if the platform flow was skipped
+        if (project.status === 'COMPLETED') {
+          return res.json({ success: true, ...txInfo, project });
+        }
+        const result = await projectStateMachine.transition(project, 'COMPLETED', {
+          actor: { id: req.user.id, role: 'CLIENT' },
+          reason: `Completed on-chain in ${hash}`,
+          force: true
+        });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        return res.json({ success: true, ...txInfo, project: result.project });
+      }
+
+      const proposal = proposalId && await prisma.proposal.findUnique({
+        where: { id: proposalId },
+        include: { project: true }
+      });
+      if (!proposal) {
+        return res.status(404).json({ error: 'Proposal not found' });
+      }
+
+      if (action === 'submit-proposal') {
+        if (proposal.freelancerId !== req.user.id) {
+          return res.status(403).json({ error: 'Not authorized' });
+        }
+        const event = findEvent(receipt, 'ProposalSubmitted');
+        if (!event || event.args.projectId.toString() !== proposal.project.blockchainId || !sameAddress(event.args.freelancer, wallet)) {
+          return res.status(400).json({ error: 'Transaction did not submit this proposal' });
+        }
+
+        const blockchainProposalId = event.args.proposalId.toString();
+        const updated = await prisma.proposal.update({
+          where: { id: proposalId },
+          data: { blockchainId: blockchainProposalId }
+        });
+        return res.json({ success: true, ...txInfo, blockchainProposalId, proposal: updated });
+      }
+
+      // accept-proposal
+      if (proposal.project.clientId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+      const event = findEvent(receipt, 'ProposalAccepted');
+      if (!event || event.args.proposalId.toString() !== proposal.blockchainId) {
+        return res.status(400).json({ error: 'Transaction did not accept this proposal' });
+      }
+
+      // The escrow listener may already have mirrored the acceptance; anything else that moved
+      // the project on (e.g. another proposal awarded off-chain) conflicts with the contract
+      const { project } = proposal;
+      const assigned = project.status === 'IN_PROGRESS' && project.freelancerId === proposal.freelancerId;
+      if (assigned && proposal.status === 'ACCEPTED') {
+        return res.json({ success: true, ...txInfo, proposal });
+      }
+      if (!assigned && project.freelancerId && project.freelancerId !== proposal.freelancerId) {
+        return res.status(409).json({ error: 'Another freelancer is already assigned to this project' });
+      }
+      if (!assigned && project.status !== 'OPEN') {
+        return res.status(409).json({ error: `Project is ${project.status} and cannot accept this proposal` });
+      }
+
+      // Mirror the contract: accept this proposal, assign the freelancer and reject the rest
+      const { accepted: updated } = await proposalService.award(proposal, project);
+      res.json({ success: true, ...txInfo, proposal: updated });
+    } catch (error) {
+      console.error('Blockchain transaction confirmation error:', error);
+      res.status(500).json({
+        error: 'Failed to confirm transaction',
+        details: error.message
+      });
+    }
+  }
+);
+
 // Get blockchain project data
 router.get('/project/:blockchainId', async (req, res) => {
   try {
     const { blockchainId } = req.params;
 
     const contract = new ethers.Contract(MARKETPLACE_ADDRESS, MARKETPLACE_ABI, provider);
-    
+
     const projectData = await contract.getProject(blockchainId);
 
     res.json({
@@ -275,11 +434,11 @@ router.get('/project/:blockchainId', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching blockchain project:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to fetch project from blockchain',
       details: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,110 @@
 const express = require('express');
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { requireRole, isPrivileged } = require('../middleware/requireRole');
 const { analyzeDispute } = require('../services/disputeResolverService');
+const disputeService = require('../services/disputeService');
+const disputeSettlement = require('../services/disputeSettlement');
+const notificationEvents = require('../services/notificationEvents');
+const walletLinks = require('../services/walletLinks');
+const decisionSchema = require('../services/disputeDecisionSchema');
+const { ESCROW_ABI } = require('../config/contracts');
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// Analyze a dispute for a project
+const escrowInterface = new ethers.Interface(ESCROW_ABI);
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://localhost:8545');
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS || '1');
+
+const isParticipant = (project, userId) => project.clientId === userId || project.freelancerId === userId;
+
+// Load a dispute with its project; responds and returns null if missing or not visible to the user
+async function loadDispute(req, res) {
+  const dispute = await prisma.dispute.findUnique({
+    where: { id: req.params.id },
+    include: { project: true }
+  });
+
+  if (!dispute) {
+    res.status(404).json({ error: 'Dispute not found' });
+    return null;
+  }
+
+  if (!isParticipant(dispute.project, req.user.id) && !isPrivileged(req.user)) {
+    res.status(403).json({ error: 'Not authorized to access this dispute' });
+    return null;
+  }
+
+  return dispute;
+}
+
+function withDeadlines(dispute) {
+  const now = new Date();
+  const respondentId = dispute.openedById === dispute.project.clientId
+    ? dispute.project.freelancerId
+    : dispute.project.clientId;
+  const responded = (dispute.evidence || []).some(e => e.submittedById === respondentId);
+
+  return {
+    ...dispute,
+    respondentId,
+    responseOverdue: !responded && dispute.status !== 'RESOLVED' && dispute.status !== 'WITHDRAWN' && now > dispute.responseDeadline,
+    evidenceOpen: disputeService.ACTIVE_STATUSES.includes(dispute.status) && now <= dispute.evidenceDeadline
+  };
+}
+
+// Open a dispute on a project (moves the project to DISPUTED)
+router.post('/',
+  auth,
+  [
+    body('projectId').isString().withMessage('projectId is required'),
+    body('reason').trim().isLength({ min: 10, max: 2000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = await prisma.project.findUnique({ where: { id: req.body.projectId } });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      if (!isParticipant(project, req.user.id)) {
+        return res.status(403).json({ error: 'Only project participants can open a dispute' });
+      }
+
+      if (!disputeService.DISPUTABLE_PROJECT_STATUSES.includes(project.status)) {
+        return res.status(400).json({ error: 'Only projects in progress or submitted for review can be disputed' });
+      }
+
+      if (await disputeService.activeDisputeFor(project.id)) {
+        return res.status(409).json({ error: 'Project already has an active dispute' });
+      }
+
+      const dispute = await disputeService.open({
+        project,
+        openedById: req.user.id,
+        reason: req.body.reason
+      });
+
+      req.io.to(`project-${project.id}`).emit('dispute-updated', dispute);
+      notificationEvents.disputeUpdated(dispute, project, 'opened', req.user.id);
+
+      res.status(201).json(dispute);
+    } catch (error) {
+      console.error('[Disputes] open error:', error);
+      res.status(500).json({ error: 'Failed to open dispute' });
+    }
+  }
+);
+
+// Analyze a dispute for a project without persisting the result
 router.post('/analyze',
   auth,
   [ body('projectId').isString().withMessage('projectId is required') ],
@@ -16,13 +115,456 @@ router.post('/analyze',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { projectId } = req.body;
-      const result = await analyzeDispute(projectId);
+      const project = await prisma.project.findUnique({ where: { id: req.body.projectId } });
+      if (!project) {
+        return res.status(404).json({ success: false, error: 'Project not found' });
+      }
+
+      // The analysis reads the project's messages and evidence, and costs an LLM call
+      if (!isParticipant(project, req.user.id) && !isPrivileged(req.user)) {
+        return res.status(403).json({ success: false, error: 'Not authorized to analyze this project' });
+      }
+
+      const result = await analyzeDispute(project.id);
 
       res.json({ success: true, ...result });
     } catch (error) {
       console.error('[Disputes] analyze error:', error);
-      res.status(500).json({ success: false, error: error.message || 'Failed to analyze dispute' });
+      res.status(500).json({ success: false, error: 'Failed to analyze dispute' });
+    }
+  }
+);
+
+// Disputes for a project, newest first
+router.get('/project/:projectId', auth, async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({ where: { id: req.params.projectId } });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (!isParticipant(project, req.user.id) && !isPrivileged(req.user)) {
+      return res.status(403).json({ error: 'Not authorized to access disputes for this project' });
+    }
+
+    const disputes = await prisma.dispute.findMany({
+      where: { projectId: project.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('[Disputes] list error:', error);
+    res.status(500).json({ error: 'Failed to fetch disputes' });
+  }
+});
+
+// Dispute details with evidence and the latest analysis
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    const [evidence, latestAnalysis] = await Promise.all([
+      prisma.disputeEvidence.findMany({
+        where: { disputeId: dispute.id },
+        orderBy: { createdAt: 'asc' },
+        include: { submittedBy: { select: { id: true, username: true, avatar: true } } }
+      }),
+      prisma.disputeAnalysis.findFirst({
+        where: { disputeId: dispute.id },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.json(withDeadlines({ ...dispute, evidence, latestAnalysis }));
+  } catch (error) {
+    console.error('[Disputes] get error:', error);
+    res.status(500).json({ error: 'Failed to fetch dispute' });
+  }
+});
+
+// Submit evidence; files are referenced by URL and content hash, or by a project message attachment id
+router.post('/:id/evidence',
+  auth,
+  [
+    body('description').trim().isLength({ min: 1, max: 5000 }),
+    body('files').optional().isArray({ max: 20 }),
+    body('files.*.attachmentId').optional().isString(),
+    body('files.*.name').optional().isString().isLength({ min: 1, max: 255 }),
+    body('files.*.url').optional().isURL(),
+    body('files.*.sha256').optional().matches(/^(0x)?[a-fA-F0-9]{64}$/).withMessage('sha256 must be a hex digest'),
+    body('files.*.size').optional().isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dispute = await loadDispute(req, res);
+      if (!dispute) return;
+
+      if (!isParticipant(dispute.project, req.user.id)) {
+        return res.status(403).json({ error: 'Only the parties can submit evidence' });
+      }
+
+      if (!disputeService.ACTIVE_STATUSES.includes(dispute.status)) {
+        return res.status(400).json({ error: 'Dispute is closed' });
+      }
+
+      if (new Date() > dispute.evidenceDeadline) {
+        return res.status(400).json({ error: 'Evidence deadline has passed' });
+      }
+
+      const requested = req.body.files || [];
+      const attachmentIds = requested.filter(f => f.attachmentId).map(f => f.attachmentId);
+      // Unsent uploads are private to their uploader; only sent ones are shared with the other party
+      const attachments = attachmentIds.length === 0 ? [] : await prisma.messageAttachment.findMany({
+        where: {
+          id: { in: attachmentIds },
+          projectId: dispute.projectId,
+          OR: [{ messageId: { not: null } }, { uploaderId: req.user.id }]
+        }
+      });
+
+      const files = [];
+      for (const f of requested) {
+        if (f.attachmentId) {
+          const attachment = attachments.find(a => a.id === f.attachmentId);
+          if (!attachment) {
+            return res.status(400).json({ error: `Attachment ${f.attachmentId} not found in this project` });
+          }
+          files.push({
+            attachmentId: attachment.id,
+            name: attachment.fileName,
+            url: `/api/messages/attachments/${attachment.id}`,
+            sha256: attachment.sha256,
+            size: attachment.size
+          });
+        } else if (f.name && f.sha256) {
+          files.push({
+            name: f.name,
+            url: f.url,
+            sha256: f.sha256.replace(/^0x/, '').toLowerCase(),
+            size: f.size !== undefined ? parseInt(f.size) : undefined
+          });
+        } else {
+          return res.status(400).json({ error: 'Each file needs an attachmentId, or a name and sha256' });
+        }
+      }
+
+      const evidence = await prisma.disputeEvidence.create({
+        data: {
+          disputeId: dispute.id,
+          submittedById: req.user.id,
+          description: req.body.description,
+          files
+        }
+      });
+
+      req.io.to(`project-${dispute.projectId}`).emit('dispute-evidence', evidence);
+      notificationEvents.disputeUpdated(dispute, dispute.project, 'evidence', req.user.id);
+
+      res.status(201).json(evidence);
+    } catch (error) {
+      console.error('[Disputes] evidence error:', error);
+      res.status(500).json({ error: 'Failed to submit evidence' });
+    }
+  }
+);
+
+// Run the AI resolver over the project and submitted evidence, and store the result
+router.post('/:id/analyze', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    if (!disputeService.ACTIVE_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({ error: 'Dispute is closed' });
+    }
+
+    const evidence = await prisma.disputeEvidence.findMany({
+      where: { disputeId: dispute.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const { decision, meta } = await analyzeDispute(dispute.projectId, { evidence });
+
+    const analysis = await prisma.disputeAnalysis.create({
+      data: {
+        disputeId: dispute.id,
+        outcome: String(decision.outcome || 'mediation_needed'),
+        confidence: Number(decision.confidence) || 0,
+        decision,
+        model: meta.model,
+        modelVersion: meta.modelVersion,
+        usedLLM: meta.usedLLM,
+        requestedById: req.user.id
+      }
+    });
+
+    const status = dispute.status === 'OPEN' ? 'ANALYZED' : dispute.status;
+    if (status !== dispute.status) {
+      await prisma.dispute.update({ where: { id: dispute.id }, data: { status } });
+    }
+    notificationEvents.disputeUpdated({ ...dispute, status }, dispute.project, 'analyzed', req.user.id);
+
+    res.status(201).json({ analysis, meta });
+  } catch (error) {
+    console.error('[Disputes] analysis error:', error);
+    res.status(500).json({ error: 'Failed to analyze dispute' });
+  }
+});
+
+router.get('/:id/analyses', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    const analyses = await prisma.disputeAnalysis.findMany({
+      where: { disputeId: dispute.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(analyses);
+  } catch (error) {
+    console.error('[Disputes] analyses error:', error);
+    res.status(500).json({ error: 'Failed to fetch analyses' });
+  }
+});
+
+// Preview the token amounts and SkillFiDAO.propose payload for a split settlement.
+// Uses body.settlement when given, otherwise the settlement from the latest stored analysis.
+router.post('/:id/settlement/preview', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    let { settlement } = req.body;
+    let source = 'request';
+    if (settlement === undefined) {
+      const latest = await prisma.disputeAnalysis.findFirst({
+        where: { disputeId: dispute.id, outcome: 'partial_split' },
+        orderBy: { createdAt: 'desc' }
+      });
+      settlement = latest?.decision?.settlement;
+      source = latest ? `analysis:${latest.id}` : null;
+      if (!settlement) {
+        return res.status(400).json({ error: 'No settlement given and no partial_split analysis with a settlement' });
+      }
+    }
+
+    if (!dispute.project.freelancerId) {
+      return res.status(400).json({ error: 'Project has no freelancer to settle with' });
+    }
+
+    const [milestones, client, freelancer] = await Promise.all([
+      prisma.milestone.findMany({ where: { projectId: dispute.projectId }, orderBy: { order: 'asc' } }),
+      walletLinks.primaryWallet(dispute.project.clientId),
+      walletLinks.primaryWallet(dispute.project.freelancerId)
+    ]);
+
+    // The same rules validateDecision applies to analyses, then the project's escrow; stored
+    // analyses are checked again since the milestones may have been paid since
+    let problems = decisionSchema.validateSettlement(settlement);
+    if (problems.length === 0) {
+      problems = disputeSettlement.checkSettlement({ budget: dispute.project.budget, milestones }, settlement);
+    }
+    if (problems.length) {
+      return res.status(400).json({ error: 'Invalid settlement', source, details: problems });
+    }
+
+    const amounts = disputeSettlement.computeAmounts({ budget: dispute.project.budget, milestones }, settlement);
+    const remediation = disputeSettlement.remediationSchedule(settlement);
+
+    const tokenAddress = process.env.SKILL_TOKEN_ADDRESS;
+    const daoAddress = process.env.DAO_CONTRACT_ADDRESS;
+
+    let proposal = null;
+    let proposalUnavailable;
+    if (!tokenAddress || !daoAddress) {
+      proposalUnavailable = 'SKILL token or DAO contract address is not configured';
+    } else if (!client || !freelancer) {
+      proposalUnavailable = 'Both parties need a verified wallet';
+    } else if (client === freelancer) {
+      proposalUnavailable = 'Client and freelancer have the same wallet';
+    } else {
+      proposal = {
+        to: daoAddress,
+        ...disputeSettlement.buildProposal({
+          dispute,
+          amounts,
+          remediation,
+          tokenAddress,
+          client,
+          freelancer,
+          treasury: process.env.PLATFORM_TREASURY_ADDRESS
+        })
+      };
+    }
+
+    res.json({
+      disputeId: dispute.id,
+      source,
+      settlement,
+      amounts,
+      remediation,
+      proposal,
+      ...(proposalUnavailable ? { proposalUnavailable } : {})
+    });
+  } catch (error) {
+    console.error('[Disputes] settlement preview error:', error);
+    res.status(500).json({ error: 'Failed to preview settlement' });
+  }
+});
+
+// Record escalation to the DAO from the mined SkillFiEscrow.raiseDispute transaction
+router.post('/:id/escalate',
+  auth,
+  [body('transactionHash').matches(/^0x[a-fA-F0-9]{64}$/)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dispute = await loadDispute(req, res);
+      if (!dispute) return;
+      const { project } = dispute;
+
+      if (!isParticipant(project, req.user.id)) {
+        return res.status(403).json({ error: 'Only the parties can escalate a dispute' });
+      }
+
+      if (!disputeService.PLATFORM_STATUSES.includes(dispute.status)) {
+        return res.status(400).json({ error: 'Dispute cannot be escalated in its current state' });
+      }
+
+      if (!project.contractAddress || !project.blockchainId) {
+        return res.status(400).json({ error: 'Project is not linked to an escrow contract' });
+      }
+
+      const receipt = await provider.getTransactionReceipt(req.body.transactionHash);
+      if (!receipt) {
+        return res.status(202).json({ status: 'pending' });
+      }
+
+      const confirmations = await receipt.confirmations();
+      if (confirmations < REQUIRED_CONFIRMATIONS) {
+        return res.status(202).json({ status: 'pending', confirmations, required: REQUIRED_CONFIRMATIONS });
+      }
+
+      if (receipt.status !== 1) {
+        return res.status(400).json({ error: 'Transaction reverted' });
+      }
+
+      let raised = null;
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== project.contractAddress.toLowerCase()) continue;
+        const parsed = escrowInterface.parseLog(log);
+        if (parsed?.name === 'DisputeRaised' && parsed.args.projectId.toString() === project.blockchainId) {
+          raised = parsed;
+          break;
+        }
+      }
+
+      if (!raised) {
+        return res.status(400).json({ error: 'Transaction did not raise a dispute for this project' });
+      }
+      // Someone else's raiseDispute transaction must not escalate on this party's behalf; any of
+      // the caller's verified wallets may have sent it
+      if (raised.args.initiator.toLowerCase() !== receipt.from.toLowerCase()
+        || await walletLinks.userIdByWallet(receipt.from) !== req.user.id) {
+        return res.status(403).json({ error: 'Transaction was not signed by one of your verified wallets' });
+      }
+
+      const updated = await disputeService.markEscalated(dispute, {
+        daoDisputeId: raised.args.disputeId,
+        txHash: req.body.transactionHash
+      });
+
+      req.io.to(`project-${project.id}`).emit('dispute-updated', updated);
+      notificationEvents.disputeUpdated(updated, project, 'escalated', req.user.id);
+
+      res.json(updated);
+    } catch (error) {
+      console.error('[Disputes] escalate error:', error);
+      res.status(500).json({ error: 'Failed to escalate dispute' });
+    }
+  }
+);
+
+// The party who opened the dispute can withdraw it before escalation
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    if (dispute.openedById !== req.user.id) {
+      return res.status(403).json({ error: 'Only the party who opened the dispute can withdraw it' });
+    }
+
+    if (!disputeService.PLATFORM_STATUSES.includes(dispute.status)) {
+      return res.status(400).json({ error: 'Only disputes that have not been escalated can be withdrawn' });
+    }
+
+    const updated = await disputeService.withdraw(dispute);
+    req.io.to(`project-${dispute.projectId}`).emit('dispute-updated', updated);
+    notificationEvents.disputeUpdated(updated, dispute.project, 'withdrawn', req.user.id);
+
+    res.json(updated);
+  } catch (error) {
+    console.error('[Disputes] withdraw error:', error);
+    res.status(500).json({ error: 'Failed to withdraw dispute' });
+  }
+});
+
+// Off-chain resolution by platform staff; escalated disputes are resolved by the DAO vote
+router.post('/:id/resolve',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  [
+    body('outcome').isIn(['CLIENT', 'FREELANCER', 'SPLIT']),
+    body('note').optional().trim().isLength({ max: 2000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const dispute = await loadDispute(req, res);
+      if (!dispute) return;
+
+      if (dispute.status === 'ESCALATED') {
+        return res.status(400).json({ error: 'Escalated disputes are resolved by the DAO' });
+      }
+
+      if (!disputeService.PLATFORM_STATUSES.includes(dispute.status)) {
+        return res.status(400).json({ error: 'Dispute is already closed' });
+      }
+
+      if (req.body.outcome === 'FREELANCER' && !dispute.project.freelancerId) {
+        return res.status(400).json({ error: 'Project has no freelancer' });
+      }
+
+      const resolved = await disputeService.resolve(dispute, {
+        outcome: req.body.outcome,
+        note: req.body.note,
+        resolvedBy: req.user
+      });
+
+      req.io.to(`project-${dispute.projectId}`).emit('dispute-updated', resolved);
+      notificationEvents.disputeUpdated(resolved, dispute.project, 'resolved', req.user.id);
+
+      res.json(resolved);
+    } catch (error) {
+      console.error('[Disputes] resolve error:', error);
+      res.status(500).json({ error: 'Failed to resolve dispute' });
     }
   }
 );
@@ -1,18 +1,41 @@
 const express = require('express');
+const multer = require('multer');
 const { PrismaClient } = require('@prisma/client');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const messageService = require('../services/messageService');
+const notificationEvents = require('../services/notificationEvents');
+const sockets = require('../sockets');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Send message
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MESSAGE_ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024)) }
+});
+
+// Report multer's limit errors as 4xx instead of the generic 500 handler
+const singleFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next(err);
+  });
+};
+
+// Send message (optionally as a reply, with previously uploaded attachments)
 router.post('/',
   auth,
   [
     body('projectId').isString(),
     body('receiverId').isString(),
-    body('content').trim().isLength({ min: 1, max: 1000 })
+    body('content').optional().trim().isLength({ max: 5000 }),
+    body('parentId').optional().isString(),
+    body('attachmentIds').optional().isArray({ max: 10 }),
+    body('attachmentIds.*').isString()
   ],
   async (req, res) => {
     try {
@@ -21,122 +44,255 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { projectId, receiverId, content } = req.body;
-
-      // Verify project exists and user is involved
-      const project = await prisma.project.findUnique({
-        where: { id: projectId }
+      const { projectId, receiverId, content, parentId, attachmentIds } = req.body;
+      const result = await messageService.send({
+        senderId: req.user.id,
+        projectId,
+        receiverId,
+        content,
+        parentId,
+        attachmentIds
       });
 
-      if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
 
-      const isAuthorized = project.clientId === req.user.id || 
-                          project.freelancerId === req.user.id;
+      // Emit real-time message via Socket.IO
+      sockets.broadcastMessage(req.io, result.message);
+      notificationEvents.messageReceived(result.message);
 
-      if (!isAuthorized) {
-        return res.status(403).json({ error: 'Not authorized to send messages for this project' });
-      }
+      res.status(201).json(result.message);
+    } catch (error) {
+      console.error('Error sending message:', error);
+      res.status(500).json({ error: 'Failed to send message' });
+    }
+  }
+);
 
-      // Verify receiver is involved in the project
-      const isReceiverAuthorized = project.clientId === receiverId || 
-                                  project.freelancerId === receiverId;
+// Upload an attachment to send with a message
+router.post('/attachments', auth, singleFile('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+    if (!req.body.projectId) {
+      return res.status(400).json({ error: 'projectId is required' });
+    }
+
+    const result = await messageService.upload({
+      uploaderId: req.user.id,
+      projectId: req.body.projectId,
+      file: req.file
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json(result.attachment);
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
 
-      if (!isReceiverAuthorized) {
-        return res.status(400).json({ error: 'Receiver is not involved in this project' });
+// Download an attachment
+router.get('/attachments/:id', auth, async (req, res) => {
+  try {
+    const result = await messageService.download({ userId: req.user.id, attachmentId: req.params.id });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { attachment, content } = result;
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': content.length,
+      'Content-Disposition': `attachment; filename="${encodeURIComponent(attachment.fileName)}"`,
+      'ETag': `"${attachment.sha256}"`
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Mark messages as read (per-message receipts)
+router.patch('/read',
+  auth,
+  [
+    body('messageIds').isArray({ min: 1, max: 200 }),
+    body('messageIds.*').isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
 
-      const message = await prisma.message.create({
-        data: {
-          projectId,
-          senderId: req.user.id,
-          receiverId,
-          content
-        },
-        include: {
-          sender: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true
-            }
-          },
-          receiver: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true
-            }
-          }
-        }
+      const { read, readAt } = await messageService.markRead({
+        userId: req.user.id,
+        messageIds: req.body.messageIds
       });
 
-      // Emit real-time message via Socket.IO
-      req.io.to(`project-${projectId}`).emit('new-message', message);
+      // Let senders see the receipts
+      const byProject = new Map();
+      for (const m of read) {
+        if (!byProject.has(m.projectId)) byProject.set(m.projectId, []);
+        byProject.get(m.projectId).push(m.id);
+      }
+      for (const [projectId, messageIds] of byProject) {
+        req.io.to(`project-${projectId}`).emit('messages-read', { userId: req.user.id, messageIds, readAt });
+      }
 
-      res.status(201).json(message);
+      res.json({ read: read.map(m => m.id), readAt });
     } catch (error) {
-      console.error('Error sending message:', error);
-      res.status(500).json({ error: 'Failed to send message' });
+      console.error('Error marking messages read:', error);
+      res.status(500).json({ error: 'Failed to mark messages as read' });
     }
   }
 );
 
-// Get messages for a project
-router.get('/project/:projectId', auth, async (req, res) => {
+const pageValidators = [
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+// Get top-level messages for a project, newest page first (cursor-based)
+router.get('/project/:projectId', auth, pageValidators, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { projectId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { project, ...failure } = await messageService.loadProjectFor(req.user.id, projectId);
+    if (!project) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
 
-    // Verify user is involved in the project
-    const project = await prisma.project.findUnique({
-      where: { id: projectId }
+    const page = await messageService.list({
+      projectId,
+      cursor: req.query.cursor,
+      limit: req.query.limit
     });
 
+    res.json(page);
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+// Get replies in a thread (cursor-based, like the project list)
+router.get('/:id/thread', auth, pageValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const root = await prisma.message.findUnique({ where: { id: req.params.id } });
+    if (!root) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { project, ...failure } = await messageService.loadProjectFor(req.user.id, root.projectId);
     if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+      return res.status(failure.status).json({ error: failure.error });
     }
 
-    const isAuthorized = project.clientId === req.user.id || 
-                        project.freelancerId === req.user.id;
+    const threadId = root.parentId || root.id;
+    const page = await messageService.list({
+      projectId: root.projectId,
+      parentId: threadId,
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+
+    res.json({ threadId, ...page });
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
 
-    if (!isAuthorized) {
-      return res.status(403).json({ error: 'Not authorized to view messages for this project' });
+// Edit history of a message
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const message = await prisma.message.findUnique({ where: { id: req.params.id } });
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
     }
 
-    const skip = (page - 1) * limit;
+    const { project, ...failure } = await messageService.loadProjectFor(req.user.id, message.projectId);
+    if (!project) {
+      return res.status(failure.status).json({ error: failure.error });
+    }
 
-    const messages = await prisma.message.findMany({
-      where: { projectId },
-      include: {
-        sender: {
-          select: {
-            id: true,
-            username: true,
-            avatar: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'desc' },
-      skip: parseInt(skip),
-      take: parseInt(limit)
+    const revisions = await prisma.messageRevision.findMany({
+      where: { messageId: message.id },
+      orderBy: { createdAt: 'asc' },
+      include: { editor: { select: { id: true, username: true } } }
     });
 
-    // Mark messages as read for the current user
-    await prisma.message.updateMany({
-      where: {
-        projectId,
-        receiverId: req.user.id,
-        isRead: false
-      },
-      data: { isRead: true }
-    });
+    res.json(revisions);
+  } catch (error) {
+    console.error('Error fetching message history:', error);
+    res.status(500).json({ error: 'Failed to fetch message history' });
+  }
+});
+
+// Edit own message
+router.patch('/:id',
+  auth,
+  [body('content').trim().isLength({ min: 1, max: 5000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    res.json(messages.reverse()); // Return in chronological order
+      const result = await messageService.edit({
+        userId: req.user.id,
+        messageId: req.params.id,
+        content: req.body.content
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      req.io.to(`project-${result.message.projectId}`).emit('message-updated', result.message);
+      res.json(result.message);
+    } catch (error) {
+      console.error('Error editing message:', error);
+      res.status(500).json({ error: 'Failed to edit message' });
+    }
+  }
+);
+
+// Delete own message (soft delete; the text is kept in the audit trail)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const result = await messageService.remove({ userId: req.user.id, messageId: req.params.id });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    req.io.to(`project-${result.message.projectId}`).emit('message-deleted', {
+      id: result.message.id,
+      projectId: result.message.projectId,
+      deletedAt: result.message.deletedAt
+    });
+    res.json(result.message);
   } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Failed to delete message' });
   }
 });
 
@@ -146,7 +302,8 @@ router.get('/unread-count', auth, async (req, res) => {
     const count = await prisma.message.count({
       where: {
         receiverId: req.user.id,
-        isRead: false
+        isRead: false,
+        deletedAt: null
       }
     });
 
@@ -186,6 +343,7 @@ router.get('/conversations', auth, async (req, res) => {
           }
         },
         messages: {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
           take: 1,
           include: {
@@ -202,7 +360,8 @@ router.get('/conversations', auth, async (req, res) => {
             messages: {
               where: {
                 receiverId: req.user.id,
-                isRead: false
+                isRead: false,
+                deletedAt: null
               }
             }
           }
@@ -222,4 +381,4 @@ router.get('/conversations', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
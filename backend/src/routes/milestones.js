@@ -0,0 +1,340 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const { body, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const notificationEvents = require('../services/notificationEvents');
+const { ESCROW_ABI } = require('../config/contracts');
+
+// Mounted at /api/projects/:projectId/milestones
+const router = express.Router({ mergeParams: true });
+const prisma = new PrismaClient();
+
+const escrowInterface = new ethers.Interface(ESCROW_ABI);
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://localhost:8545');
+const REQUIRED_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS || '1');
+
+// Budgets are floats; allow for rounding when comparing sums
+const AMOUNT_TOLERANCE = 0.01;
+
+async function loadProject(req, res) {
+  const project = await prisma.project.findUnique({
+    where: { id: req.params.projectId }
+  });
+
+  if (!project) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
+
+  const isParticipant = project.clientId === req.user.id || project.freelancerId === req.user.id;
+  if (!isParticipant) {
+    res.status(403).json({ error: 'Not authorized to access milestones for this project' });
+    return null;
+  }
+
+  return project;
+}
+
+async function loadMilestone(req, res, project) {
+  const milestone = await prisma.milestone.findUnique({
+    where: { id: req.params.milestoneId }
+  });
+
+  if (!milestone || milestone.projectId !== project.id) {
+    res.status(404).json({ error: 'Milestone not found' });
+    return null;
+  }
+
+  return milestone;
+}
+
+function emitMilestone(req, project, milestone) {
+  req.io.to(`project-${project.id}`).emit('milestone-updated', milestone);
+  notificationEvents.milestoneUpdated(project, milestone, req.user.id);
+}
+
+// Get milestones for a project
+router.get('/', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+
+    const milestones = await prisma.milestone.findMany({
+      where: { projectId: project.id },
+      orderBy: { order: 'asc' }
+    });
+
+    const total = milestones.reduce((sum, m) => sum + m.amount, 0);
+    const paid = milestones.filter(m => m.status === 'PAID').reduce((sum, m) => sum + m.amount, 0);
+
+    res.json({ milestones, budget: project.budget, total, paid });
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    res.status(500).json({ error: 'Failed to fetch milestones' });
+  }
+});
+
+// Define (or redefine) the milestone plan; amounts must add up to the project budget
+router.put('/',
+  auth,
+  [
+    body('milestones').isArray({ min: 1, max: 20 }),
+    body('milestones.*.title').trim().isLength({ min: 1, max: 100 }),
+    body('milestones.*.description').optional().trim().isLength({ max: 1000 }),
+    body('milestones.*.amount').isFloat({ min: 0.01 }),
+    body('milestones.*.dueDate').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = await loadProject(req, res);
+      if (!project) return;
+
+      if (project.clientId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the client can define milestones' });
+      }
+
+      if (!['OPEN', 'IN_PROGRESS'].includes(project.status)) {
+        return res.status(400).json({ error: 'Milestones can only be defined for open or in-progress projects' });
+      }
+
+      // The escrow holds the plan by index; /pay matches MilestoneCompleted against milestone.order
+      if (project.blockchainId) {
+        return res.status(400).json({ error: 'Milestones cannot be redefined once the project is linked to an escrow contract' });
+      }
+
+      const started = await prisma.milestone.count({
+        where: { projectId: project.id, status: { not: 'PENDING' } }
+      });
+      if (started > 0) {
+        return res.status(400).json({ error: 'Milestones cannot be redefined once work has been submitted' });
+      }
+
+      const { milestones } = req.body;
+      const total = milestones.reduce((sum, m) => sum + parseFloat(m.amount), 0);
+      if (Math.abs(total - project.budget) > AMOUNT_TOLERANCE) {
+        return res.status(400).json({
+          error: 'Milestone amounts must add up to the project budget',
+          budget: project.budget,
+          total
+        });
+      }
+
+      const created = await prisma.$transaction(async (tx) => {
+        await tx.milestone.deleteMany({ where: { projectId: project.id } });
+        for (const [order, m] of milestones.entries()) {
+          await tx.milestone.create({
+            data: {
+              projectId: project.id,
+              order,
+              title: m.title,
+              description: m.description,
+              amount: parseFloat(m.amount),
+              dueDate: m.dueDate ? new Date(m.dueDate) : null
+            }
+          });
+        }
+        return tx.milestone.findMany({
+          where: { projectId: project.id },
+          orderBy: { order: 'asc' }
+        });
+      });
+
+      req.io.to(`project-${project.id}`).emit('milestones-defined', created);
+      notificationEvents.milestonesDefined(project, created, req.user.id);
+
+      res.json(created);
+    } catch (error) {
+      console.error('Error defining milestones:', error);
+      res.status(500).json({ error: 'Failed to define milestones' });
+    }
+  }
+);
+
+// Freelancer submits work for a milestone
+router.post('/:milestoneId/submit',
+  auth,
+  [body('note').optional().trim().isLength({ max: 2000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = await loadProject(req, res);
+      if (!project) return;
+      const milestone = await loadMilestone(req, res, project);
+      if (!milestone) return;
+
+      if (project.freelancerId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the assigned freelancer can submit milestones' });
+      }
+
+      if (project.status !== 'IN_PROGRESS') {
+        return res.status(400).json({ error: 'Project is not in progress' });
+      }
+
+      if (!['PENDING', 'REJECTED'].includes(milestone.status)) {
+        return res.status(400).json({ error: 'Milestone is not awaiting submission' });
+      }
+
+      const updated = await prisma.milestone.update({
+        where: { id: milestone.id },
+        data: { status: 'SUBMITTED', submissionNote: req.body.note, submittedAt: new Date() }
+      });
+
+      emitMilestone(req, project, updated);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error submitting milestone:', error);
+      res.status(500).json({ error: 'Failed to submit milestone' });
+    }
+  }
+);
+
+// Client approves a submitted milestone
+router.post('/:milestoneId/approve', auth, async (req, res) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) return;
+    const milestone = await loadMilestone(req, res, project);
+    if (!milestone) return;
+
+    if (project.clientId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the client can approve milestones' });
+    }
+
+    if (milestone.status !== 'SUBMITTED') {
+      return res.status(400).json({ error: 'Milestone has not been submitted' });
+    }
+
+    const updated = await prisma.milestone.update({
+      where: { id: milestone.id },
+      data: { status: 'APPROVED', approvedAt: new Date(), feedback: null }
+    });
+
+    emitMilestone(req, project, updated);
+    res.json(updated);
+  } catch (error) {
+    console.error('Error approving milestone:', error);
+    res.status(500).json({ error: 'Failed to approve milestone' });
+  }
+});
+
+// Client rejects a submitted milestone with feedback; the freelancer can resubmit
+router.post('/:milestoneId/reject',
+  auth,
+  [body('feedback').trim().isLength({ min: 1, max: 2000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = await loadProject(req, res);
+      if (!project) return;
+      const milestone = await loadMilestone(req, res, project);
+      if (!milestone) return;
+
+      if (project.clientId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the client can reject milestones' });
+      }
+
+      if (milestone.status !== 'SUBMITTED') {
+        return res.status(400).json({ error: 'Milestone has not been submitted' });
+      }
+
+      const updated = await prisma.milestone.update({
+        where: { id: milestone.id },
+        data: { status: 'REJECTED', feedback: req.body.feedback }
+      });
+
+      emitMilestone(req, project, updated);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error rejecting milestone:', error);
+      res.status(500).json({ error: 'Failed to reject milestone' });
+    }
+  }
+);
+
+// Client records payout of an approved milestone from the mined escrow completeMilestone
+// transaction; it only counts if the receipt holds this milestone's MilestoneCompleted log
+router.post('/:milestoneId/pay',
+  auth,
+  [body('transactionHash').matches(/^0x[a-fA-F0-9]{64}$/)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const project = await loadProject(req, res);
+      if (!project) return;
+      const milestone = await loadMilestone(req, res, project);
+      if (!milestone) return;
+
+      if (project.clientId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the client can pay out milestones' });
+      }
+
+      if (milestone.status !== 'APPROVED') {
+        return res.status(400).json({ error: 'Milestone must be approved before payout' });
+      }
+
+      if (!project.contractAddress || !project.blockchainId) {
+        return res.status(400).json({ error: 'Project is not linked to an escrow contract' });
+      }
+
+      const receipt = await provider.getTransactionReceipt(req.body.transactionHash);
+      if (!receipt) {
+        return res.status(202).json({ status: 'pending' });
+      }
+
+      const confirmations = await receipt.confirmations();
+      if (confirmations < REQUIRED_CONFIRMATIONS) {
+        return res.status(202).json({ status: 'pending', confirmations, required: REQUIRED_CONFIRMATIONS });
+      }
+
+      if (receipt.status !== 1) {
+        return res.status(400).json({ error: 'Transaction reverted' });
+      }
+
+      const released = receipt.logs.some(log => {
+        if (log.address.toLowerCase() !== project.contractAddress.toLowerCase()) return false;
+        const parsed = escrowInterface.parseLog(log);
+        return parsed?.name === 'MilestoneCompleted' &&
+          parsed.args.projectId.toString() === project.blockchainId &&
+          Number(parsed.args.milestoneIndex) === milestone.order;
+      });
+
+      if (!released) {
+        return res.status(400).json({ error: 'Transaction did not release this milestone from escrow' });
+      }
+
+      // The indexer may have recorded the same release already
+      const { count } = await prisma.milestone.updateMany({
+        where: { id: milestone.id, status: 'APPROVED' },
+        data: { status: 'PAID', paidAt: new Date(), paymentTxHash: req.body.transactionHash }
+      });
+      const updated = await prisma.milestone.findUnique({ where: { id: milestone.id } });
+      if (!count) return res.json(updated);
+
+      emitMilestone(req, project, updated);
+      res.json(updated);
+    } catch (error) {
+      console.error('Error paying milestone:', error);
+      res.status(500).json({ error: 'Failed to pay milestone' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const notificationChannels = require('../services/notificationChannels');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const CHANNEL_KEYS = ['inApp', 'email', 'webhook'];
+
+// { [type]: { inApp?, email?, webhook? } } with known types and boolean flags only
+const isChannelMap = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('channels must be an object keyed by notification type');
+  }
+  for (const [type, flags] of Object.entries(value)) {
+    if (!notificationService.TYPES.includes(type)) throw new Error(`Unknown notification type ${type}`);
+    if (typeof flags !== 'object' || flags === null) throw new Error(`channels.${type} must be an object`);
+    for (const [key, flag] of Object.entries(flags)) {
+      if (!CHANNEL_KEYS.includes(key) || typeof flag !== 'boolean') {
+        throw new Error(`channels.${type}.${key} must be one of ${CHANNEL_KEYS.join(', ')} with a boolean value`);
+      }
+    }
+  }
+  return true;
+};
+
+// The server POSTs to this URL, so it has to resolve to a public address (see notificationChannels)
+const isPublicWebhook = async (url) => {
+  const problem = await notificationChannels.webhookUrlProblem(url);
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+// List own notifications, newest first (cursor-based)
+router.get('/',
+  auth,
+  [
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('unread').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = await notificationService.list({
+        userId: req.user.id,
+        unreadOnly: req.query.unread === 'true',
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+
+      res.json(page);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+  }
+);
+
+// Get unread notification count
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await prisma.notification.count({
+      where: { userId: req.user.id, readAt: null }
+    });
+
+    res.json({ count });
+  } catch (error) {
+    console.error('Error fetching notification count:', error);
+    res.status(500).json({ error: 'Failed to fetch notification count' });
+  }
+});
+
+// Mark notifications as read; without ids, all of them
+router.patch('/read',
+  auth,
+  [
+    body('ids').optional().isArray({ min: 1, max: 200 }),
+    body('ids.*').isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await notificationService.markRead({ userId: req.user.id, ids: req.body.ids });
+      res.json(result);
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+  }
+);
+
+// Get channel preferences (defaults filled in)
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    res.json(await notificationService.getPreferences(req.user.id));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update channel preferences, digest frequency and the outbound webhook
+router.put('/preferences',
+  auth,
+  [
+    body('channels').optional().custom(isChannelMap),
+    body('digest').optional().isIn(['NONE', 'HOURLY', 'DAILY']),
+    body('webhookUrl').optional({ nullable: true }).isURL({ protocols: ['https'], require_protocol: true }).bail().custom(isPublicWebhook),
+    body('webhookSecret').optional({ nullable: true }).isString().isLength({ min: 16, max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { channels, digest, webhookUrl, webhookSecret } = req.body;
+      const preferences = await notificationService.updatePreferences(req.user.id, {
+        channels,
+        digest,
+        webhookUrl,
+        webhookSecret
+      });
+
+      res.json(preferences);
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,84 +1,59 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const projectSearch = require('../services/projectSearch');
+const projectStateMachine = require('../services/projectStateMachine');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get all projects with filtering and pagination
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      category,
-      skills,
-      minBudget,
-      maxBudget,
-      status = 'OPEN',
-      search
-    } = req.query;
-
-    const skip = (page - 1) * limit;
-    const where = {};
-
-    if (category) where.category = category;
-    if (status) where.status = status;
-    if (minBudget || maxBudget) {
-      where.budget = {};
-      if (minBudget) where.budget.gte = parseFloat(minBudget);
-      if (maxBudget) where.budget.lte = parseFloat(maxBudget);
-    }
-    if (skills) {
-      where.skills = {
-        hasSome: skills.split(',')
-      };
-    }
-    if (search) {
-      where.OR = [
-        { title: { contains: search, mode: 'insensitive' } },
-        { description: { contains: search, mode: 'insensitive' } }
-      ];
-    }
+// Get all projects with full-text search, filters, facets, sorting and pagination
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: projectSearch.MAX_LIMIT }),
+    query('minBudget').optional().isFloat({ min: 0 }),
+    query('maxBudget').optional().isFloat({ min: 0 }),
+    query('status').optional().isIn(['', 'OPEN', 'IN_PROGRESS', 'SUBMITTED', 'COMPLETED', 'CANCELLED', 'DISPUTED']),
+    query('sort').optional().isIn(projectSearch.SORTS),
+    query('facets').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const [projects, total] = await Promise.all([
-      prisma.project.findMany({
-        where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        include: {
-          client: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true,
-              reputation: true
-            }
-          },
-          _count: {
-            select: { proposals: true }
-          }
-        },
-        orderBy: { createdAt: 'desc' }
-      }),
-      prisma.project.count({ where })
-    ]);
+      const { page = 1, limit = 10 } = req.query;
+      const filters = projectSearch.parseFilters(req.query);
+      const sort = req.query.sort || (filters.q ? 'relevance' : 'newest');
 
-    res.json({
-      projects,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching projects:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+      const { projects, total, take, facets } = await projectSearch.search(filters, {
+        sort,
+        page,
+        limit,
+        withFacets: req.query.facets !== 'false'
+      });
+
+      res.json({
+        projects,
+        facets,
+        sort,
+        pagination: {
+          page: parseInt(page),
+          limit: take,
+          total,
+          pages: Math.ceil(total / take)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+      res.status(500).json({ error: 'Failed to fetch projects' });
+    }
   }
-});
+);
 
 // Get single project
 router.get('/:id', async (req, res) => {
@@ -189,7 +164,9 @@ router.put('/:id',
     body('description').optional().trim().isLength({ min: 20, max: 2000 }),
     body('budget').optional().isFloat({ min: 0.01 }),
     body('skills').optional().isArray({ min: 1, max: 10 }),
-    body('status').optional().isIn(['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
+    body('category').optional().trim().isLength({ min: 1, max: 50 }),
+    body('deadline').optional({ nullable: true }).isISO8601(),
+    body('status').not().exists().withMessage('Use the project transition endpoints to change the status')
   ],
   async (req, res) => {
     try {
@@ -210,9 +187,29 @@ router.put('/:id',
         return res.status(403).json({ error: 'Not authorized to update this project' });
       }
 
+      // Keep an existing milestone plan consistent with the budget
+      if (req.body.budget !== undefined) {
+        const planned = await prisma.milestone.aggregate({
+          where: { projectId: project.id },
+          _sum: { amount: true },
+          _count: true
+        });
+        if (planned._count > 0 && Math.abs(planned._sum.amount - parseFloat(req.body.budget)) > 0.01) {
+          return res.status(400).json({ error: 'Budget must equal the sum of the project milestones; redefine milestones first' });
+        }
+      }
+
+      const { title, description, budget, skills, category, deadline } = req.body;
       const updatedProject = await prisma.project.update({
         where: { id: req.params.id },
-        data: req.body,
+        data: {
+          title,
+          description,
+          budget: budget !== undefined ? parseFloat(budget) : undefined,
+          skills,
+          category,
+          deadline: deadline === undefined ? undefined : (deadline ? new Date(deadline) : null)
+        },
         include: {
           client: {
             select: {
@@ -248,7 +245,7 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to delete this project' });
     }
 
-    if (project.status === 'IN_PROGRESS') {
+    if (['IN_PROGRESS', 'SUBMITTED', 'DISPUTED'].includes(project.status)) {
       return res.status(400).json({ error: 'Cannot delete project in progress' });
     }
 
@@ -263,4 +260,109 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Status history and the transitions open to the caller
+router.get('/:id/transitions', auth, async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({ where: { id: req.params.id } });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const actor = projectStateMachine.actorFor(project, req.user);
+    if (!actor) {
+      return res.status(403).json({ error: 'Not authorized to view this project\'s history' });
+    }
+
+    const history = await projectStateMachine.history(project.id);
+
+    res.json({
+      status: project.status,
+      available: projectStateMachine.available(project, actor),
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching project transitions:', error);
+    res.status(500).json({ error: 'Failed to fetch project transitions' });
+  }
+});
+
+// Milestone statuses that block a transition, if the project has milestones
+const MILESTONE_REQUIREMENTS = {
+  SUBMITTED: { blocking: ['PENDING', 'REJECTED'], error: 'Submit every milestone before submitting the project' },
+  COMPLETED: { blocking: ['PENDING', 'SUBMITTED', 'REJECTED'], error: 'Approve every milestone before completing the project' }
+};
+
+// POST endpoint that moves a project from one of `from` to `to`; reason is taken from the body.
+// Moves out of DISPUTED belong to the dispute endpoints, so they are never listed here.
+function transitionRoute(from, to, validators, failure) {
+  return [
+    auth,
+    validators,
+    async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const project = await prisma.project.findUnique({ where: { id: req.params.id } });
+        if (!project) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (!from.includes(project.status)) {
+          return res.status(400).json({ error: `Project cannot move from ${project.status} to ${to}` });
+        }
+
+        // Admins act as staff only on projects they are not part of
+        const actor = projectStateMachine.actorFor(project, req.user);
+        const denied = projectStateMachine.check(project, to, actor);
+        if (denied) {
+          return res.status(denied.status).json({ error: denied.error });
+        }
+
+        const requirement = MILESTONE_REQUIREMENTS[to];
+        if (requirement) {
+          const blocking = await prisma.milestone.count({
+            where: { projectId: project.id, status: { in: requirement.blocking } }
+          });
+          if (blocking > 0) {
+            return res.status(400).json({ error: requirement.error });
+          }
+        }
+
+        const result = await projectStateMachine.transition(project, to, {
+          actor,
+          reason: req.body.reason
+        });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+
+        req.io.to(`project-${project.id}`).emit('project-updated', result.project);
+        res.json({ project: result.project, transition: result.transition });
+      } catch (error) {
+        console.error(`Error moving project to ${to}:`, error);
+        res.status(500).json({ error: failure });
+      }
+    }
+  ];
+}
+
+const reason = (required) => (required
+  ? body('reason').trim().isLength({ min: 1, max: 1000 })
+  : body('reason').optional().trim().isLength({ max: 1000 }));
+
+// Freelancer submits the finished work for review
+router.post('/:id/submit', ...transitionRoute(['IN_PROGRESS'], 'SUBMITTED', [reason(false)], 'Failed to submit project'));
+
+// Client sends submitted work back to the freelancer
+router.post('/:id/request-changes', ...transitionRoute(['SUBMITTED'], 'IN_PROGRESS', [reason(true)], 'Failed to request changes'));
+
+// Client accepts the submitted work
+router.post('/:id/complete', ...transitionRoute(['SUBMITTED'], 'COMPLETED', [reason(false)], 'Failed to complete project'));
+
+// Client cancels an open project; staff can cancel one that is under way
+router.post('/:id/cancel', ...transitionRoute(['OPEN', 'IN_PROGRESS', 'SUBMITTED'], 'CANCELLED', [reason(false)], 'Failed to cancel project'));
+
 module.exports = router;
\ No newline at end of file
@@ -2,10 +2,55 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const notificationEvents = require('../services/notificationEvents');
+const proposalService = require('../services/proposalService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const PROPOSAL_STATUSES = ['PENDING', 'ACCEPTED', 'REJECTED', 'WITHDRAWN', 'EXPIRED'];
+
+const deadlinePassed = (project) => Boolean(project.deadline && project.deadline < new Date());
+
+const proposalInclude = {
+  freelancer: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true,
+      reputation: true,
+      skills: true
+    }
+  },
+  project: {
+    select: {
+      id: true,
+      title: true,
+      client: {
+        select: {
+          id: true,
+          username: true
+        }
+      }
+    }
+  }
+};
+
+// Load a proposal with its project; responds and returns null if missing
+async function loadProposal(req, res) {
+  const proposal = await prisma.proposal.findUnique({
+    where: { id: req.params.id },
+    include: { project: true }
+  });
+
+  if (!proposal) {
+    res.status(404).json({ error: 'Proposal not found' });
+    return null;
+  }
+
+  return proposal;
+}
+
 // Submit proposal
 router.post('/',
   auth,
@@ -41,6 +86,10 @@ router.post('/',
         return res.status(400).json({ error: 'Cannot submit proposal to your own project' });
       }
 
+      if (deadlinePassed(project)) {
+        return res.status(400).json({ error: 'Project deadline has passed' });
+      }
+
       // Check if user already submitted a proposal
       const existingProposal = await prisma.proposal.findUnique({
         where: {
@@ -51,42 +100,29 @@ router.post('/',
         }
       });
 
-      if (existingProposal) {
+      const terms = {
+        bidAmount: parseFloat(bidAmount),
+        description,
+        deliveryTime: parseInt(deliveryTime)
+      };
+
+      // A withdrawn or expired proposal can be submitted again; its old terms go to the history
+      if (existingProposal && !['WITHDRAWN', 'EXPIRED'].includes(existingProposal.status)) {
         return res.status(400).json({ error: 'You have already submitted a proposal for this project' });
       }
 
-      const proposal = await prisma.proposal.create({
-        data: {
-          projectId,
-          freelancerId: req.user.id,
-          bidAmount: parseFloat(bidAmount),
-          description,
-          deliveryTime: parseInt(deliveryTime)
-        },
-        include: {
-          freelancer: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true,
-              reputation: true,
-              skills: true
-            }
-          },
-          project: {
-            select: {
-              id: true,
-              title: true,
-              client: {
-                select: {
-                  id: true,
-                  username: true
-                }
-              }
-            }
-          }
-        }
-      });
+      if (existingProposal) {
+        await proposalService.revise(existingProposal, terms, 'RESUBMIT');
+      }
+
+      const proposal = existingProposal
+        ? await prisma.proposal.findUnique({ where: { id: existingProposal.id }, include: proposalInclude })
+        : await prisma.proposal.create({
+          data: { projectId, freelancerId: req.user.id, ...terms },
+          include: proposalInclude
+        });
+
+      notificationEvents.proposalReceived(proposal);
 
       res.status(201).json(proposal);
     } catch (error) {
@@ -96,7 +132,7 @@ router.post('/',
   }
 );
 
-// Get proposals for a project
+// Get proposals for a project (?shortlisted=true for the shortlist, ?status= to filter)
 router.get('/project/:projectId', auth, async (req, res) => {
   try {
     const { projectId } = req.params;
@@ -114,9 +150,17 @@ router.get('/project/:projectId', auth, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to view proposals for this project' });
     }
 
+    const { shortlisted, status } = req.query;
     const proposals = await prisma.proposal.findMany({
-      where: { projectId },
+      where: {
+        projectId,
+        ...(shortlisted === 'true' ? { shortlistedAt: { not: null } } : {}),
+        ...(typeof status === 'string' && PROPOSAL_STATUSES.includes(status) ? { status } : {})
+      },
       include: {
+        counterOffers: {
+          where: { status: 'PENDING' }
+        },
         freelancer: {
           select: {
             id: true,
@@ -181,34 +225,12 @@ router.post('/:id/accept', auth, async (req, res) => {
       return res.status(400).json({ error: 'Proposal is not pending' });
     }
 
-    // Update proposal and project in a transaction
-    const result = await prisma.$transaction(async (tx) => {
-      // Accept the proposal
-      const acceptedProposal = await tx.proposal.update({
-        where: { id: req.params.id },
-        data: { status: 'ACCEPTED' }
-      });
-
-      // Update project status and assign freelancer
-      await tx.project.update({
-        where: { id: proposal.projectId },
-        data: {
-          status: 'IN_PROGRESS',
-          freelancerId: proposal.freelancerId
-        }
-      });
-
-      // Reject all other proposals for this project
-      await tx.proposal.updateMany({
-        where: {
-          projectId: proposal.projectId,
-          id: { not: req.params.id }
-        },
-        data: { status: 'REJECTED' }
-      });
+    if (deadlinePassed(proposal.project)) {
+      return res.status(400).json({ error: 'Project deadline has passed; extend it before accepting a proposal' });
+    }
 
-      return acceptedProposal;
-    });
+    // Accept, assign the freelancer and reject the other pending proposals
+    const { accepted: result } = await proposalService.award(proposal, proposal.project);
 
     res.json({
       message: 'Proposal accepted successfully',
@@ -255,6 +277,226 @@ router.post('/:id/reject', auth, async (req, res) => {
   }
 });
 
+// Freelancer edits the terms of a pending proposal; the previous terms are kept as a revision
+router.patch('/:id',
+  auth,
+  [
+    body('bidAmount').optional().isFloat({ min: 0.01 }),
+    body('description').optional().trim().isLength({ min: 20, max: 1000 }),
+    body('deliveryTime').optional().isInt({ min: 1, max: 365 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const proposal = await loadProposal(req, res);
+      if (!proposal) return;
+
+      if (proposal.freelancerId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to edit this proposal' });
+      }
+
+      if (proposal.status !== 'PENDING') {
+        return res.status(400).json({ error: 'Proposal is not pending' });
+      }
+
+      if (proposal.blockchainId) {
+        return res.status(400).json({ error: 'Proposal is already on-chain and cannot be changed' });
+      }
+
+      const { bidAmount, description, deliveryTime } = req.body;
+      if (bidAmount === undefined && description === undefined && deliveryTime === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+
+      const updated = await proposalService.revise(proposal, {
+        bidAmount: bidAmount !== undefined ? parseFloat(bidAmount) : undefined,
+        description,
+        deliveryTime: deliveryTime !== undefined ? parseInt(deliveryTime) : undefined
+      }, 'EDIT');
+
+      notificationEvents.proposalChanged(updated, proposal.project, 'revised');
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating proposal:', error);
+      res.status(500).json({ error: 'Failed to update proposal' });
+    }
+  }
+);
+
+// Freelancer withdraws a pending proposal
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    if (proposal.freelancerId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to withdraw this proposal' });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Proposal is not pending' });
+    }
+
+    const withdrawn = await proposalService.withdraw(proposal);
+    notificationEvents.proposalChanged(withdrawn, proposal.project, 'withdrawn');
+
+    res.json({
+      message: 'Proposal withdrawn successfully',
+      proposal: withdrawn
+    });
+  } catch (error) {
+    console.error('Error withdrawing proposal:', error);
+    res.status(500).json({ error: 'Failed to withdraw proposal' });
+  }
+});
+
+// Version history and counter-offers of a proposal (freelancer or project owner)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    if (proposal.freelancerId !== req.user.id && proposal.project.clientId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to view this proposal' });
+    }
+
+    const [revisions, counterOffers] = await Promise.all([
+      prisma.proposalRevision.findMany({
+        where: { proposalId: proposal.id },
+        orderBy: { revision: 'asc' }
+      }),
+      prisma.proposalCounterOffer.findMany({
+        where: { proposalId: proposal.id },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    const { project, ...current } = proposal;
+    res.json({ proposal: current, revisions, counterOffers });
+  } catch (error) {
+    console.error('Error fetching proposal history:', error);
+    res.status(500).json({ error: 'Failed to fetch proposal history' });
+  }
+});
+
+// Client shortlists a pending proposal (or removes it from the shortlist)
+const setShortlisted = (shortlisted) => async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    if (proposal.project.clientId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to shortlist this proposal' });
+    }
+
+    if (proposal.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Proposal is not pending' });
+    }
+
+    const updated = await prisma.proposal.update({
+      where: { id: proposal.id },
+      data: { shortlistedAt: shortlisted ? (proposal.shortlistedAt || new Date()) : null }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating shortlist:', error);
+    res.status(500).json({ error: 'Failed to update shortlist' });
+  }
+};
+
+router.post('/:id/shortlist', auth, setShortlisted(true));
+router.delete('/:id/shortlist', auth, setShortlisted(false));
+
+// Client proposes a different bid amount and/or delivery time
+router.post('/:id/counter-offers',
+  auth,
+  [
+    body('bidAmount').optional().isFloat({ min: 0.01 }),
+    body('deliveryTime').optional().isInt({ min: 1, max: 365 }),
+    body('message').optional().trim().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const proposal = await loadProposal(req, res);
+      if (!proposal) return;
+
+      if (proposal.project.clientId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to counter this proposal' });
+      }
+
+      if (proposal.status !== 'PENDING' || proposal.project.status !== 'OPEN') {
+        return res.status(400).json({ error: 'Proposal is not pending' });
+      }
+
+      if (proposal.blockchainId) {
+        return res.status(400).json({ error: 'Proposal is already on-chain and cannot be changed' });
+      }
+
+      const { bidAmount, deliveryTime, message } = req.body;
+      if (bidAmount === undefined && deliveryTime === undefined) {
+        return res.status(400).json({ error: 'A counter-offer needs a bidAmount or deliveryTime' });
+      }
+
+      const offer = await proposalService.makeCounterOffer(proposal, {
+        createdById: req.user.id,
+        bidAmount: bidAmount !== undefined ? parseFloat(bidAmount) : null,
+        deliveryTime: deliveryTime !== undefined ? parseInt(deliveryTime) : null,
+        message
+      });
+
+      notificationEvents.counterOfferMade(proposal, proposal.project, offer);
+
+      res.status(201).json(offer);
+    } catch (error) {
+      console.error('Error creating counter-offer:', error);
+      res.status(500).json({ error: 'Failed to create counter-offer' });
+    }
+  }
+);
+
+// Freelancer accepts or declines the pending counter-offer
+const respondToCounterOffer = (accept) => async (req, res) => {
+  try {
+    const proposal = await loadProposal(req, res);
+    if (!proposal) return;
+
+    if (proposal.freelancerId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to answer this counter-offer' });
+    }
+
+    const offer = await prisma.proposalCounterOffer.findUnique({ where: { id: req.params.offerId } });
+    if (!offer || offer.proposalId !== proposal.id) {
+      return res.status(404).json({ error: 'Counter-offer not found' });
+    }
+
+    if (offer.status !== 'PENDING' || proposal.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Counter-offer is no longer open' });
+    }
+
+    const result = await proposalService.respondToCounterOffer(proposal, offer, accept);
+    notificationEvents.counterOfferAnswered(result.proposal, proposal.project, result.offer);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error answering counter-offer:', error);
+    res.status(500).json({ error: 'Failed to answer counter-offer' });
+  }
+};
+
+router.post('/:id/counter-offers/:offerId/accept', auth, respondToCounterOffer(true));
+router.post('/:id/counter-offers/:offerId/decline', auth, respondToCounterOffer(false));
+
 // Get user's proposals
 router.get('/my-proposals', auth, async (req, res) => {
   try {
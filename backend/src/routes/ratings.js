@@ -1,13 +1,17 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/requireRole');
 const ratingRepo = require('../repositories/ratingRepository');
-const repEventRepo = require('../repositories/reputationEventRepository');
-const reputationService = require('../services/reputationService');
+const ratingService = require('../services/ratingService');
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// Create a rating from client -> freelancer after project completion
+const REPORT_REASONS = ['harassment', 'profanity', 'spam', 'contact_details', 'other'];
+
+// Rate the other party of a completed project
 router.post(
   '/',
   auth,
@@ -27,25 +31,25 @@ router.post(
       const fromUserId = req.user.id;
       const { toUserId, projectId, score, comment } = req.body;
 
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+
+      const problem = await ratingService.checkEligibility(project, fromUserId, toUserId);
+      if (problem) return res.status(problem.status).json({ error: problem.error });
+
       // Enforce one rating per project per rater
       const already = await ratingRepo.hasUserRatedProject({ fromUserId, projectId });
       if (already) return res.status(409).json({ error: 'You have already rated this project.' });
 
-      const created = await ratingRepo.create({ fromUserId, toUserId, projectId, score, comment });
-
-      // Add a reputation event for receiver
-      await repEventRepo.addEvent({
-        userId: toUserId,
-        type: 'CLIENT_RATING',
-        weight: score, // simple weighting by score
-        delta: (score - 3) * 10, // map 1..5 roughly to -20..+20
-        metadata: { fromUserId, projectId, score },
+      const { rating, reputation } = await ratingService.create({
+        fromUserId,
+        toUserId,
+        projectId,
+        score: parseInt(score),
+        comment
       });
 
-      // Recompute reputation for receiver
-      const result = await reputationService.recomputeUser(toUserId);
-
-      res.status(201).json({ rating: created, reputation: result });
+      res.status(201).json({ rating, reputation });
     } catch (err) {
       console.error('Create rating error:', err);
       res.status(500).json({ error: 'Failed to create rating' });
@@ -53,4 +57,129 @@ router.post(
   }
 );
 
+// Ratings a user received
+router.get('/user/:userId',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page = 1 } = req.query;
+      const { ratings, total, take } = await ratingService.forUser(req.params.userId, req.query);
+
+      res.json({
+        ratings,
+        pagination: { page: parseInt(page), limit: take, total, pages: Math.ceil(total / take) }
+      });
+    } catch (err) {
+      console.error('List ratings error:', err);
+      res.status(500).json({ error: 'Failed to fetch ratings' });
+    }
+  }
+);
+
+// The rated user reports an abusive comment for staff review
+router.post('/:id/report',
+  auth,
+  [body('reason').isIn(REPORT_REASONS)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rating = await ratingRepo.findById(req.params.id);
+      if (!rating || rating.voidedAt) return res.status(404).json({ error: 'Rating not found' });
+
+      if (rating.toUserId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the rated user can report a rating' });
+      }
+
+      const updated = await ratingService.report(rating, req.body.reason);
+      res.json({ id: updated.id, moderation: updated.moderation });
+    } catch (err) {
+      console.error('Report rating error:', err);
+      res.status(500).json({ error: 'Failed to report rating' });
+    }
+  }
+);
+
+// Moderation queue
+router.get('/flagged',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  [
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const limit = parseInt(req.query.limit || '50');
+      const ratings = await ratingRepo.listFlagged({ limit, cursor: req.query.cursor });
+      res.json({ ratings, nextCursor: ratings.length === limit ? ratings[ratings.length - 1].id : null });
+    } catch (err) {
+      console.error('List flagged ratings error:', err);
+      res.status(500).json({ error: 'Failed to fetch flagged ratings' });
+    }
+  }
+);
+
+router.post('/:id/moderate',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  [body('action').isIn(['APPROVE', 'REMOVE', 'VOID'])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const rating = await ratingRepo.findById(req.params.id);
+      if (!rating) return res.status(404).json({ error: 'Rating not found' });
+      if (rating.voidedAt) return res.status(400).json({ error: 'Rating is already void' });
+
+      const updated = await ratingService.moderate(rating, req.body.action, req.user.id);
+      res.json(updated);
+    } catch (err) {
+      console.error('Moderate rating error:', err);
+      res.status(500).json({ error: 'Failed to moderate rating' });
+    }
+  }
+);
+
+// Find ratings that break the participant rules; voids them and recomputes reputations
+// unless dryRun (the default) is set
+router.post('/cleanup',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  [body('dryRun').optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await ratingService.cleanup({ dryRun: req.body.dryRun !== false });
+      res.json(result);
+    } catch (err) {
+      console.error('Rating cleanup error:', err);
+      res.status(500).json({ error: 'Failed to clean up ratings' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/requireRole');
+const referralCampaigns = require('../services/referralCampaigns');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Campaigns are managed by staff
+router.use(auth, requireRole('ADMIN', 'SYSTEM'));
+
+const isSchedule = (value) => {
+  const problems = referralCampaigns.scheduleProblems(value);
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return true;
+};
+
+const campaignValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().isLength({ max: 1000 }),
+    field('startsAt').isISO8601(),
+    body('endsAt').optional({ nullable: true }).isISO8601(),
+    body('targetRole').optional({ nullable: true }).isIn(['FREELANCER', 'CLIENT']),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1 }),
+    field('rewardSchedule').custom(isSchedule),
+    body('secondLevelShare').optional().isFloat({ min: 0, max: 1 }),
+    body('active').optional().isBoolean()
+  ];
+};
+
+const CAMPAIGN_FIELDS = ['name', 'description', 'startsAt', 'endsAt', 'targetRole', 'maxUses', 'rewardSchedule', 'secondLevelShare', 'active'];
+
+function campaignData(body) {
+  const data = {};
+  for (const field of CAMPAIGN_FIELDS) {
+    if (body[field] === undefined) continue;
+    data[field] = ['startsAt', 'endsAt'].includes(field) && body[field] !== null ? new Date(body[field]) : body[field];
+  }
+  return data;
+}
+
+const withStatus = (campaign) => ({ ...campaign, status: referralCampaigns.status(campaign) });
+
+async function loadCampaign(req, res) {
+  const campaign = await prisma.referralCampaign.findUnique({ where: { id: req.params.id } });
+  if (!campaign) {
+    res.status(404).json({ error: 'Referral campaign not found' });
+    return null;
+  }
+  return campaign;
+}
+
+router.post('/', campaignValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const data = campaignData(req.body);
+    if (data.endsAt && data.endsAt <= data.startsAt) {
+      return res.status(400).json({ error: 'endsAt must be after startsAt' });
+    }
+
+    const campaign = await prisma.referralCampaign.create({ data: { ...data, createdById: req.user.id } });
+    res.status(201).json(withStatus(campaign));
+  } catch (error) {
+    console.error('Create referral campaign error:', error);
+    res.status(500).json({ error: 'Failed to create referral campaign' });
+  }
+});
+
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const [campaigns, total] = await Promise.all([
+        prisma.referralCampaign.findMany({
+          include: { _count: { select: { codes: true, referrals: true, clicks: true } } },
+          orderBy: { startsAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.referralCampaign.count()
+      ]);
+
+      res.json({
+        campaigns: campaigns.map(withStatus),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    } catch (error) {
+      console.error('List referral campaigns error:', error);
+      res.status(500).json({ error: 'Failed to fetch referral campaigns' });
+    }
+  }
+);
+
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const codes = await prisma.referralCode.findMany({
+      where: { campaignId: campaign.id },
+      include: { owner: { select: { id: true, username: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({ ...withStatus(campaign), codes });
+  } catch (error) {
+    console.error('Get referral campaign error:', error);
+    res.status(500).json({ error: 'Failed to fetch referral campaign' });
+  }
+});
+
+// Changes apply to referrals accepted from now on; existing ledger rows keep their amounts
+router.put('/:id', campaignValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    const data = campaignData(req.body);
+    const startsAt = data.startsAt || campaign.startsAt;
+    const endsAt = data.endsAt === undefined ? campaign.endsAt : data.endsAt;
+    if (endsAt && endsAt <= startsAt) {
+      return res.status(400).json({ error: 'endsAt must be after startsAt' });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Campaign codes expire with the campaign
+      if (data.endsAt !== undefined) {
+        await tx.referralCode.updateMany({ where: { campaignId: campaign.id }, data: { expiresAt: endsAt } });
+      }
+      return tx.referralCampaign.update({ where: { id: campaign.id }, data });
+    });
+    res.json(withStatus(updated));
+  } catch (error) {
+    console.error('Update referral campaign error:', error);
+    res.status(500).json({ error: 'Failed to update referral campaign' });
+  }
+});
+
+// Issue one code: a vanity code when `code` is given, otherwise a random one
+router.post('/:id/codes',
+  [
+    body('ownerId').isString().notEmpty(),
+    body('code').optional().isString().bail().customSanitizer(v => v.toUpperCase()).matches(referralCampaigns.CODE_PATTERN)
+      .withMessage('Codes are 3-20 letters, digits or dashes'),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      const owner = await prisma.user.findUnique({ where: { id: req.body.ownerId }, select: { id: true } });
+      if (!owner) return res.status(404).json({ error: 'Code owner not found' });
+
+      if (req.body.code && await prisma.referralCode.findUnique({ where: { code: req.body.code } })) {
+        return res.status(409).json({ error: 'That code is already taken' });
+      }
+
+      const code = await referralCampaigns.issueCode(campaign, {
+        ownerId: owner.id,
+        code: req.body.code,
+        maxUses: req.body.maxUses ?? null
+      });
+      res.status(201).json(code);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'That code is already taken' });
+      }
+      console.error('Issue referral code error:', error);
+      res.status(500).json({ error: 'Failed to issue referral code' });
+    }
+  }
+);
+
+// Issue `count` random codes to each owner
+router.post('/:id/codes/bulk',
+  [
+    body('ownerIds').isArray({ min: 1, max: referralCampaigns.MAX_BULK_CODES }),
+    body('ownerIds.*').isString().notEmpty(),
+    body('count').optional().isInt({ min: 1, max: 100 }),
+    body('prefix').optional().isString().matches(/^[A-Za-z0-9-]{0,10}$/),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      const ownerIds = [...new Set(req.body.ownerIds)];
+      const count = parseInt(req.body.count) || 1;
+      if (ownerIds.length * count > referralCampaigns.MAX_BULK_CODES) {
+        return res.status(400).json({ error: `At most ${referralCampaigns.MAX_BULK_CODES} codes can be issued at once` });
+      }
+
+      const owners = await prisma.user.findMany({ where: { id: { in: ownerIds } }, select: { id: true } });
+      const missing = ownerIds.filter(id => !owners.some(o => o.id === id));
+      if (missing.length > 0) {
+        return res.status(404).json({ error: 'Some code owners were not found', missing });
+      }
+
+      const codes = await referralCampaigns.issueBulk(campaign, {
+        ownerIds,
+        count,
+        prefix: req.body.prefix,
+        maxUses: req.body.maxUses ?? null
+      });
+      res.status(201).json({ requested: ownerIds.length * count, issued: codes.length, codes });
+    } catch (error) {
+      console.error('Bulk issue referral codes error:', error);
+      res.status(500).json({ error: 'Failed to issue referral codes' });
+    }
+  }
+);
+
+router.get('/:id/funnel', async (req, res) => {
+  try {
+    const campaign = await loadCampaign(req, res);
+    if (!campaign) return;
+
+    res.json(await referralCampaigns.funnel(campaign));
+  } catch (error) {
+    console.error('Referral campaign funnel error:', error);
+    res.status(500).json({ error: 'Failed to build referral campaign funnel' });
+  }
+});
+
+module.exports = router;
@@ -2,19 +2,25 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
 const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/requireRole');
+const referralRewards = require('../services/referralRewards');
+const referralLeaderboard = require('../services/referralLeaderboard');
+const referralCampaigns = require('../services/referralCampaigns');
 const crypto = require('crypto');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+const MAX_RANGE_DAYS = 366;
+
 // Generate or get existing referral code for user
 router.post('/generate', auth, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Check if user already has a referral code
+    // Check if user already has a personal referral code (campaign codes are issued separately)
     let referralCode = await prisma.referralCode.findFirst({
-      where: { ownerId: userId }
+      where: { ownerId: userId, campaignId: null }
     });
 
     if (!referralCode) {
@@ -53,12 +59,13 @@ router.post('/generate', auth, async (req, res) => {
   }
 });
 
-// Accept referral code during signup
-router.post('/accept', 
+// Accept referral code during signup; the signed-in user is the referee
+router.post('/accept',
+  auth,
   [
     body('referralCode').isString().isLength({ min: 1, max: 20 }),
-    body('refereeId').isString(),
-    body('role').isIn(['FREELANCER', 'CLIENT'])
+    body('role').isIn(['FREELANCER', 'CLIENT']),
+    body('clickId').optional().isString()
   ],
   async (req, res) => {
     try {
@@ -67,7 +74,8 @@ router.post('/accept',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { referralCode, refereeId, role } = req.body;
+      const { referralCode, role, clickId } = req.body;
+      const refereeId = req.user.id;
 
       // Check if referee already has a referral
       const existingReferral = await prisma.referral.findUnique({
@@ -80,8 +88,8 @@ router.post('/accept',
 
       // Find referral code
       const code = await prisma.referralCode.findUnique({
-        where: { code: referralCode },
-        include: { owner: true }
+        where: { code: referralCode.toUpperCase() },
+        include: { owner: true, campaign: true }
       });
 
       if (!code) {
@@ -98,12 +106,21 @@ router.post('/accept',
         return res.status(400).json({ error: 'Referral code has reached maximum uses' });
       }
 
+      if (code.campaign) {
+        const problem = await referralCampaigns.acceptanceProblem(code.campaign, role);
+        if (problem) return res.status(problem.status).json({ error: problem.error });
+      }
+
+      // Attribution only counts for a lookup of this code that no one signed up from yet
+      const click = clickId ? await prisma.referralClick.findUnique({ where: { id: clickId }, include: { referral: true } }) : null;
+      const attributedClickId = click && click.codeId === code.id && !click.referral ? click.id : null;
+
       // Check if user is trying to refer themselves
       if (code.ownerId === refereeId) {
         return res.status(400).json({ error: 'Cannot refer yourself' });
       }
 
-      // Create referral and update counts
+      // Create referral and update counts; rewards are paid once the referee qualifies
       const result = await prisma.$transaction(async (tx) => {
         // Create referral record
         const referral = await tx.referral.create({
@@ -111,10 +128,14 @@ router.post('/accept',
             referrerId: code.ownerId,
             refereeId,
             codeId: code.id,
+            campaignId: code.campaignId,
+            clickId: attributedClickId,
             role
           }
         });
 
+        const amounts = await referralRewards.createForReferral(tx, referral, code.campaign);
+
         // Update referral code usage count
         await tx.referralCode.update({
           where: { id: code.id },
@@ -124,31 +145,35 @@ router.post('/accept',
         // Update referrer's referral count
         await tx.user.update({
           where: { id: code.ownerId },
-          data: { 
-            referralCount: { increment: 1 },
-            totalEarned: { increment: 50 } // 50 tokens reward for referrer
-          }
+          data: { referralCount: { increment: 1 } }
         });
 
-        // Update referee's referred by and give signup bonus
+        // Update referee's referred by
         await tx.user.update({
           where: { id: refereeId },
-          data: { 
-            referredById: code.ownerId,
-            totalEarned: { increment: 10 } // 10 tokens reward for referee
-          }
+          data: { referredById: code.ownerId }
         });
 
-        return referral;
+        return { referral, amounts };
       });
 
+      // Rewards are credited by the platform; the on-chain registration only records the referral
+      const referral = await referralRewards.findReferral({ id: result.referral.id });
+      const onchainRegistration = await referralRewards.registrationTransaction(referral)
+        .catch(e => {
+          console.error('Build referral registration error:', e);
+          return null;
+        });
+
       res.json({
         success: true,
-        referral: result,
+        referral: result.referral,
         rewards: {
-          referrer: 50,
-          referee: 10
-        }
+          ...result.amounts,
+          status: 'PENDING',
+          qualifiesOn: 'first completed project'
+        },
+        onchainRegistration
       });
     } catch (error) {
       console.error('Accept referral error:', error);
@@ -162,9 +187,14 @@ router.get('/me', auth, async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Get user's referral code
+    // Get user's personal referral code and the campaign codes issued to them
     const referralCode = await prisma.referralCode.findFirst({
-      where: { ownerId: userId }
+      where: { ownerId: userId, campaignId: null }
+    });
+    const campaignCodes = await prisma.referralCode.findMany({
+      where: { ownerId: userId, campaignId: { not: null } },
+      include: { campaign: { select: { id: true, name: true, startsAt: true, endsAt: true, active: true } } },
+      orderBy: { createdAt: 'desc' }
     });
 
     // Get referrals made by user
@@ -184,6 +214,14 @@ router.get('/me', auth, async (req, res) => {
       select: { referralCount: true, referredById: true }
     });
 
+    const rewards = await referralRewards.forUser(userId);
+
+    // Referees still to register on-chain get the transaction to sign
+    const referral = user.referredById ? await referralRewards.findReferral({ refereeId: userId }) : null;
+    const onchainRegistration = referral
+      ? await referralRewards.registrationTransaction(referral).catch(() => null)
+      : null;
+
     res.json({
       referralCode: referralCode ? {
         code: referralCode.code,
@@ -192,9 +230,19 @@ router.get('/me', auth, async (req, res) => {
         expiresAt: referralCode.expiresAt,
         referralLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/register?ref=${referralCode.code}`
       } : null,
+      campaignCodes: campaignCodes.map(({ campaign, ...code }) => ({
+        code: code.code,
+        usesCount: code.usesCount,
+        maxUses: code.maxUses,
+        expiresAt: code.expiresAt,
+        referralLink: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/register?ref=${code.code}`,
+        campaign: { ...campaign, status: referralCampaigns.status(campaign) }
+      })),
       referralCount: user.referralCount,
       referralsMade,
-      wasReferred: !!user.referredById
+      wasReferred: !!user.referredById,
+      rewards,
+      onchainRegistration
     });
   } catch (error) {
     console.error('Get referral stats error:', error);
@@ -202,11 +250,15 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Get leaderboard
+// Get leaderboard: qualified referrals per referrer in a rolling week, month or all time (cached),
+// or in a custom from/to range (computed on request), with rank movement against the previous period
 router.get('/leaderboard',
   [
+    query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('timeframe').optional().isIn(['week', 'month', 'all'])
+    query('timeframe').optional().isIn(['week', 'month', 'all']),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
   ],
   async (req, res) => {
     try {
@@ -215,69 +267,121 @@ router.get('/leaderboard',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const limit = parseInt(req.query.limit) || 10;
-      const timeframe = req.query.timeframe || 'all';
+      const { from, to, page = 1 } = req.query;
+      let result;
+      let timeframe;
 
-      let whereClause = {};
-      
-      if (timeframe !== 'all') {
-        const now = new Date();
-        let startDate;
-        
-        if (timeframe === 'week') {
-          startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        } else if (timeframe === 'month') {
-          startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      if (from || to) {
+        if (!from || !to) {
+          return res.status(400).json({ error: 'A custom range needs both from and to' });
+        }
+        const start = new Date(from);
+        const end = new Date(to);
+        if (end <= start) {
+          return res.status(400).json({ error: 'to must be after from' });
         }
-        
-        whereClause.createdAt = { gte: startDate };
+        if (end - start > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+          return res.status(400).json({ error: `Custom ranges are limited to ${MAX_RANGE_DAYS} days` });
+        }
+        timeframe = 'custom';
+        result = await referralLeaderboard.rangeStandings(start, end, req.query);
+      } else {
+        timeframe = req.query.timeframe || 'all';
+        result = await referralLeaderboard.standings(timeframe.toUpperCase(), req.query);
       }
 
-      // Get top referrers
-      const topReferrers = await prisma.user.findMany({
-        where: {
-          referralCount: { gt: 0 }
-        },
-        select: {
-          id: true,
-          username: true,
-          avatar: true,
-          referralCount: true,
-          referralsMade: timeframe === 'all' ? false : {
-            where: whereClause,
-            select: { id: true }
-          }
-        },
-        orderBy: { referralCount: 'desc' },
-        take: limit
+      res.json({
+        leaderboard: result.entries,
+        timeframe,
+        period: result.period,
+        previousPeriod: result.previousPeriod,
+        computedAt: result.computedAt,
+        total: result.total,
+        pagination: {
+          page: parseInt(page),
+          limit: result.take,
+          total: result.total,
+          pages: Math.ceil(result.total / result.take)
+        }
       });
+    } catch (error) {
+      console.error('Get leaderboard error:', error);
+      res.status(500).json({ error: 'Failed to get leaderboard' });
+    }
+  }
+);
+
+// Reward ledger reconciliation: totals, overdue qualified rewards, on-chain amount mismatches and
+// payouts the contract made without a ledger row
+router.get('/rewards/reconciliation', auth, requireRole('ADMIN', 'SYSTEM'), async (req, res) => {
+  try {
+    res.json(await referralRewards.report());
+  } catch (error) {
+    console.error('Referral reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to build referral reconciliation' });
+  }
+});
 
-      // If filtering by timeframe, recalculate counts
-      let leaderboard = topReferrers;
-      if (timeframe !== 'all') {
-        leaderboard = topReferrers.map(user => ({
-          ...user,
-          referralCount: user.referralsMade.length,
-          referralsMade: undefined
-        })).filter(user => user.referralCount > 0)
-        .sort((a, b) => b.referralCount - a.referralCount);
+// Pay a qualified reward from the platform now rather than on the next payout pass
+router.post('/rewards/:id/credit',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  async (req, res) => {
+    try {
+      const reward = await prisma.referralReward.findUnique({ where: { id: req.params.id } });
+      if (!reward) return res.status(404).json({ error: 'Referral reward not found' });
+      if (reward.status !== 'QUALIFIED') {
+        return res.status(400).json({ error: `Only qualified rewards can be credited; this one is ${reward.status}` });
       }
 
+      const paid = await referralRewards.settleOnPlatform(reward);
+      if (!paid) return res.status(409).json({ error: 'The reward was settled in the meantime' });
+      res.json(paid);
+    } catch (error) {
+      console.error('Credit referral reward error:', error);
+      res.status(500).json({ error: 'Failed to credit referral reward' });
+    }
+  }
+);
+
+router.post('/rewards/:id/clawback',
+  auth,
+  requireRole('ADMIN', 'SYSTEM'),
+  [body('reason').isString().trim().isLength({ min: 1, max: 500 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const reward = await prisma.referralReward.findUnique({ where: { id: req.params.id } });
+      if (!reward) return res.status(404).json({ error: 'Referral reward not found' });
+      if (reward.status === 'CLAWED_BACK') {
+        return res.status(400).json({ error: 'Reward is already clawed back' });
+      }
+
+      const clawed = await referralRewards.clawBack(reward, req.body.reason);
+      if (!clawed) return res.status(409).json({ error: 'The reward changed in the meantime; try again' });
       res.json({
-        leaderboard,
-        timeframe,
-        total: leaderboard.length
+        ...clawed,
+        // Minted tokens stay in the wallet; only the platform balance is reversed
+        onchainRecoveryNeeded: reward.status === 'PAID' && reward.payoutMethod === 'ONCHAIN'
       });
     } catch (error) {
-      console.error('Get leaderboard error:', error);
-      res.status(500).json({ error: 'Failed to get leaderboard' });
+      console.error('Claw back referral reward error:', error);
+      res.status(500).json({ error: 'Failed to claw back referral reward' });
     }
   }
 );
 
-// Get referral code info (public endpoint)
+// Get referral code info (public endpoint). Each lookup is recorded as a click with the
+// utm_* and landing query parameters; pass the returned clickId to /accept for attribution.
 router.get('/:code',
-  [param('code').isString().isLength({ min: 1, max: 20 })],
+  [
+    param('code').isString().isLength({ min: 1, max: 20 }),
+    query(['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'landing']).optional().isString()
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -285,14 +389,15 @@ router.get('/:code',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { code } = req.params;
+      const code = req.params.code.toUpperCase();
 
       const referralCode = await prisma.referralCode.findUnique({
         where: { code },
         include: {
           owner: {
             select: { id: true, username: true, avatar: true }
-          }
+          },
+          campaign: true
         }
       });
 
@@ -302,6 +407,10 @@ router.get('/:code',
 
       const isExpired = referralCode.expiresAt && new Date() > referralCode.expiresAt;
       const isMaxedOut = referralCode.maxUses && referralCode.usesCount >= referralCode.maxUses;
+      const { campaign } = referralCode;
+      const campaignStatus = campaign ? referralCampaigns.status(campaign) : null;
+
+      const click = await referralCampaigns.recordClick(referralCode, req.query, req.get('referer'));
 
       res.json({
         code: referralCode.code,
@@ -309,9 +418,18 @@ router.get('/:code',
         usesCount: referralCode.usesCount,
         maxUses: referralCode.maxUses,
         expiresAt: referralCode.expiresAt,
-        isValid: !isExpired && !isMaxedOut,
+        campaign: campaign ? {
+          id: campaign.id,
+          name: campaign.name,
+          description: campaign.description,
+          endsAt: campaign.endsAt,
+          targetRole: campaign.targetRole,
+          status: campaignStatus
+        } : null,
+        isValid: !isExpired && !isMaxedOut && (!campaign || campaignStatus === 'running'),
         isExpired,
-        isMaxedOut
+        isMaxedOut,
+        clickId: click.id
       });
     } catch (error) {
       console.error('Get referral code info error:', error);
@@ -1,12 +1,21 @@
 const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const { requireRole, isPrivileged } = require('../middleware/requireRole');
 const userRepRepo = require('../repositories/userReputationRepository');
 const repEventRepo = require('../repositories/reputationEventRepository');
+const snapshotRepo = require('../repositories/reputationSnapshotRepository');
 const reputationService = require('../services/reputationService');
+const explainer = require('../services/reputationExplainer');
+const profiles = require('../services/reputationProfiles');
+const rescoreJob = require('../jobs/reputationRescore');
 
 const router = express.Router();
+const prisma = new PrismaClient();
 
-// Get a user's reputation snapshot and recent events
+// Get a user's reputation snapshot and recent events. Read-only: a user whose score has not been
+// computed yet gets computed: false and a null score.
 router.get('/users/:id/reputation', async (req, res) => {
   try {
     const userId = req.params.id;
@@ -14,32 +23,176 @@ router.get('/users/:id/reputation', async (req, res) => {
     const events = await repEventRepo.listByUser(userId, { limit: 50 });
 
     if (!rep) {
-      // If no record yet, compute a default one on the fly
-      const computed = await reputationService.recomputeUser(userId);
-      return res.json({ reputation: computed, events });
+      const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      return res.json({
+        reputation: { userId, computed: false, score: null, components: null, onChainBreakdown: null, updatedAt: null },
+        events
+      });
     }
 
-    res.json({ reputation: { userId, score: rep.score, components: {
+    res.json({ reputation: { userId, computed: true, score: rep.score, components: {
       ratingScore: rep.ratingScore,
       onChainScore: rep.onChainScore,
+      eventsScore: rep.eventsScore,
       fraudPenalty: rep.fraudPenalty,
-    }, updatedAt: rep.lastUpdatedAt }, events });
+    }, onChainBreakdown: rep.onChainBreakdown, updatedAt: rep.lastUpdatedAt }, events });
   } catch (err) {
     console.error('Get reputation error:', err);
     res.status(500).json({ error: 'Failed to fetch reputation' });
   }
 });
 
-// Recompute a user's reputation manually (auth required)
-router.post('/reputation/recompute/:id', auth, async (req, res) => {
+// Score over time with per-component deltas between consecutive snapshots
+router.get('/users/:id/reputation/history',
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.id;
+      const snapshots = await snapshotRepo.listByUser(userId, {
+        from: req.query.from ? new Date(req.query.from) : null,
+        to: req.query.to ? new Date(req.query.to) : null,
+        limit: parseInt(req.query.limit) || 100
+      });
+
+      const points = snapshots.map((snap, i) => ({
+        at: snap.createdAt,
+        score: snap.score,
+        components: {
+          ratingScore: snap.ratingScore,
+          onChainScore: snap.onChainScore,
+          eventsScore: snap.eventsScore,
+          fraudPenalty: snap.fraudPenalty,
+        },
+        deltas: i === 0 ? snap.explanations?.deltas ?? null : explainer.componentDeltas(snapshots[i - 1], snap),
+      }));
+
+      res.json({ userId, points });
+    } catch (err) {
+      console.error('Get reputation history error:', err);
+      res.status(500).json({ error: 'Failed to fetch reputation history' });
+    }
+  }
+);
+
+// Human-readable reasons behind the latest score change. Read-only: a user whose score has not
+// been computed yet gets computed: false and empty explanations.
+router.get('/users/:id/reputation/explain', async (req, res) => {
   try {
     const userId = req.params.id;
-    const { weights, decay, onChainBase, fraudSignals } = req.body || {};
-    const result = await reputationService.recomputeUser(userId, { weights, decay, onChainBase, fraudSignals });
-    res.json(result);
+    const snapshot = await snapshotRepo.latest(userId);
+    if (!snapshot) {
+      const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+      if (!user) return res.status(404).json({ error: 'User not found' });
+
+      return res.json({
+        userId,
+        computed: false,
+        score: null,
+        at: null,
+        deltas: null,
+        componentChanges: [],
+        reasons: [],
+        fraudRules: [],
+      });
+    }
+
+    const explanations = snapshot.explanations || {};
+    res.json({
+      userId,
+      computed: true,
+      score: snapshot.score,
+      at: snapshot.createdAt,
+      deltas: explanations.deltas ?? null,
+      componentChanges: explanations.componentChanges || [],
+      reasons: explanations.reasons || [],
+      fraudRules: explanations.fraudRules || [],
+    });
+  } catch (err) {
+    console.error('Explain reputation error:', err);
+    res.status(500).json({ error: 'Failed to explain reputation' });
+  }
+});
+
+// Weight profiles available to the calculator
+router.get('/profiles', (req, res) => {
+  res.json({ active: profiles.active().id, profiles: profiles.list() });
+});
+
+// Recompute a user's reputation.
+// Users may recompute their own score with the active profile; admin/system may recompute anyone
+// and pass overrides (profile, weights, decay, onChainBase, fraudSignals). dryRun never persists.
+// '/reputation/recompute/:id' is kept for existing clients.
+router.post(['/recompute/:id', '/reputation/recompute/:id'],
+  auth,
+  [
+    body('profile').optional().isString(),
+    body('weights').optional().isObject(),
+    body('decay').optional().isObject(),
+    body('onChainBase').optional().isFloat({ min: 0, max: 100 }),
+    body('fraudSignals').optional().isObject(),
+    body('dryRun').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.id;
+      const { profile, weights, decay, onChainBase, fraudSignals } = req.body || {};
+      const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+      const privileged = isPrivileged(req.user);
+
+      if (!privileged && userId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to recompute this reputation' });
+      }
+
+      const hasOverrides = [profile, weights, decay, onChainBase, fraudSignals].some(v => v !== undefined);
+      if (!privileged && hasOverrides) {
+        return res.status(403).json({ error: 'Overrides require an admin or system role' });
+      }
+
+      if (profile && !profiles.get(profile)) {
+        return res.status(400).json({ error: `Unknown reputation profile: ${profile}` });
+      }
+
+      const result = await reputationService.recomputeUser(userId, {
+        profile,
+        weights,
+        decay,
+        onChainBase: onChainBase !== undefined ? parseFloat(onChainBase) : undefined,
+        fraudSignals,
+        dryRun
+      });
+      res.json(result);
+    } catch (err) {
+      console.error('Recompute reputation error:', err);
+      res.status(500).json({ error: 'Failed to recompute reputation' });
+    }
+  }
+);
+
+// Re-score every user not computed with the active profile (runs in the background)
+router.post('/rescore', auth, requireRole('ADMIN', 'SYSTEM'), async (req, res) => {
+  try {
+    const alreadyRunning = rescoreJob.isRunning();
+    rescoreJob.run().catch(e => console.error('Rescore job error:', e));
+    res.status(202).json({ profile: profiles.active().id, started: !alreadyRunning, alreadyRunning });
   } catch (err) {
-    console.error('Recompute reputation error:', err);
-    res.status(500).json({ error: 'Failed to recompute reputation' });
+    console.error('Start rescore error:', err);
+    res.status(500).json({ error: 'Failed to start rescore' });
   }
 });
 
@@ -0,0 +1,261 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const reviewService = require('../services/reviewService');
+const notificationEvents = require('../services/notificationEvents');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// { [category]: 1-5 }; which keys are allowed depends on the author's side
+const isScoreMap = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('categories must be an object of scores');
+  }
+  for (const score of Object.values(value)) {
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw new Error('Category scores must be integers from 1 to 5');
+    }
+  }
+  return true;
+};
+
+const reviewValidators = (required) => [
+  required ? body('rating').isInt({ min: 1, max: 5 }) : body('rating').optional().isInt({ min: 1, max: 5 }),
+  body('title').optional().trim().isLength({ min: 1, max: 100 }),
+  body('comment').optional().trim().isLength({ max: 2000 }),
+  body('categories').optional().custom(isScoreMap)
+];
+
+async function loadReview(req, res) {
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.id },
+    include: { project: true }
+  });
+  if (!review) {
+    res.status(404).json({ error: 'Review not found' });
+    return null;
+  }
+  return review;
+}
+
+// Review the other party of a completed project
+router.post('/',
+  auth,
+  [body('projectId').isString().notEmpty(), ...reviewValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { projectId, rating, title, comment, categories } = req.body;
+
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const sides = reviewService.sidesFor(project, req.user.id);
+      if (!sides) {
+        return res.status(403).json({ error: 'Only the client and freelancer of a project can review it' });
+      }
+
+      if (project.status !== 'COMPLETED') {
+        return res.status(400).json({ error: 'Projects can be reviewed once they are completed' });
+      }
+
+      const { closesAt } = await reviewService.windowFor(project);
+      if (closesAt <= new Date()) {
+        return res.status(400).json({ error: `Reviews close ${reviewService.WINDOW_DAYS} days after completion` });
+      }
+
+      const unknown = reviewService.invalidCategories(sides.authorRole, categories);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown categories: ${unknown.join(', ')}`,
+          categories: reviewService.CATEGORIES[sides.authorRole]
+        });
+      }
+
+      const existing = await prisma.review.findUnique({
+        where: { projectId_authorId: { projectId, authorId: req.user.id } }
+      });
+      if (existing) {
+        return res.status(409).json({ error: 'You have already reviewed this project' });
+      }
+
+      const { review, revealed } = await reviewService.create({
+        project,
+        authorId: req.user.id,
+        rating: parseInt(rating),
+        title,
+        comment,
+        categories,
+        closesAt
+      });
+
+      res.status(201).json({ review, revealed });
+    } catch (error) {
+      console.error('Error creating review:', error);
+      res.status(500).json({ error: 'Failed to create review' });
+    }
+  }
+);
+
+// Edit own review while it is still hidden
+router.put('/:id',
+  auth,
+  reviewValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await loadReview(req, res);
+      if (!review) return;
+
+      if (review.authorId !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to edit this review' });
+      }
+
+      if (review.revealAt <= new Date()) {
+        return res.status(400).json({ error: 'Published reviews cannot be edited' });
+      }
+
+      const unknown = reviewService.invalidCategories(review.authorRole, req.body.categories);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown categories: ${unknown.join(', ')}`,
+          categories: reviewService.CATEGORIES[review.authorRole]
+        });
+      }
+
+      const { rating, title, comment, categories } = req.body;
+      const updated = await reviewService.update(review, {
+        rating: rating !== undefined ? parseInt(rating) : undefined,
+        title,
+        comment,
+        categories
+      });
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating review:', error);
+      res.status(500).json({ error: 'Failed to update review' });
+    }
+  }
+);
+
+// Reviewed user's public reply; replaces an earlier one
+router.put('/:id/response',
+  auth,
+  [body('response').trim().isLength({ min: 1, max: 1000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await loadReview(req, res);
+      if (!review) return;
+
+      if (review.targetId !== req.user.id) {
+        return res.status(403).json({ error: 'Only the reviewed user can respond' });
+      }
+
+      if (review.revealAt > new Date()) {
+        return res.status(400).json({ error: 'Review is not published yet' });
+      }
+
+      const updated = await reviewService.respond(review, req.body.response);
+      notificationEvents.reviewResponded(updated, review.project);
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error responding to review:', error);
+      res.status(500).json({ error: 'Failed to respond to review' });
+    }
+  }
+);
+
+// Reviews of a project; participants also see their own hidden review and the review window
+router.get('/project/:projectId', auth, async (req, res) => {
+  try {
+    const project = await prisma.project.findUnique({ where: { id: req.params.projectId } });
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const reviews = await reviewService.forProject(project.id, req.user.id);
+    const sides = reviewService.sidesFor(project, req.user.id);
+    if (!sides || project.status !== 'COMPLETED') {
+      return res.json({ reviews });
+    }
+
+    const { closesAt } = await reviewService.windowFor(project);
+    res.json({
+      reviews,
+      window: {
+        closesAt,
+        role: sides.authorRole,
+        categories: reviewService.CATEGORIES[sides.authorRole],
+        reviewed: reviews.some(r => r.authorId === req.user.id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Published reviews a user received
+router.get('/user/:userId',
+  [
+    query('role').optional().isIn(['CLIENT', 'FREELANCER']),
+    query('rating').optional().isInt({ min: 1, max: 5 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page = 1 } = req.query;
+      const { reviews, total, take } = await reviewService.forUser(req.params.userId, req.query);
+
+      res.json({
+        reviews,
+        pagination: {
+          page: parseInt(page),
+          limit: take,
+          total,
+          pages: Math.ceil(total / take)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching user reviews:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  }
+);
+
+// Rating distribution and category averages, overall and as client / freelancer
+router.get('/user/:userId/stats', async (req, res) => {
+  try {
+    res.json(await reviewService.stats(req.params.userId));
+  } catch (error) {
+    console.error('Error fetching review stats:', error);
+    res.status(500).json({ error: 'Failed to fetch review stats' });
+  }
+});
+
+module.exports = router;
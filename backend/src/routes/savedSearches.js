@@ -0,0 +1,173 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const auth = require('../middleware/auth');
+const projectSearch = require('../services/projectSearch');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const MAX_SAVED_SEARCHES = 20;
+
+const filterValidators = [
+  body('q').optional().trim().isLength({ max: 200 }),
+  body('category').optional().trim().isLength({ min: 1, max: 50 }),
+  body('skills').optional().isArray({ max: 10 }),
+  body('skills.*').isString(),
+  body('minBudget').optional().isFloat({ min: 0 }),
+  body('maxBudget').optional().isFloat({ min: 0 }),
+  body('sort').optional().isIn(projectSearch.SORTS),
+  body('alertsEnabled').optional().isBoolean()
+];
+
+// Stored filters are what GET /api/projects accepts, minus status: saved searches look at open projects
+function filtersFrom(input) {
+  const { q, category, skills, minBudget, maxBudget } = projectSearch.parseFilters(input);
+  return { q, category, skills, minBudget, maxBudget };
+}
+
+async function loadOwnSearch(req, res) {
+  const saved = await prisma.savedSearch.findUnique({ where: { id: req.params.id } });
+  if (!saved || saved.userId !== req.user.id) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return saved;
+}
+
+// List own saved searches
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await prisma.savedSearch.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(searches);
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// Save a search
+router.post('/',
+  auth,
+  [body('name').trim().isLength({ min: 1, max: 100 }), ...filterValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const count = await prisma.savedSearch.count({ where: { userId: req.user.id } });
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+      }
+
+      const saved = await prisma.savedSearch.create({
+        data: {
+          userId: req.user.id,
+          name: req.body.name,
+          filters: filtersFrom(req.body),
+          sort: req.body.sort,
+          alertsEnabled: req.body.alertsEnabled ?? true
+        }
+      });
+
+      res.status(201).json(saved);
+    } catch (error) {
+      console.error('Error saving search:', error);
+      res.status(500).json({ error: 'Failed to save search' });
+    }
+  }
+);
+
+// Update a saved search; any filter field given replaces the stored filters
+router.patch('/:id',
+  auth,
+  [body('name').optional().trim().isLength({ min: 1, max: 100 }), ...filterValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const saved = await loadOwnSearch(req, res);
+      if (!saved) return;
+
+      const filterKeys = ['q', 'category', 'skills', 'minBudget', 'maxBudget'];
+      const data = {};
+      if (req.body.name !== undefined) data.name = req.body.name;
+      if (req.body.sort !== undefined) data.sort = req.body.sort;
+      if (req.body.alertsEnabled !== undefined) data.alertsEnabled = req.body.alertsEnabled;
+      if (filterKeys.some(key => req.body[key] !== undefined)) data.filters = filtersFrom(req.body);
+
+      const updated = await prisma.savedSearch.update({ where: { id: saved.id }, data });
+
+      res.json(updated);
+    } catch (error) {
+      console.error('Error updating saved search:', error);
+      res.status(500).json({ error: 'Failed to update saved search' });
+    }
+  }
+);
+
+// Delete a saved search
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const saved = await loadOwnSearch(req, res);
+    if (!saved) return;
+
+    await prisma.savedSearch.delete({ where: { id: saved.id } });
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+// Run a saved search
+router.get('/:id/results',
+  auth,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: projectSearch.MAX_LIMIT })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const saved = await loadOwnSearch(req, res);
+      if (!saved) return;
+
+      const { page = 1, limit = 10 } = req.query;
+      const filters = projectSearch.parseFilters(saved.filters);
+      const sort = saved.sort || (filters.q ? 'relevance' : 'newest');
+      const { projects, total, take, facets } = await projectSearch.search(filters, { sort, page, limit });
+
+      res.json({
+        projects,
+        facets,
+        sort,
+        pagination: {
+          page: parseInt(page),
+          limit: take,
+          total,
+          pages: Math.ceil(total / take)
+        }
+      });
+    } catch (error) {
+      console.error('Error running saved search:', error);
+      res.status(500).json({ error: 'Failed to run saved search' });
+    }
+  }
+);
+
+module.exports = router;
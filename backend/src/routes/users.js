@@ -1,97 +1,60 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/auth');
+const freelancerRanking = require('../services/freelancerRanking');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get all users (freelancers) with filtering
-router.get('/', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      skills,
-      minRate,
-      maxRate,
-      location,
-      search
-    } = req.query;
+// Discover freelancers, ranked by reputation, recent activity, completion rate and skill match.
+// Pages are cursor-based: pass back pagination.nextCursor to continue.
+router.get('/',
+  [
+    query('limit').optional().isInt({ min: 1, max: freelancerRanking.MAX_LIMIT }),
+    query('cursor').optional().isString(),
+    query('sort').optional().isIn(freelancerRanking.SORTS),
+    query('minRate').optional().isFloat({ min: 0 }),
+    query('maxRate').optional().isFloat({ min: 0 }),
+    query('minReputation').optional().isFloat({ min: 0, max: 100 }),
+    query('maxActiveProjects').optional().isInt({ min: 0 }),
+    query('verified').optional().isBoolean(),
+    query('availability').optional().custom(value => String(value).split(',')
+      .every(a => freelancerRanking.AVAILABILITY.includes(a.trim().toUpperCase())))
+      .withMessage(`availability must be a comma-separated list of ${freelancerRanking.AVAILABILITY.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const skip = (page - 1) * limit;
-    const where = {};
+      const sort = req.query.sort || 'relevance';
+      const result = await freelancerRanking.search(freelancerRanking.parseFilters(req.query), {
+        sort,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
 
-    if (skills) {
-      where.skills = {
-        hasSome: skills.split(',')
-      };
-    }
-    if (minRate || maxRate) {
-      where.hourlyRate = {};
-      if (minRate) where.hourlyRate.gte = parseFloat(minRate);
-      if (maxRate) where.hourlyRate.lte = parseFloat(maxRate);
-    }
-    if (location) {
-      where.location = {
-        contains: location,
-        mode: 'insensitive'
-      };
-    }
-    if (search) {
-      where.OR = [
-        { username: { contains: search, mode: 'insensitive' } },
-        { firstName: { contains: search, mode: 'insensitive' } },
-        { lastName: { contains: search, mode: 'insensitive' } },
-        { bio: { contains: search, mode: 'insensitive' } }
-      ];
+      res.json({
+        users: result.users,
+        sort,
+        pagination: {
+          limit: result.take,
+          nextCursor: result.nextCursor,
+          total: result.total
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Failed to fetch users' });
     }
-
-    const [users, total] = await Promise.all([
-      prisma.user.findMany({
-        where,
-        skip: parseInt(skip),
-        take: parseInt(limit),
-        select: {
-          id: true,
-          username: true,
-          firstName: true,
-          lastName: true,
-          bio: true,
-          avatar: true,
-          skills: true,
-          hourlyRate: true,
-          location: true,
-          reputation: true,
-          totalEarned: true,
-          createdAt: true,
-          _count: {
-            select: {
-              freelancerProjects: {
-                where: { status: 'COMPLETED' }
-              }
-            }
-          }
-        },
-        orderBy: { reputation: 'desc' }
-      }),
-      prisma.user.count({ where })
-    ]);
-
-    res.json({
-      users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ error: 'Failed to fetch users' });
   }
-});
+);
 
 // Get single user profile
 router.get('/:id', async (req, res) => {
@@ -107,6 +70,7 @@ router.get('/:id', async (req, res) => {
         avatar: true,
         skills: true,
         hourlyRate: true,
+        availability: true,
         location: true,
         timezone: true,
         reputation: true,
@@ -130,9 +94,14 @@ router.get('/:id', async (req, res) => {
           take: 5
         },
         receivedReviews: {
+          where: { revealAt: { lte: new Date() } },
           select: {
             rating: true,
+            title: true,
             comment: true,
+            categories: true,
+            authorRole: true,
+            response: true,
             createdAt: true,
             author: {
               select: {
@@ -179,6 +148,7 @@ router.put('/profile',
     body('bio').optional().trim().isLength({ max: 500 }),
     body('skills').optional().isArray({ max: 20 }),
     body('hourlyRate').optional().isFloat({ min: 0 }),
+    body('availability').optional().isIn(freelancerRanking.AVAILABILITY),
     body('location').optional().trim().isLength({ max: 100 }),
     body('timezone').optional().trim().isLength({ max: 50 })
   ],
@@ -201,6 +171,7 @@ router.put('/profile',
           avatar: true,
           skills: true,
           hourlyRate: true,
+          availability: true,
           location: true,
           timezone: true,
           reputation: true,
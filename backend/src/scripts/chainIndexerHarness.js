@@ -0,0 +1,228 @@
+// Runs chainIndexer against a local Hardhat node: backfill, resuming from the stored cursor, and
+// on a reorg rolling back ChainLog rows and re-syncing the projects the orphaned logs changed.
+// Usage: start a node (cd contracts && npx hardhat node), then
+//   node src/scripts/chainIndexerHarness.js [rpcUrl]   (default HARDHAT_RPC_URL or http://127.0.0.1:8545)
+// Cursors, chain logs and reputation events are kept in memory instead of Postgres, so no database
+// is needed; the chain side is real. Reorgs are made with evm_snapshot/evm_revert. Exits non-zero
+// if any check fails.
+
+const Module = require('module');
+const { ethers } = require('ethers');
+
+const RPC_URL = process.argv[2] || process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+const CONFIRMATIONS = 2;
+
+// In-memory stand-ins with the same contracts as the repositories the indexer uses. `projects`
+// plays the rows handlers write besides reputation events (Project.status and the like).
+const store = { cursors: new Map(), logs: [], recomputed: [], projects: new Map(), resynced: [], failResync: false };
+
+const cursorRepo = {
+  cursorId: (chainId, contractAddress) => `${chainId}:${contractAddress.toLowerCase()}`,
+  async get(chainId, contractAddress) {
+    return store.cursors.get(cursorRepo.cursorId(chainId, contractAddress)) || null;
+  },
+  async save(chainId, contractAddress, { lastBlock, lastBlockHash = null }) {
+    const id = cursorRepo.cursorId(chainId, contractAddress);
+    const cursor = { id, chainId, contractAddress: contractAddress.toLowerCase(), lastBlock, lastBlockHash };
+    store.cursors.set(id, cursor);
+    return cursor;
+  }
+};
+
+const chainLogRepo = {
+  async isProcessed({ txHash, logIndex }) {
+    return store.logs.some(l => l.txHash === txHash && l.logIndex === logIndex);
+  },
+  async record({ cursorId, blockNumber, blockHash, txHash, logIndex, eventName, projectId = null, events = [] }) {
+    if (await chainLogRepo.isProcessed({ txHash, logIndex })) return null;
+    const row = { cursorId, blockNumber, blockHash, txHash, logIndex, eventName, projectId, reputationEvents: events };
+    store.logs.push(row);
+    return row;
+  },
+  async listBlocksFrom(cursorId, fromBlock) {
+    const blocks = new Map();
+    for (const l of store.logs) {
+      if (l.cursorId === cursorId && l.blockNumber >= fromBlock) blocks.set(`${l.blockNumber}:${l.blockHash}`, l);
+    }
+    return [...blocks.values()]
+      .map(({ blockNumber, blockHash }) => ({ blockNumber, blockHash }))
+      .sort((a, b) => a.blockNumber - b.blockNumber);
+  },
+  async listFromBlock(cursorId, fromBlock) {
+    return store.logs
+      .filter(l => l.cursorId === cursorId && l.blockNumber >= fromBlock)
+      .map(({ blockNumber, txHash, logIndex, eventName, projectId }) => ({ blockNumber, txHash, logIndex, eventName, projectId }))
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  },
+  async deleteFromBlock(cursorId, fromBlock) {
+    const orphaned = (l) => l.cursorId === cursorId && l.blockNumber >= fromBlock;
+    const affected = new Set(store.logs.filter(orphaned).flatMap(l => l.reputationEvents.map(e => e.userId)));
+    store.logs = store.logs.filter(l => !orphaned(l));
+    return [...affected];
+  }
+};
+
+const reputationService = {
+  async recomputeUser(userId) {
+    store.recomputed.push(userId);
+  }
+};
+
+function provide(request, exports) {
+  const filename = require.resolve(request);
+  const stub = new Module(filename, module);
+  stub.filename = filename;
+  stub.exports = exports;
+  stub.loaded = true;
+  require.cache[filename] = stub;
+}
+
+provide('../repositories/chainCursorRepository', cursorRepo);
+provide('../repositories/chainLogRepository', chainLogRepo);
+provide('../services/reputationService', reputationService);
+
+const { createIndexer } = require('../services/chainIndexer');
+
+// A contract whose fallback emits Ping(msg.sender, calldata word 0); hand-assembled so the harness
+// needs no compiler: CALLDATALOAD(0) -> MSTORE(0), LOG2(0, 32, topic, CALLER)
+const PING_ABI = ['event Ping(address indexed from, uint256 value)'];
+const PING_TOPIC = ethers.id('Ping(address,uint256)');
+const PING_RUNTIME = ethers.concat(['0x600035600052337f', PING_TOPIC, '0x60206000a200']);
+const PING_INIT = ethers.concat(['0x602e600c600039602e6000f3', PING_RUNTIME]);
+
+let failed = 0;
+let passed = 0;
+function check(name, ok, detail) {
+  if (ok) passed++;
+  else failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok || !detail ? '' : `: ${detail}`}`);
+}
+
+async function main() {
+  // Without the 250ms result cache, so each step sees the blocks the previous one mined
+  const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
+  const signer = await provider.getSigner(0);
+
+  const deployment = await signer.sendTransaction({ data: PING_INIT });
+  const { contractAddress } = await deployment.wait();
+  const contract = new ethers.Contract(contractAddress, PING_ABI, provider);
+
+  const ping = async (value) => {
+    const tx = await signer.sendTransaction({ to: contractAddress, data: ethers.toBeHex(value, 32) });
+    return (await tx.wait()).blockNumber;
+  };
+  const mine = (blocks) => provider.send('hardhat_mine', [ethers.toQuantity(blocks)]);
+  const rpc = (method, params = []) => provider.send(method, params);
+  const pinged = () => store.logs.flatMap(l => l.reputationEvents.map(e => e.userId)).sort();
+
+  const startBlock = (await provider.getBlockNumber()) + 1;
+
+  // Each ping value is a project that the handler marks as pinged; re-syncing reads the chain again,
+  // the way onchainListeners mirrors a project from the escrow
+  const projectOf = (value) => `project-${value}`;
+  const resync = async (logs) => {
+    if (store.failResync) throw new Error('re-sync failed');
+    const canonical = await provider.getLogs({ address: contractAddress, topics: [PING_TOPIC], fromBlock: startBlock });
+    const pingedNow = new Set(canonical.map(l => projectOf(contract.interface.parseLog(l).args.value)));
+    for (const projectId of new Set(logs.map(l => l.projectId))) {
+      store.projects.set(projectId, pingedNow.has(projectId) ? 'PINGED' : 'NONE');
+      store.resynced.push(projectId);
+    }
+  };
+
+  const options = {
+    provider,
+    contract,
+    handlers: {
+      Ping: async (parsed) => {
+        store.projects.set(projectOf(parsed.args.value), 'PINGED');
+        return [{ userId: `user-${parsed.args.value}`, type: 'PING', delta: Number(parsed.args.value) }];
+      }
+    },
+    projectIdOf: (parsed) => projectOf(parsed.args.value),
+    onRollback: resync,
+    startBlock,
+    confirmations: CONFIRMATIONS,
+    batchSize: 2,
+    label: 'chainIndexerHarness'
+  };
+
+  // Backfill: three logs, the last one left unconfirmed until two more blocks exist
+  await ping(1);
+  await ping(2);
+  const third = await ping(3);
+  let indexer = createIndexer(options);
+  let result = await indexer.syncOnce();
+  check('waits for confirmations', result.processed === 1 && result.lastBlock === third - CONFIRMATIONS,
+    `processed ${result.processed}, lastBlock ${result.lastBlock}`);
+
+  await mine(CONFIRMATIONS);
+  result = await indexer.syncOnce();
+  check('backfills confirmed logs in batches', result.processed === 2 && result.lastBlock === third,
+    `processed ${result.processed}, lastBlock ${result.lastBlock}`);
+  check('records one ChainLog row per log', JSON.stringify(pinged()) === JSON.stringify(['user-1', 'user-2', 'user-3']),
+    `rows for [${pinged()}]`);
+
+  result = await indexer.syncOnce();
+  check('does nothing when already synced', result.processed === 0, `processed ${result.processed}`);
+
+  // Resume: a new indexer (a restart) starts from the stored cursor, not startBlock
+  const fourth = await ping(4);
+  await mine(CONFIRMATIONS);
+  indexer = createIndexer(options);
+  result = await indexer.syncOnce();
+  check('resumes from the stored cursor after a restart', result.processed === 1 && result.lastBlock === fourth,
+    `processed ${result.processed}, lastBlock ${result.lastBlock}`);
+  check('does not index a log twice', store.logs.length === 4, `${store.logs.length} rows`);
+
+  // Reorg: index a block, then replace it (and the blocks after it) with a different chain
+  const snapshot = await rpc('evm_snapshot');
+  const orphaned = await ping(5);
+  await mine(CONFIRMATIONS);
+  result = await indexer.syncOnce();
+  check('indexes the block that will be orphaned', pinged().includes('user-5') && result.lastBlock === orphaned,
+    `rows for [${pinged()}], lastBlock ${result.lastBlock}`);
+
+  await rpc('evm_revert', [snapshot]);
+  await mine(1);
+  const replacement = await ping(6);
+  await mine(CONFIRMATIONS);
+  store.recomputed = [];
+
+  // A failed re-sync must leave the orphaned rows for the next pass to roll back
+  store.failResync = true;
+  const failure = await indexer.syncOnce().then(() => null, (error) => error);
+  store.failResync = false;
+  check('keeps orphaned rows when the re-sync fails', failure !== null && pinged().includes('user-5'),
+    failure ? `rows for [${pinged()}]` : 'syncOnce did not fail');
+
+  result = await indexer.syncOnce();
+  check('rolls back ChainLog rows from orphaned blocks', !pinged().includes('user-5'), `rows for [${pinged()}]`);
+  check('recomputes users whose events were rolled back', store.recomputed.includes('user-5'),
+    `recomputed [${store.recomputed}]`);
+  check('re-syncs projects changed by orphaned logs', JSON.stringify(store.resynced) === JSON.stringify(['project-5']),
+    `re-synced [${store.resynced}]`);
+  check('undoes handler writes the canonical chain does not have', store.projects.get('project-5') === 'NONE',
+    `project-5 is ${store.projects.get('project-5')}`);
+  check('applies handler writes from the replacement chain', store.projects.get('project-6') === 'PINGED',
+    `project-6 is ${store.projects.get('project-6')}`);
+  check('indexes the replacement chain', pinged().includes('user-6') && result.lastBlock === replacement,
+    `rows for [${pinged()}], lastBlock ${result.lastBlock}`);
+  const cursor = [...store.cursors.values()][0];
+  const head = await provider.getBlock(cursor.lastBlock);
+  check('stores the canonical hash in the cursor', cursor.lastBlockHash === head.hash,
+    `${cursor.lastBlockHash} vs ${head.hash}`);
+
+  provider.destroy();
+}
+
+main()
+  .catch((error) => {
+    failed++;
+    console.error(`FAIL harness error against ${RPC_URL}:`, error.shortMessage || error.message);
+  })
+  .finally(() => {
+    console.log(`\n${passed}/${passed + failed} checks passed`);
+    // JsonRpcProvider keeps retrying in the background when the node is unreachable
+    process.exit(failed ? 1 : 0);
+  });
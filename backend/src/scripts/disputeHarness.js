@@ -0,0 +1,95 @@
+// Replays recorded disputes through the LLM path (fixture provider) and heuristicDecision, offline.
+// Usage: node src/scripts/disputeHarness.js [fixtureDir]
+// Each fixture holds the project, proposals, messages, milestones and evidence, the model replies to
+// replay in order, and the expected outcomes (and settlement amounts, in tokens). Exits non-zero if
+// any expectation fails.
+
+const fs = require('fs');
+const path = require('path');
+const { decide, heuristicDecision } = require('../services/disputeResolverService');
+const llmProviders = require('../services/llmProviders');
+const decisionSchema = require('../services/disputeDecisionSchema');
+const disputeSettlement = require('../services/disputeSettlement');
+
+const DEFAULT_DIR = path.join(__dirname, 'fixtures', 'disputes');
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(f => ({ file: f, ...JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')) }));
+}
+
+async function runFixture(fx) {
+  const failures = [];
+  const input = {
+    project: fx.project,
+    messages: fx.messages || [],
+    proposals: fx.proposals || [],
+    milestones: fx.milestones || [],
+    evidence: fx.evidence || []
+  };
+
+  const heuristic = heuristicDecision(input);
+  const heuristicErrors = decisionSchema.validateDecision(heuristic);
+  if (heuristicErrors.length) failures.push(`heuristic output invalid: ${heuristicErrors.join('; ')}`);
+  if (fx.expected?.heuristic && heuristic.outcome !== fx.expected.heuristic) {
+    failures.push(`heuristic: expected ${fx.expected.heuristic}, got ${heuristic.outcome}`);
+  }
+
+  for (const [key, value] of Object.entries(fx.expected?.heuristicSettlement || {})) {
+    if (heuristic.settlement?.[key] !== value) {
+      failures.push(`heuristic settlement: expected ${key}=${value}, got ${heuristic.settlement?.[key]}`);
+    }
+  }
+
+  const provider = llmProviders.fixture({ responses: fx.llmReplies || [] });
+  const { decision, meta } = await decide(input, { provider, maxRepairs: 2 });
+  const expected = fx.expected?.llm || {};
+  if (expected.outcome && decision.outcome !== expected.outcome) {
+    failures.push(`llm: expected ${expected.outcome}, got ${decision.outcome}`);
+  }
+  if (expected.usedLLM !== undefined && meta.usedLLM !== expected.usedLLM) {
+    failures.push(`llm: expected usedLLM=${expected.usedLLM}, got ${meta.usedLLM}`);
+  }
+  if (expected.attempts !== undefined && meta.llmAttempts !== expected.attempts) {
+    failures.push(`llm: expected ${expected.attempts} attempt(s), got ${meta.llmAttempts}`);
+  }
+
+  if (fx.expected?.amounts) {
+    const amounts = decision.settlement
+      ? disputeSettlement.computeAmounts({ budget: fx.project.budget, milestones: input.milestones }, decision.settlement)
+      : null;
+    for (const [key, tokens] of Object.entries(fx.expected.amounts)) {
+      const actual = amounts?.[key]?.tokens;
+      if (actual === undefined || Number(actual) !== Number(tokens)) {
+        failures.push(`amounts: expected ${key}=${tokens}, got ${actual}`);
+      }
+    }
+  }
+
+  return { heuristic: heuristic.outcome, llm: decision.outcome, meta, failures };
+}
+
+async function main() {
+  const dir = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_DIR;
+  const fixtures = loadFixtures(dir);
+  let failed = 0;
+
+  for (const fx of fixtures) {
+    const result = await runFixture(fx);
+    const ok = result.failures.length === 0;
+    if (!ok) failed++;
+    console.log(`${ok ? 'PASS' : 'FAIL'} ${fx.file} - ${fx.name}`);
+    console.log(`     heuristic=${result.heuristic} llm=${result.llm} usedLLM=${result.meta.usedLLM} attempts=${result.meta.llmAttempts}`);
+    for (const f of result.failures) console.log(`     ${f}`);
+  }
+
+  console.log(`\n${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('Dispute harness error:', err);
+  process.exit(1);
+});
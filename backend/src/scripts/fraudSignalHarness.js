@@ -0,0 +1,110 @@
+// Checks the rating-ring and shared-wallet referral rules in fraudSignalExtractor against
+// hand-built histories, offline.
+// Usage: node src/scripts/fraudSignalHarness.js
+// A client and freelancer rating each other at the end of a project must not count as a ring;
+// the same pair doing it again and again must. A referee that verified one of the referrer's
+// wallets, even one since unlinked, is self-farming. Exits non-zero if any case fails.
+
+const { ratingRings, walletSharingReferees } = require('../services/fraudSignalExtractor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+const day = (n) => new Date(START + n * DAY_MS);
+
+// One project on which `counterpartId` and the user rated each other on the given days
+const exchange = (counterpartId, projectId, receivedDay, givenDay = receivedDay) => ({
+  received: { fromUserId: counterpartId, projectId, createdAt: day(receivedDay) },
+  given: { toUserId: counterpartId, projectId, createdAt: day(givenDay) }
+});
+
+function history(...exchanges) {
+  return {
+    received: exchanges.map(e => e.received).filter(Boolean),
+    given: exchanges.map(e => e.given).filter(Boolean)
+  };
+}
+
+const CASES = [
+  {
+    name: 'single two-sided rating on one project',
+    ...history(exchange('client', 'p1', 0, 1)),
+    expected: []
+  },
+  {
+    name: 'two-sided ratings with different counterparts',
+    ...history(exchange('client-a', 'p1', 0), exchange('client-b', 'p2', 3), exchange('client-c', 'p3', 5)),
+    expected: []
+  },
+  {
+    name: 'same pair on two projects months apart',
+    ...history(exchange('client', 'p1', 0), exchange('client', 'p2', 120)),
+    expected: []
+  },
+  {
+    name: 'one-sided ratings from the same rater',
+    ...history(
+      { received: { fromUserId: 'client', projectId: 'p1', createdAt: day(0) } },
+      { received: { fromUserId: 'client', projectId: 'p2', createdAt: day(2) } }
+    ),
+    expected: []
+  },
+  {
+    name: 'same pair on two projects within the window',
+    ...history(exchange('client', 'p1', 0), exchange('client', 'p2', 10)),
+    expected: ['client']
+  },
+  {
+    name: 'same pair on three projects spread over a year',
+    ...history(exchange('client', 'p1', 0), exchange('client', 'p2', 120), exchange('client', 'p3', 240)),
+    expected: ['client']
+  },
+  {
+    name: 'ring alongside an ordinary counterpart',
+    ...history(exchange('honest', 'p1', 0), exchange('ring', 'p2', 5), exchange('ring', 'p3', 9)),
+    expected: ['ring']
+  }
+];
+
+// Verified wallets as extracted: current links and spent challenges, so an address may repeat
+const wallet = (userId, address) => ({ userId, address });
+
+const WALLET_CASES = [
+  {
+    name: 'referees with their own wallets',
+    refereeIds: ['a', 'b'],
+    wallets: [wallet('referrer', '0x01'), wallet('a', '0x0a'), wallet('b', '0x0b')],
+    expected: []
+  },
+  {
+    name: 'referee without any wallet',
+    refereeIds: ['a'],
+    wallets: [wallet('referrer', '0x01')],
+    expected: []
+  },
+  {
+    name: 'referee verified a wallet the referrer verified before',
+    refereeIds: ['a', 'b'],
+    wallets: [wallet('referrer', '0x01'), wallet('referrer', '0x02'), wallet('a', '0x02'), wallet('b', '0x0b')],
+    expected: ['a']
+  },
+  {
+    name: 'wallet shared between two referees only',
+    refereeIds: ['a', 'b'],
+    wallets: [wallet('referrer', '0x01'), wallet('a', '0x0c'), wallet('b', '0x0c')],
+    expected: []
+  }
+];
+
+let failed = 0;
+const report = (name, got, expected) => {
+  const ok = JSON.stringify([...got].sort()) === JSON.stringify([...expected].sort());
+  if (!ok) failed++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok ? '' : `: expected [${expected}], got [${got}]`}`);
+};
+
+for (const c of CASES) report(c.name, ratingRings(c.received, c.given), c.expected);
+for (const c of WALLET_CASES) report(c.name, walletSharingReferees('referrer', c.refereeIds, c.wallets), c.expected);
+
+const total = CASES.length + WALLET_CASES.length;
+console.log(`\n${total - failed}/${total} cases passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,28 @@
+// Finds ratings that break the participant rules (project not completed, rater not on the project,
+// target not the rater's counterparty) and voids them, recomputing the affected reputations.
+// Usage: node src/scripts/ratingCleanup.js [--apply]
+// Without --apply it only lists what would be voided.
+
+require('dotenv').config({ path: '../.env' });
+const ratingService = require('../services/ratingService');
+
+async function main() {
+  const dryRun = !process.argv.includes('--apply');
+  const result = await ratingService.cleanup({ dryRun });
+
+  for (const r of result.invalid) {
+    console.log(`${r.id}  project=${r.projectId} from=${r.fromUserId} to=${r.toUserId}  ${r.reason}`);
+  }
+  console.log(`\n${result.invalid.length} invalid of ${result.scanned} active ratings`);
+  if (dryRun) {
+    console.log('Dry run: re-run with --apply to void them');
+  } else {
+    console.log(`${result.voided} voided, ${result.recomputed.length} reputations recomputed`);
+  }
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Rating cleanup error:', err);
+  process.exit(1);
+});
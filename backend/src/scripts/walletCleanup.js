@@ -0,0 +1,30 @@
+// Brings User.walletAddress in line with verified wallet links: addresses claimed before SIWE
+// verification existed are cleared unless the user has a verified wallet, in which case the
+// column is set to the primary one, lowercase. Run once after deploying wallet verification.
+// Usage: node src/scripts/walletCleanup.js [--apply]
+// Without --apply it only lists what would change.
+
+require('dotenv').config({ path: '../.env' });
+const walletLinks = require('../services/walletLinks');
+
+async function main() {
+  const dryRun = !process.argv.includes('--apply');
+  const result = await walletLinks.cleanupLegacy({ dryRun });
+
+  for (const c of result.changes) {
+    console.log(`${c.userId}  ${c.from} -> ${c.to || '(cleared)'}`);
+  }
+  const cleared = result.changes.filter(c => !c.to).length;
+  console.log(`\n${result.changes.length} of ${result.scanned} wallet addresses to change (${cleared} cleared)`);
+  if (dryRun) {
+    console.log('Dry run: re-run with --apply to write them');
+  } else {
+    console.log(`${result.changes.length} updated`);
+  }
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('Wallet cleanup error:', err);
+  process.exit(1);
+});
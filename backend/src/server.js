@@ -9,6 +9,7 @@ require('dotenv').config({ path: '../.env' });
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
+const milestoneRoutes = require('./routes/milestones');
 const proposalRoutes = require('./routes/proposals');
 const messageRoutes = require('./routes/messages');
 const contractRoutes = require('./routes/contracts');
@@ -17,6 +18,19 @@ const reputationRoutes = require('./routes/reputation');
 const onchainListeners = require('./services/onchainListeners');
 const disputeRoutes = require('./routes/disputes');
 const referralRoutes = require('./routes/referrals');
+const referralCampaignRoutes = require('./routes/referralCampaigns');
+const notificationRoutes = require('./routes/notifications');
+const savedSearchRoutes = require('./routes/savedSearches');
+const reviewRoutes = require('./routes/reviews');
+const reputationRescore = require('./jobs/reputationRescore');
+const notificationDispatcher = require('./jobs/notificationDispatcher');
+const savedSearchAlerts = require('./jobs/savedSearchAlerts');
+const proposalExpiry = require('./jobs/proposalExpiry');
+const referralPayouts = require('./jobs/referralPayouts');
+const referralLeaderboard = require('./jobs/referralLeaderboard');
+const authSessionCleanup = require('./jobs/authSessionCleanup');
+const notificationService = require('./services/notificationService');
+const sockets = require('./sockets');
 
 const app = express();
 const server = createServer(app);
@@ -46,6 +60,7 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/projects/:projectId/milestones', milestoneRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/proposals', proposalRoutes);
 app.use('/api/messages', messageRoutes);
@@ -53,7 +68,11 @@ app.use('/api/contracts', contractRoutes);
 app.use('/api/ratings', ratingRoutes);
 app.use('/api/reputation', reputationRoutes);
 app.use('/api/disputes', disputeRoutes);
+app.use('/api/referrals/campaigns', referralCampaignRoutes);
 app.use('/api/referrals', referralRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -74,39 +93,65 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Socket.IO for real-time messaging
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-project', (projectId) => {
-    socket.join(`project-${projectId}`);
-  });
-
-  socket.on('send-message', (data) => {
-    socket.to(`project-${data.projectId}`).emit('new-message', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO for real-time messaging (authenticated; see src/sockets)
+sockets.register(io);
+notificationService.attach(io);
 
 const PORT = process.env.PORT || 8000;
 
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  // Re-score reputations computed with a previous weight profile once REPUTATION_PROFILE changes
+  if (process.env.REPUTATION_RESCORE_ON_START !== '0') {
+    reputationRescore.runIfStale().catch(e => console.error('[server] reputation rescore failed', e));
+  }
+  // Retry failed notification deliveries and send email digests
+  notificationDispatcher.start({
+    intervalMs: parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS || '60000')
+  });
+  // Alert users about new projects matching their saved searches
+  savedSearchAlerts.start({
+    intervalMs: parseInt(process.env.SAVED_SEARCH_ALERT_INTERVAL_MS || String(15 * 60 * 1000))
+  });
+  // Expire pending proposals once their project's deadline passes
+  proposalExpiry.start({
+    intervalMs: parseInt(process.env.PROPOSAL_EXPIRY_INTERVAL_MS || String(60 * 60 * 1000))
+  });
+  // Credit qualified referral rewards, ask referees to register on-chain, undo reorged payouts
+  referralPayouts.start({
+    intervalMs: parseInt(process.env.REFERRAL_PAYOUT_INTERVAL_MS || String(15 * 60 * 1000))
+  });
+  // Rebuild the cached referral leaderboards
+  referralLeaderboard.start({
+    intervalMs: parseInt(process.env.REFERRAL_LEADERBOARD_INTERVAL_MS || String(10 * 60 * 1000))
+  });
+  // Delete auth sessions that ended long ago
+  authSessionCleanup.start({
+    intervalMs: parseInt(process.env.AUTH_SESSION_CLEANUP_INTERVAL_MS || String(24 * 60 * 60 * 1000))
+  });
   // Optionally start on-chain listeners
   if (process.env.ONCHAIN_LISTENERS === '1') {
     const rpcUrl = process.env.RPC_URL;
-    const contractAddress = process.env.MARKETPLACE_CONTRACT_ADDRESS;
-    const started = onchainListeners.start({ rpcUrl, contractAddress });
-    if (!rpcUrl || !contractAddress) {
-      console.warn('[server] ONCHAIN_LISTENERS=1 but RPC_URL or MARKETPLACE_CONTRACT_ADDRESS missing');
+    const marketplaceAddress = process.env.MARKETPLACE_CONTRACT_ADDRESS;
+    const escrowAddress = process.env.ESCROW_CONTRACT_ADDRESS;
+    const started = onchainListeners.start({
+      rpcUrl,
+      marketplaceAddress,
+      escrowAddress,
+      daoAddress: process.env.DAO_CONTRACT_ADDRESS,
+      rewardsAddress: process.env.REWARDS_CONTRACT_ADDRESS,
+      startBlock: parseInt(process.env.ONCHAIN_START_BLOCK || '0'),
+      confirmations: parseInt(process.env.ONCHAIN_CONFIRMATIONS || '6'),
+      batchSize: parseInt(process.env.ONCHAIN_BATCH_SIZE || '2000'),
+      pollIntervalMs: parseInt(process.env.ONCHAIN_POLL_INTERVAL_MS || '15000'),
+    });
+    if (!rpcUrl || (!marketplaceAddress && !escrowAddress)) {
+      console.warn('[server] ONCHAIN_LISTENERS=1 but RPC_URL or ESCROW_CONTRACT_ADDRESS/MARKETPLACE_CONTRACT_ADDRESS missing');
     }
     if (started) {
-      process.on('SIGINT', () => {
-        started.stop();
+      process.on('SIGINT', async () => {
+        await started.stop();
         process.exit(0);
       });
     }
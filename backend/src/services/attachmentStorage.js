@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters for message attachments. Every adapter exposes
+//   { name, put(key, buffer), get(key) => Buffer | null, remove(key) }
+// Keys are content-addressed ("<projectId>/<sha256>") so the same file is stored once per project.
+
+function localDisk({ root = path.join(__dirname, '..', '..', 'uploads') } = {}) {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+// In-process storage, for development and scripts
+function memory() {
+  const files = new Map();
+  return {
+    name: 'memory',
+    async put(key, buffer) { files.set(key, Buffer.from(buffer)); },
+    async get(key) { return files.get(key) || null; },
+    async remove(key) { files.delete(key); }
+  };
+}
+
+// STORAGE_DRIVER: local (default) | memory; STORAGE_LOCAL_ROOT overrides backend/uploads
+function fromEnv(env = process.env) {
+  switch (env.STORAGE_DRIVER || 'local') {
+    case 'local':
+      return localDisk({ root: env.STORAGE_LOCAL_ROOT || undefined });
+    case 'memory':
+      return memory();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}"`);
+  }
+}
+
+let instance;
+
+module.exports = {
+  localDisk,
+  memory,
+  fromEnv,
+  // Shared adapter configured from the environment
+  get() {
+    if (!instance) instance = fromEnv();
+    return instance;
+  },
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Sessions for the backend's JWT auth. Signing in opens a session and returns a short-lived access
+// token plus a refresh token. Each refresh rotates the refresh token; presenting an already rotated
+// one means it was copied, so the whole session is revoked and both holders have to sign in again.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+// Revoked and expired sessions are kept this long so the device list can show why they ended
+const RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS);
+
+function accessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// What /register, /login and /refresh return
+function tokens(userId, sessionId, refreshToken) {
+  const token = accessToken(userId, sessionId);
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+    sessionId
+  };
+}
+
+const client = (req) => ({
+  userAgent: req.get('user-agent')?.slice(0, 255) || null,
+  ipAddress: req.ip || null
+});
+
+// Open a session for a user who just signed in
+async function open(userId, req) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const session = await prisma.authSession.create({
+    data: {
+      userId,
+      ...client(req),
+      expiresAt: refreshExpiry(),
+      refreshTokens: { create: { tokenHash: hashToken(refreshToken) } }
+    }
+  });
+  return tokens(userId, session.id, refreshToken);
+}
+
+// Exchange a refresh token for new tokens; returns the tokens or { status, error }
+async function refresh(refreshToken, req) {
+  const presented = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: true }
+  });
+  if (!presented) return { status: 401, error: 'Invalid refresh token' };
+
+  const { session } = presented;
+  if (session.revokedAt) return { status: 401, error: 'Session has been revoked' };
+  if (session.expiresAt <= new Date()) return { status: 401, error: 'Session has expired' };
+
+  const next = crypto.randomBytes(32).toString('base64url');
+  const rotated = await prisma.$transaction(async (tx) => {
+    // Guarded so two requests racing with the same token cannot both rotate it
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: presented.id, rotatedAt: null },
+      data: { rotatedAt: new Date() }
+    });
+    if (count === 0) return false;
+
+    await tx.refreshToken.create({ data: { sessionId: session.id, tokenHash: hashToken(next) } });
+    await tx.authSession.update({
+      where: { id: session.id },
+      data: { ...client(req), lastUsedAt: new Date(), expiresAt: refreshExpiry() }
+    });
+    return true;
+  });
+
+  if (!rotated) {
+    await revoke(session.id, 'REUSE_DETECTED');
+    console.warn(`[authSessions] refresh token reuse on session ${session.id}, session revoked`);
+    return { status: 401, error: 'Refresh token has already been used; session revoked' };
+  }
+
+  return tokens(session.userId, session.id, next);
+}
+
+// Returns whether the session was still active
+async function revoke(sessionId, reason) {
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count > 0;
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's); returns how many
+async function revokeAll(userId, { except = null, reason = 'REVOKED' } = {}) {
+  const { count } = await prisma.authSession.updateMany({
+    where: { userId, revokedAt: null, ...(except ? { id: { not: except } } : {}) },
+    data: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return count;
+}
+
+// Active sessions, most recently used first; `current` marks the one making the request
+async function list(userId, currentSessionId) {
+  const sessions = await prisma.authSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expiresAt: true },
+    orderBy: { lastUsedAt: 'desc' }
+  });
+  return sessions.map(s => ({ ...s, current: s.id === currentSessionId }));
+}
+
+// Access tokens are checked against their session on every request, so revocation is immediate
+async function isActive(sessionId, userId) {
+  const session = await prisma.authSession.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, revokedAt: true, expiresAt: true }
+  });
+  return Boolean(session && session.userId === userId && !session.revokedAt && session.expiresAt > new Date());
+}
+
+// Delete sessions that ended more than RETENTION_DAYS ago, with their refresh tokens
+async function prune(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const { count } = await prisma.authSession.deleteMany({
+    where: { OR: [{ revokedAt: { lt: cutoff } }, { expiresAt: { lt: cutoff } }] }
+  });
+  return { pruned: count };
+}
+
+module.exports = {
+  open,
+  refresh,
+  revoke,
+  revokeAll,
+  list,
+  isActive,
+  prune,
+};
@@ -0,0 +1,177 @@
+const cursorRepo = require('../repositories/chainCursorRepository');
+const chainLogRepo = require('../repositories/chainLogRepository');
+const reputationService = require('./reputationService');
+
+// Block-cursor indexer for a single contract.
+// - Persists the last processed block so restarts resume where they stopped.
+// - Backfills with getLogs in batches up to (head - confirmations).
+// - Re-checks block hashes inside the confirmation window and rolls back orphaned logs.
+// - De-duplicates by (txHash, logIndex) through the chain_logs unique index.
+//
+// handlers: { [eventName]: async (parsed, log) => [{ userId, type, weight, delta, metadata }] }
+// Each handler returns the reputation events the log produced; they are stored with the log.
+// projectIdOf(parsed) names the on-chain project a log changes, and onRollback(logs) gets the
+// orphaned logs ({ blockNumber, txHash, logIndex, eventName, projectId }) on a reorg, so whatever
+// the handlers wrote besides reputation events can be re-synced with the canonical chain.
+function createIndexer({
+  provider,
+  contract,
+  handlers,
+  projectIdOf = () => null,
+  onRollback = async () => {},
+  startBlock = 0,
+  confirmations = 6,
+  batchSize = 2000,
+  pollIntervalMs = 15000,
+  label = 'chainIndexer',
+}) {
+  const address = contract.target;
+  const eventNames = Object.keys(handlers);
+  const topics = [eventNames.map(name => contract.interface.getEvent(name).topicHash)];
+
+  let chainId = null;
+  let timer = null;
+  let stopped = false;
+  let running = null;
+
+  async function loadCursor() {
+    const cursor = await cursorRepo.get(chainId, address);
+    if (cursor) return cursor;
+    return cursorRepo.save(chainId, address, { lastBlock: startBlock - 1, lastBlockHash: null });
+  }
+
+  async function recomputeAll(userIds) {
+    for (const userId of new Set(userIds)) {
+      try {
+        await reputationService.recomputeUser(userId);
+      } catch (e) {
+        console.error(`[${label}] recompute failed for`, userId, e);
+      }
+    }
+  }
+
+  // Returns the first block number in the confirmation window whose hash no longer matches the chain
+  async function findOrphanedBlock(cursor) {
+    const cursorId = cursorRepo.cursorId(chainId, address);
+    const from = Math.max(startBlock, cursor.lastBlock - confirmations);
+    const recorded = await chainLogRepo.listBlocksFrom(cursorId, from);
+    if (cursor.lastBlockHash) {
+      recorded.push({ blockNumber: cursor.lastBlock, blockHash: cursor.lastBlockHash });
+    }
+    for (const { blockNumber, blockHash } of recorded) {
+      const block = await provider.getBlock(blockNumber);
+      if (!block || block.hash !== blockHash) return blockNumber;
+    }
+    return null;
+  }
+
+  async function rollback(cursor, orphanedFrom) {
+    const cursorId = cursorRepo.cursorId(chainId, address);
+    const lastBlock = Math.max(startBlock, orphanedFrom) - 1;
+    console.warn(`[${label}] reorg detected at block ${orphanedFrom}; rewinding to ${lastBlock}`);
+
+    // Re-sync before anything is dropped, so a failure leaves the reorg to be handled on the next
+    // pass; logs mined again are re-applied when the replacement blocks are indexed
+    await onRollback(await chainLogRepo.listFromBlock(cursorId, orphanedFrom));
+
+    const affected = await chainLogRepo.deleteFromBlock(cursorId, orphanedFrom);
+    await recomputeAll(affected);
+    return cursorRepo.save(chainId, address, { lastBlock, lastBlockHash: null });
+  }
+
+  async function processLog(log) {
+    const parsed = contract.interface.parseLog(log);
+    if (!parsed || !handlers[parsed.name]) return [];
+
+    const ref = { txHash: log.transactionHash, logIndex: log.index };
+    if (await chainLogRepo.isProcessed(ref)) return [];
+
+    const events = (await handlers[parsed.name](parsed, log)) || [];
+    const recorded = await chainLogRepo.record({
+      cursorId: cursorRepo.cursorId(chainId, address),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      ...ref,
+      eventName: parsed.name,
+      projectId: (await projectIdOf(parsed)) ?? null,
+      events,
+    });
+    return recorded ? events.map(e => e.userId) : [];
+  }
+
+  // Index everything that is confirmed; safe to call repeatedly
+  async function syncOnce() {
+    if (chainId === null) {
+      chainId = Number((await provider.getNetwork()).chainId);
+    }
+
+    let cursor = await loadCursor();
+    const orphanedFrom = await findOrphanedBlock(cursor);
+    if (orphanedFrom !== null) cursor = await rollback(cursor, orphanedFrom);
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+    let processed = 0;
+
+    while (!stopped && cursor.lastBlock < safeHead) {
+      const fromBlock = cursor.lastBlock + 1;
+      const toBlock = Math.min(fromBlock + batchSize - 1, safeHead);
+
+      const logs = await provider.getLogs({ address, topics, fromBlock, toBlock });
+      logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+      const touched = [];
+      for (const log of logs) {
+        try {
+          touched.push(...await processLog(log));
+          processed++;
+        } catch (e) {
+          // Leave the cursor behind this batch so the log is retried on the next pass
+          console.error(`[${label}] failed to process log ${log.transactionHash}:${log.index}`, e);
+          await recomputeAll(touched);
+          return { processed, lastBlock: cursor.lastBlock };
+        }
+      }
+
+      const block = await provider.getBlock(toBlock);
+      cursor = await cursorRepo.save(chainId, address, { lastBlock: toBlock, lastBlockHash: block?.hash || null });
+      await recomputeAll(touched);
+    }
+
+    return { processed, lastBlock: cursor.lastBlock };
+  }
+
+  function schedule() {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      running = syncOnce().catch(e => console.error(`[${label}] sync error`, e));
+      await running;
+      running = null;
+      schedule();
+    }, pollIntervalMs);
+  }
+
+  return {
+    syncOnce,
+
+    start() {
+      stopped = false;
+      running = syncOnce()
+        .catch(e => console.error(`[${label}] initial backfill error`, e))
+        .finally(() => {
+          running = null;
+          schedule();
+        });
+      console.log(`[${label}] Indexing ${eventNames.join(', ')} on ${address}`);
+    },
+
+    async stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      if (running) await running;
+      console.log(`[${label}] Stopped for ${address}`);
+    },
+  };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,41 @@
+// Flags user-written text that needs a human look. This only flags: it never rejects or
+// rewrites text, so false positives cost a moderator's minute rather than a lost comment.
+
+const PROFANITY = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'dickhead', 'cunt', 'wanker', 'motherfucker'];
+
+const HARASSMENT = [
+  /\b(kill|hurt|find) (yo)?u\b/i,
+  /\bkill yourself\b|\bkys\b/i,
+  /\b(idiot|moron|retard(ed)?|stupid|scammer|thief|fraudster)s?\b/i
+];
+
+const CONTACT = [
+  /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i,
+  /(\+?\d[\s.-]?){9,}/,
+  /\b(telegram|whatsapp|signal|wechat|discord)\b/i
+];
+
+const LINK = /\bhttps?:\/\/|\bwww\./i;
+
+const profanityPattern = new RegExp(`\\b(${PROFANITY.join('|')})(s|ty|y|ing|ed|er)?\\b`, 'i');
+
+// Returns { flagged, reasons } where reasons is a subset of
+// profanity | harassment | contact_details | link | shouting
+function check(text) {
+  const reasons = [];
+  if (!text) return { flagged: false, reasons };
+
+  if (profanityPattern.test(text)) reasons.push('profanity');
+  if (HARASSMENT.some(pattern => pattern.test(text))) reasons.push('harassment');
+  if (CONTACT.some(pattern => pattern.test(text))) reasons.push('contact_details');
+  if (LINK.test(text)) reasons.push('link');
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.8) {
+    reasons.push('shouting');
+  }
+
+  return { flagged: reasons.length > 0, reasons };
+}
+
+module.exports = { check };
@@ -0,0 +1,172 @@
+// JSON Schema for the dispute resolver's output, plus a validator for the subset of keywords it uses
+// (type, enum, required, properties, additionalProperties, items, minimum, maximum, minLength, anyOf);
+// validateDecision adds the cross-field rules.
+
+const OUTCOMES = ['refund_to_client', 'release_to_freelancer', 'partial_split', 'mediation_needed'];
+
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+
+// Machine-readable split of the escrow; required when outcome is partial_split
+const settlementSchema = {
+  type: 'object',
+  required: ['freelancerPercent'],
+  properties: {
+    freelancerPercent: percent, // share of the escrow (after platform fee) released to the freelancer
+    clientPercent: percent,     // optional; must equal 100 - freelancerPercent when given
+    milestones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['order', 'freelancerPercent'],
+        properties: {
+          order: { type: 'integer', minimum: 0 },
+          freelancerPercent: percent
+        }
+      }
+    },
+    remediation: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'dueInDays'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          dueInDays: { type: 'integer', minimum: 1, maximum: 90 }
+        }
+      }
+    }
+  }
+};
+
+const schema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'DisputeDecision',
+  type: 'object',
+  required: ['outcome', 'confidence', 'reasoning', 'evidence', 'suggestedDAOProposal'],
+  properties: {
+    outcome: { type: 'string', enum: OUTCOMES },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string', minLength: 1 },
+    evidence: {
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'string' },
+          { type: 'object' }
+        ]
+      }
+    },
+    suggestedDAOProposal: {
+      anyOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'object' }
+      ]
+    },
+    settlement: settlementSchema
+  },
+  additionalProperties: true
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of "path: problem" strings; empty when valid
+function validate(value, node = schema, at = '$') {
+  const errors = [];
+
+  if (node.anyOf) {
+    if (!node.anyOf.some(option => validate(value, option, at).length === 0)) {
+      errors.push(`${at}: does not match any allowed shape`);
+    }
+    return errors;
+  }
+
+  if (node.type && !matchesType(value, node.type)) {
+    return [`${at}: expected ${node.type}, got ${typeOf(value)}`];
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${node.enum.join(', ')}`);
+  }
+  if (node.minimum !== undefined && value < node.minimum) errors.push(`${at}: must be >= ${node.minimum}`);
+  if (node.maximum !== undefined && value > node.maximum) errors.push(`${at}: must be <= ${node.maximum}`);
+  if (node.minLength !== undefined && value.length < node.minLength) errors.push(`${at}: must not be empty`);
+
+  if (node.type === 'object') {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], child, `${at}.${key}`));
+    }
+    if (node.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!node.properties?.[key]) errors.push(`${at}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  if (node.type === 'array' && node.items) {
+    value.forEach((item, i) => errors.push(...validate(item, node.items, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// Cross-field rules of a settlement that already passed settlementSchema
+function settlementRules(settlement, at) {
+  const errors = [];
+  if (settlement.clientPercent !== undefined && Math.abs(settlement.clientPercent + settlement.freelancerPercent - 100) > 0.01) {
+    errors.push(`${at}.clientPercent: must equal 100 - freelancerPercent`);
+  }
+  const orders = (settlement.milestones || []).map(m => m.order);
+  if (new Set(orders).size !== orders.length) {
+    errors.push(`${at}.milestones: each milestone order may appear once`);
+  }
+  return errors;
+}
+
+// A settlement on its own, e.g. one given to the settlement preview
+function validateSettlement(settlement, at = '$.settlement') {
+  const errors = validate(settlement, settlementSchema, at);
+  return errors.length ? errors : settlementRules(settlement, at);
+}
+
+// Schema validation plus the cross-field rules JSON Schema draft-07 cannot express simply
+function validateDecision(decision) {
+  const errors = validate(decision);
+  if (errors.length) return errors;
+
+  const { settlement } = decision;
+  if (decision.outcome === 'partial_split' && !settlement) {
+    errors.push('$.settlement: is required when outcome is partial_split');
+  }
+  if (settlement) errors.push(...settlementRules(settlement, '$.settlement'));
+  return errors;
+}
+
+// Parse a model reply into { decision, errors }; tolerates ```json fences around the object
+function parseDecision(text) {
+  const raw = String(text || '').trim();
+  const fenced = raw.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  let decision;
+  try {
+    decision = JSON.parse(fenced ? fenced[1] : raw);
+  } catch (e) {
+    return { decision: null, errors: [`$: not valid JSON (${e.message})`] };
+  }
+  const errors = validateDecision(decision);
+  return { decision: errors.length ? null : decision, errors };
+}
+
+module.exports = { OUTCOMES, schema, settlementSchema, validate, validateSettlement, validateDecision, parseDecision };
@@ -1,19 +1,27 @@
 const { PrismaClient } = require('@prisma/client');
+const llmProviders = require('./llmProviders');
+const decisionSchema = require('./disputeDecisionSchema');
 
 const prisma = new PrismaClient();
 
+// Bump when the prompt or expected output shape changes; stored with each persisted analysis
+const RESOLVER_VERSION = 'dispute-resolver@3';
+const MAX_REPAIRS = parseInt(process.env.LLM_MAX_REPAIRS || '2');
+
 function redact(text, maxLen = 2000) {
   if (!text) return '';
   const s = String(text);
   return s.length > maxLen ? s.slice(0, maxLen) + `... [truncated ${s.length - maxLen} chars]` : s;
 }
 
-function buildPrompt({ project, messages, proposals }) {
+function buildPrompt({ project, messages, proposals, milestones = [], evidence = [] }) {
   const lines = [];
   lines.push('You are an impartial AI dispute resolver for a freelancer marketplace DAO.');
   lines.push('Analyze the evidence and recommend a fair outcome for DAO voting.');
   lines.push('Return a concise JSON with: { outcome, confidence, reasoning, evidence, suggestedDAOProposal }');
   lines.push('Outcomes allowed: "refund_to_client", "release_to_freelancer", "partial_split", "mediation_needed"');
+  lines.push('For "partial_split" also return settlement: { freelancerPercent, milestones: [{ order, freelancerPercent }], remediation: [{ title, description, dueInDays }] }');
+  lines.push('freelancerPercent is the share of the unpaid escrow released to the freelancer (the client gets the rest); milestones override it per unpaid milestone.');
   lines.push('---');
   lines.push('Project:');
   lines.push(JSON.stringify({
@@ -47,44 +55,96 @@ function buildPrompt({ project, messages, proposals }) {
     content: redact(m.content, 1000)
   })), null, 2));
 
+  if (milestones.length > 0) {
+    lines.push('--- Milestones');
+    lines.push(JSON.stringify(milestones.map(m => ({
+      order: m.order,
+      title: m.title,
+      amount: m.amount,
+      status: m.status,
+      dueDate: m.dueDate,
+      feedback: redact(m.feedback, 500)
+    })), null, 2));
+  }
+
+  if (evidence.length > 0) {
+    lines.push('--- Evidence submitted by the parties');
+    lines.push(JSON.stringify(evidence.map(e => ({
+      submittedById: e.submittedById,
+      createdAt: e.createdAt,
+      description: redact(e.description, 2000),
+      files: (e.files || []).map(f => ({ name: f.name, sha256: f.sha256 }))
+    })), null, 2));
+  }
+
   lines.push('--- Instruction: reason about scope, deadlines, delivery quality, tone and commitments; consider budget vs work delivered.');
   return lines.join('\n');
 }
 
-async function callLLM(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  const model = process.env.AI_MODEL || 'gpt-4o-mini';
-  if (!apiKey) return null;
-  try {
-    const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model,
-        messages: [
-          { role: 'system', content: 'You output strict JSON only. No prose.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.2
-      })
-    });
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content || '';
+function repairPrompt(errors) {
+  return [
+    'Your previous reply did not match the required JSON shape:',
+    ...errors.slice(0, 10).map(e => `- ${e}`),
+    'Reply again with only the corrected JSON object, matching this schema:',
+    JSON.stringify(decisionSchema.schema)
+  ].join('\n');
+}
+
+// Ask the provider for a decision, re-prompting with the validation errors when the reply is invalid.
+// Returns { decision, attempts, errors }; decision is null if every attempt failed.
+async function callLLM(prompt, provider, { maxRepairs = MAX_REPAIRS } = {}) {
+  const messages = [
+    { role: 'system', content: 'You output strict JSON only. No prose.' },
+    { role: 'user', content: prompt }
+  ];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    let reply;
     try {
-      return JSON.parse(content);
-    } catch {
-      return { outcome: 'mediation_needed', confidence: 0.5, reasoning: 'Non-JSON response', evidence: [], suggestedDAOProposal: 'Escalate to manual review' };
+      reply = await provider.complete(messages, { temperature: 0.2 });
+    } catch (e) {
+      console.error('[DisputeResolver] LLM error', e.message);
+      return { decision: null, attempts: attempt, errors: [e.message] };
     }
-  } catch (e) {
-    console.error('[DisputeResolver] LLM error', e);
-    return null;
+
+    const parsed = decisionSchema.parseDecision(reply);
+    if (parsed.decision) return { decision: parsed.decision, attempts: attempt, errors: [] };
+
+    errors = parsed.errors;
+    messages.push({ role: 'assistant', content: String(reply) });
+    messages.push({ role: 'user', content: repairPrompt(errors) });
   }
+
+  console.warn('[DisputeResolver] LLM output invalid after repairs:', errors.join('; '));
+  return { decision: null, attempts: maxRepairs + 1, errors };
+}
+
+// Freelancer share per unpaid milestone for a heuristic split: approved work is released,
+// submitted-but-contested work is halved, work not yet delivered goes back to the client
+const HEURISTIC_MILESTONE_SHARE = { APPROVED: 100, SUBMITTED: 50, PENDING: 0, REJECTED: 0 };
+
+function heuristicSettlement(milestones) {
+  const unpaid = milestones.filter(m => m.status !== 'PAID');
+  const settlement = {
+    freelancerPercent: 50,
+    milestones: [],
+    remediation: [{
+      title: 'Resolve the issues raised by the client',
+      description: 'Address the reported defects and resubmit for review.',
+      dueInDays: 7
+    }]
+  };
+  if (unpaid.length === 0) return settlement;
+
+  settlement.milestones = unpaid.map(m => ({ order: m.order, freelancerPercent: HEURISTIC_MILESTONE_SHARE[m.status] ?? 50 }));
+  const total = unpaid.reduce((sum, m) => sum + m.amount, 0);
+  const released = unpaid.reduce((sum, m) => sum + m.amount * (HEURISTIC_MILESTONE_SHARE[m.status] ?? 50) / 100, 0);
+  settlement.freelancerPercent = total > 0 ? Math.round((released / total) * 10000) / 100 : 50;
+  return settlement;
 }
 
-function heuristicDecision({ project, messages, proposals }) {
+function heuristicDecision({ project, messages, proposals, milestones = [] }) {
   // Simple rules if no LLM
   const hasDeliveryMention = messages.some(m => /deliver|submit|attached|upload/i.test(m.content || ''));
   const strongClientComplaints = messages.filter(m => m.senderId === project.clientId).filter(m => /bug|issue|missing|late|not working|refund/i.test(m.content || '')).length;
@@ -109,7 +169,8 @@ function heuristicDecision({ project, messages, proposals }) {
       { key: 'clientComplaintsCount', value: strongClientComplaints },
       { key: 'freelancerDefenseCount', value: strongFreelancerDefense }
     ],
-    suggestedDAOProposal: outcome === 'partial_split' ? 'Split escrow 50/50 and set remediation milestones' : (
+    ...(outcome === 'partial_split' ? { settlement: heuristicSettlement(milestones) } : {}),
+    suggestedDAOProposal: outcome === 'partial_split' ? 'Split the escrow per the settlement and set remediation milestones' : (
       outcome === 'refund_to_client' ? 'Refund escrow to client, allow freelancer response window' : (
         outcome === 'release_to_freelancer' ? 'Release escrow to freelancer, note evidence of delivery' : 'Escalate to manual review by DAO committee'
       )
@@ -117,7 +178,36 @@ function heuristicDecision({ project, messages, proposals }) {
   };
 }
 
-async function analyzeDispute(projectId) {
+// Decide a dispute from already-loaded records; no database access, so fixtures can be replayed offline.
+// provider: an llmProviders instance, null for the heuristic only, or undefined to use the environment's.
+async function decide({ project, messages, proposals, milestones = [], evidence = [] }, { provider, maxRepairs } = {}) {
+  const llmProvider = provider === undefined ? llmProviders.fromEnv() : provider;
+
+  let llm = null;
+  if (llmProvider) {
+    const prompt = buildPrompt({ project, messages, proposals, milestones, evidence });
+    llm = await callLLM(prompt, llmProvider, { maxRepairs });
+  }
+  const usedLLM = Boolean(llm?.decision);
+  const decision = usedLLM ? llm.decision : heuristicDecision({ project, messages, proposals, milestones });
+
+  return {
+    decision,
+    meta: {
+      usedLLM,
+      provider: usedLLM ? llmProvider.name : 'heuristic',
+      model: usedLLM ? llmProvider.model : 'heuristic',
+      modelVersion: RESOLVER_VERSION,
+      ...(llm ? { llmAttempts: llm.attempts } : {}),
+      ...(llm && !usedLLM ? { llmErrors: llm.errors } : {}),
+      evidenceAnalyzed: evidence.length,
+      messagesAnalyzed: messages.length,
+      proposalsAnalyzed: proposals.length
+    }
+  };
+}
+
+async function analyzeDispute(projectId, { evidence = [], provider } = {}) {
   const project = await prisma.project.findUnique({
     where: { id: projectId },
     include: {
@@ -139,20 +229,13 @@ async function analyzeDispute(projectId) {
     take: 5
   });
 
-  const prompt = buildPrompt({ project, messages, proposals });
-  const llm = await callLLM(prompt);
-  const decision = llm || heuristicDecision({ project, messages, proposals });
+  const milestones = await prisma.milestone.findMany({
+    where: { projectId },
+    orderBy: { order: 'asc' }
+  });
 
-  return {
-    projectId,
-    decision,
-    meta: {
-      usedLLM: Boolean(llm),
-      model: llm ? (process.env.AI_MODEL || 'gpt-4o-mini') : 'heuristic',
-      messagesAnalyzed: messages.length,
-      proposalsAnalyzed: proposals.length
-    }
-  };
+  const { decision, meta } = await decide({ project, messages, proposals, milestones, evidence }, { provider });
+  return { projectId, decision, meta };
 }
 
-module.exports = { analyzeDispute };
+module.exports = { analyzeDispute, decide, heuristicDecision, buildPrompt, RESOLVER_VERSION };
@@ -0,0 +1,205 @@
+const { PrismaClient } = require('@prisma/client');
+const reputationService = require('./reputationService');
+const projectStateMachine = require('./projectStateMachine');
+
+const prisma = new PrismaClient();
+
+// Dispute lifecycle: OPEN -> (ANALYZED) -> ESCALATED -> RESOLVED, or WITHDRAWN before escalation.
+// Off-chain resolutions emit WON/LOST reputation events here; DAO resolutions get theirs from the
+// DisputeResolved chain handler, so they are only marked resolved.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RESPONSE_DAYS = parseInt(process.env.DISPUTE_RESPONSE_DAYS || '3');
+const EVIDENCE_DAYS = parseInt(process.env.DISPUTE_EVIDENCE_DAYS || '7');
+
+const ACTIVE_STATUSES = ['OPEN', 'ANALYZED', 'ESCALATED'];
+const DISPUTABLE_PROJECT_STATUSES = ['IN_PROGRESS', 'SUBMITTED'];
+// Disputes still handled by the platform; escalated ones are decided by the DAO
+const PLATFORM_STATUSES = ['OPEN', 'ANALYZED'];
+
+// Project status once the dispute is settled
+const PROJECT_STATUS_BY_OUTCOME = {
+  CLIENT: 'CANCELLED',
+  FREELANCER: 'COMPLETED',
+  SPLIT: 'COMPLETED',
+};
+
+function activeDisputeFor(projectId) {
+  return prisma.dispute.findFirst({
+    where: { projectId, status: { in: ACTIVE_STATUSES } },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// Every step moves the project through the state machine; a refused transition aborts the
+// dispute change with the state machine's error
+function applyOrThrow(tx, project, to, options) {
+  return projectStateMachine.apply(tx, project, to, options).then(result => {
+    if (result.error) throw new Error(result.error);
+    return result;
+  });
+}
+
+// Callers check DISPUTABLE_PROJECT_STATUSES and activeDisputeFor first
+async function open({ project, openedById, reason }) {
+  const { dispute, moved } = await prisma.$transaction(async (tx) => {
+    const now = Date.now();
+    const dispute = await tx.dispute.create({
+      data: {
+        projectId: project.id,
+        openedById,
+        reason,
+        previousProjectStatus: project.status,
+        responseDeadline: new Date(now + RESPONSE_DAYS * DAY_MS),
+        evidenceDeadline: new Date(now + EVIDENCE_DAYS * DAY_MS)
+      }
+    });
+    const moved = await applyOrThrow(tx, project, 'DISPUTED', {
+      actor: projectStateMachine.actorFor(project, { id: openedById }),
+      reason
+    });
+    return { dispute, moved };
+  });
+
+  await projectStateMachine.runHooks(moved);
+  return dispute;
+}
+
+async function withdraw(dispute) {
+  const project = await prisma.project.findUnique({ where: { id: dispute.projectId } });
+
+  const { withdrawn, moved } = await prisma.$transaction(async (tx) => {
+    const moved = await applyOrThrow(tx, project, dispute.previousProjectStatus, {
+      actor: projectStateMachine.actorFor(project, { id: dispute.openedById }),
+      reason: 'Dispute withdrawn'
+    });
+    const withdrawn = await tx.dispute.update({
+      where: { id: dispute.id },
+      data: { status: 'WITHDRAWN', resolvedAt: new Date() }
+    });
+    return { withdrawn, moved };
+  });
+
+  await projectStateMachine.runHooks(moved);
+  return withdrawn;
+}
+
+function markEscalated(dispute, { daoDisputeId, txHash }) {
+  return prisma.dispute.update({
+    where: { id: dispute.id },
+    data: {
+      status: 'ESCALATED',
+      daoDisputeId: daoDisputeId.toString(),
+      escalationTxHash: txHash,
+      escalatedAt: new Date()
+    }
+  });
+}
+
+// Called from the escrow DisputeRaised handler: escalate the open dispute, or record one raised directly on-chain
+async function linkChainDispute({ project, openedById, daoDisputeId, txHash }) {
+  const active = await activeDisputeFor(project.id);
+  if (active) {
+    return active.daoDisputeId ? active : markEscalated(active, { daoDisputeId, txHash });
+  }
+  if (!openedById) return null;
+
+  const now = Date.now();
+  return prisma.dispute.create({
+    data: {
+      projectId: project.id,
+      openedById,
+      reason: 'Raised on-chain',
+      status: 'ESCALATED',
+      previousProjectStatus: 'IN_PROGRESS',
+      responseDeadline: new Date(now + RESPONSE_DAYS * DAY_MS),
+      evidenceDeadline: new Date(now + EVIDENCE_DAYS * DAY_MS),
+      daoDisputeId: daoDisputeId.toString(),
+      escalationTxHash: txHash,
+      escalatedAt: new Date(now)
+    }
+  });
+}
+
+// Off-chain resolution by platform staff; emits reputation events for both sides.
+// resolvedBy is the staff user.
+async function resolve(dispute, { outcome, note, resolvedBy }) {
+  const project = await prisma.project.findUnique({ where: { id: dispute.projectId } });
+  const parties = [['client', project.clientId], ['freelancer', project.freelancerId]].filter(([, id]) => id);
+  const metadata = { event: 'DisputeResolved', source: 'platform', disputeId: dispute.id, projectId: project.id, outcome };
+
+  const { resolved, moved } = await prisma.$transaction(async (tx) => {
+    const moved = await applyOrThrow(tx, project, PROJECT_STATUS_BY_OUTCOME[outcome], {
+      actor: { id: resolvedBy.id, role: resolvedBy.role === 'SYSTEM' ? 'SYSTEM' : 'ADMIN' },
+      reason: note || `Dispute resolved: ${outcome}`
+    });
+
+    // A split has no winner or loser, matching the DAO's tie handling
+    if (outcome !== 'SPLIT') {
+      for (const [role, userId] of parties) {
+        const won = role === outcome.toLowerCase();
+        await tx.reputationEvent.create({
+          data: {
+            userId,
+            type: won ? 'ESCROW_DISPUTE_WON' : 'ESCROW_DISPUTE_LOST',
+            weight: 1,
+            delta: won ? 5 : -15,
+            metadata: { ...metadata, role }
+          }
+        });
+      }
+    }
+
+    const resolved = await tx.dispute.update({
+      where: { id: dispute.id },
+      data: { status: 'RESOLVED', outcome, resolutionNote: note, resolvedById: resolvedBy.id, resolvedAt: new Date() }
+    });
+    return { resolved, moved };
+  });
+
+  await projectStateMachine.runHooks(moved);
+
+  if (outcome !== 'SPLIT') {
+    for (const [, userId] of parties) {
+      try {
+        await reputationService.recomputeUser(userId);
+      } catch (e) {
+        console.error('[disputeService] recompute failed for', userId, e.message);
+      }
+    }
+  }
+
+  return resolved;
+}
+
+// Called from the DAO DisputeResolved handler; winner is the lowercased winning address or the zero address.
+// Returns the resolved dispute with its project, or null if no escalated dispute matches.
+async function markResolvedByDao({ daoDisputeId, winner, client, freelancer }) {
+  let outcome = 'SPLIT';
+  if (winner === client.toLowerCase()) outcome = 'CLIENT';
+  else if (winner === freelancer.toLowerCase()) outcome = 'FREELANCER';
+
+  const dispute = await prisma.dispute.findFirst({
+    where: { daoDisputeId: daoDisputeId.toString(), status: 'ESCALATED' }
+  });
+  if (!dispute) return null;
+
+  return prisma.dispute.update({
+    where: { id: dispute.id },
+    data: { status: 'RESOLVED', outcome, resolvedAt: new Date() },
+    include: { project: true }
+  });
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  DISPUTABLE_PROJECT_STATUSES,
+  PLATFORM_STATUSES,
+  activeDisputeFor,
+  open,
+  withdraw,
+  markEscalated,
+  linkChainDispute,
+  resolve,
+  markResolvedByDao,
+};
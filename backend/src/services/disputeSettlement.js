@@ -0,0 +1,148 @@
+const { ethers } = require('ethers');
+const { DAO_ABI, TOKEN_ABI, toWei } = require('../config/contracts');
+
+// Turns a resolver settlement ({ freelancerPercent, milestones, remediation }) into exact token
+// amounts and a SkillFiDAO.propose payload. Amounts follow SkillFiEscrow: the platform fee
+// (basis points) is taken from each released amount and the remainder goes to the parties.
+//
+// SkillFiEscrow.resolveDispute can only pay a winner or split 50/50, so arbitrary splits are
+// proposed as SKILL transfers executed by the DAO timelock, which must hold the disputed funds.
+
+const FEE_DENOMINATOR = 10000n;
+const PLATFORM_FEE_BPS = BigInt(process.env.PLATFORM_FEE_BPS || '250');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daoInterface = new ethers.Interface(DAO_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+const toBps = (percent) => BigInt(Math.round(Number(percent) * 100));
+
+// Unpaid milestones (or the whole budget without a milestone plan) with the freelancer share for each
+function allocations({ budget, milestones = [] }, settlement) {
+  const overrides = new Map((settlement.milestones || []).map(m => [m.order, m.freelancerPercent]));
+  const unpaid = milestones.filter(m => m.status !== 'PAID');
+
+  if (milestones.length === 0) {
+    return [{ order: null, title: 'Project budget', amount: budget, freelancerPercent: settlement.freelancerPercent }];
+  }
+  return unpaid.map(m => ({
+    order: m.order,
+    title: m.title,
+    amount: m.amount,
+    freelancerPercent: overrides.has(m.order) ? overrides.get(m.order) : settlement.freelancerPercent
+  }));
+}
+
+// Exact wei amounts per allocation and in total; all values are decimal strings
+function computeAmounts({ budget, milestones }, settlement, { feeBps = PLATFORM_FEE_BPS } = {}) {
+  const totals = { escrowed: 0n, fee: 0n, client: 0n, freelancer: 0n };
+
+  const perMilestone = allocations({ budget, milestones }, settlement).map(a => {
+    const escrowed = toWei(a.amount);
+    const fee = (escrowed * feeBps) / FEE_DENOMINATOR;
+    const net = escrowed - fee;
+    const freelancer = (net * toBps(a.freelancerPercent)) / FEE_DENOMINATOR;
+    const client = net - freelancer;
+
+    totals.escrowed += escrowed;
+    totals.fee += fee;
+    totals.client += client;
+    totals.freelancer += freelancer;
+
+    return {
+      order: a.order,
+      title: a.title,
+      freelancerPercent: a.freelancerPercent,
+      escrowed: escrowed.toString(),
+      fee: fee.toString(),
+      client: client.toString(),
+      freelancer: freelancer.toString()
+    };
+  });
+
+  const format = (wei) => ({ wei: wei.toString(), tokens: ethers.formatEther(wei) });
+  return {
+    feeBps: Number(feeBps),
+    escrowed: format(totals.escrowed),
+    platformFee: format(totals.fee),
+    client: format(totals.client),
+    freelancer: format(totals.freelancer),
+    perMilestone
+  };
+}
+
+// Checks against the project before anything is proposed: the settlement may only name unpaid
+// milestones of the project, and the amounts must add up to no more than the escrowed budget.
+// Returns a list of problems, empty when the settlement can be proposed.
+function checkSettlement({ budget, milestones = [] }, settlement, options) {
+  const problems = [];
+  const unpaid = new Set(milestones.filter(m => m.status !== 'PAID').map(m => m.order));
+  for (const m of settlement.milestones || []) {
+    if (!unpaid.has(m.order)) {
+      problems.push(`$.settlement.milestones: milestone ${m.order} is not an unpaid milestone of this project`);
+    }
+  }
+  if (milestones.length > 0 && unpaid.size === 0) {
+    problems.push('$.settlement: every milestone is already paid; nothing is left in escrow');
+  }
+  if (problems.length) return problems;
+
+  const amounts = computeAmounts({ budget, milestones }, settlement, options);
+  const paidOut = BigInt(amounts.client.wei) + BigInt(amounts.freelancer.wei) + BigInt(amounts.platformFee.wei);
+  if (paidOut !== BigInt(amounts.escrowed.wei)) {
+    problems.push('$.settlement: client, freelancer and fee amounts do not add up to the escrowed amount');
+  }
+  if (BigInt(amounts.escrowed.wei) > toWei(budget)) {
+    problems.push(`$.settlement: unpaid milestones hold ${amounts.escrowed.tokens} SKILL, more than the project budget of ${budget}`);
+  }
+  return problems;
+}
+
+// Remediation items with absolute deadlines counted from `from`
+function remediationSchedule(settlement, from = new Date()) {
+  return (settlement.remediation || []).map(r => ({
+    title: r.title,
+    description: r.description,
+    dueInDays: r.dueInDays,
+    deadline: new Date(from.getTime() + r.dueInDays * DAY_MS).toISOString()
+  }));
+}
+
+// Governor propose(targets, values, calldatas, description) for the settlement.
+// Zero-amount transfers are left out; the fee goes to `treasury` when one is given.
+function buildProposal({ dispute, amounts, remediation, tokenAddress, client, freelancer, treasury }) {
+  const transfers = [
+    [client, amounts.client.wei],
+    [freelancer, amounts.freelancer.wei],
+    ...(treasury ? [[treasury, amounts.platformFee.wei]] : [])
+  ].filter(([, wei]) => BigInt(wei) > 0n);
+
+  const targets = transfers.map(() => tokenAddress);
+  const values = transfers.map(() => '0');
+  const calldatas = transfers.map(([to, wei]) => tokenInterface.encodeFunctionData('transfer', [to, wei]));
+
+  const description = [
+    `Settle SkillFi dispute ${dispute.daoDisputeId ? `#${dispute.daoDisputeId}` : dispute.id} (project ${dispute.projectId})`,
+    `Client receives ${amounts.client.tokens} SKILL, freelancer receives ${amounts.freelancer.tokens} SKILL, platform fee ${amounts.platformFee.tokens} SKILL.`,
+    ...remediation.map(r => `Remediation: ${r.title} by ${r.deadline}`),
+    '',
+    JSON.stringify({ disputeId: dispute.id, daoDisputeId: dispute.daoDisputeId, amounts, remediation })
+  ].join('\n');
+
+  return {
+    targets,
+    values,
+    calldatas,
+    description,
+    descriptionHash: ethers.id(description),
+    data: daoInterface.encodeFunctionData('propose', [targets, values, calldatas, description])
+  };
+}
+
+module.exports = {
+  PLATFORM_FEE_BPS,
+  computeAmounts,
+  checkSettlement,
+  remediationSchedule,
+  buildProposal,
+};
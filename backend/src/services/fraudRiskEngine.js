@@ -1,26 +1,39 @@
 // Simple rule-based fraud risk engine. Returns a non-negative integer penalty.
-// Inputs are passed in; integration can evolve to query more context.
+// Signals are derived from the database by fraudSignalExtractor; callers may also pass them in.
+
+// [rule, signal, points per unit, cap]
+const RULES = [
+  // Dispute-related penalties
+  ['recent_disputes', 'recentDisputes', 2, 20],
+  ['disputes_lost', 'disputesLost', 5, 30],
+
+  // Abuse patterns
+  ['ratings_burst', 'ratingsBurst', 2, 20], // many ratings in short time
+  ['duplicate_clients', 'duplicateClients', 3, 20], // repeated mutual ratings between same pairs
+  ['referral_farming', 'referralFarming', 5, 25], // referees sharing a verified wallet with, or rating, their referrer
+
+  // Other heuristics
+  ['low_effort', 'lowEffortSignals', 2, 10], // flagged by heuristics
+];
+
 module.exports = {
-  evaluate({
-    recentDisputes = 0,
-    disputesLost = 0,
-    ratingsBurst = 0, // many ratings in short time
-    duplicateClients = 0, // repeated mutual ratings between same pairs
-    lowEffortSignals = 0, // flagged by heuristics
-  } = {}) {
+  // Penalty plus the rules that contributed to it, for auditing
+  explain(signals = {}) {
     let penalty = 0;
+    const triggeredRules = [];
 
-    // Dispute-related penalties
-    penalty += Math.min(recentDisputes * 2, 20);
-    penalty += Math.min(disputesLost * 5, 30);
-
-    // Abuse patterns
-    penalty += Math.min(ratingsBurst * 2, 20);
-    penalty += Math.min(duplicateClients * 3, 20);
+    for (const [rule, signal, points, cap] of RULES) {
+      const value = Number(signals[signal]) || 0;
+      if (value <= 0) continue;
+      const rulePenalty = Math.min(value * points, cap);
+      penalty += rulePenalty;
+      triggeredRules.push({ rule, signal, value, penalty: rulePenalty });
+    }
 
-    // Other heuristics
-    penalty += Math.min(lowEffortSignals * 2, 10);
+    return { penalty: Math.max(0, Math.floor(penalty)), triggeredRules };
+  },
 
-    return Math.max(0, Math.floor(penalty));
+  evaluate(signals = {}) {
+    return this.explain(signals).penalty;
   },
 };
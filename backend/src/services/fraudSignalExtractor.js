@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Derives fraudRiskEngine inputs for a user from ratings, reputation events, referrals and messages.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BURST_WINDOW_MS = DAY_MS;
+const BURST_ALLOWANCE = 3; // ratings received per window before it counts as a burst
+const RECENT_DISPUTE_WINDOW_MS = 90 * DAY_MS;
+// Client and freelancer rating each other once is the normal end of a project. A pair is a ring
+// when it keeps doing so: on RING_MIN_PROJECTS projects, or on two projects within RING_WINDOW_MS.
+const RING_MIN_PROJECTS = 3;
+const RING_WINDOW_MS = 30 * DAY_MS;
+
+// Counterparts that exchanged ratings with the user often enough to look like a ring.
+// received: [{ fromUserId, projectId, createdAt }], given: [{ toUserId, projectId, createdAt }]
+function ratingRings(received, given) {
+  const givenAt = new Map(given.map(r => [`${r.toUserId}:${r.projectId}`, r.createdAt]));
+
+  // Projects on which each counterpart and the user rated each other, by when the exchange completed
+  const exchanges = new Map();
+  for (const r of received) {
+    const gaveAt = givenAt.get(`${r.fromUserId}:${r.projectId}`);
+    if (!gaveAt) continue;
+    const at = Math.max(r.createdAt.getTime(), gaveAt.getTime());
+    exchanges.set(r.fromUserId, [...(exchanges.get(r.fromUserId) || []), at]);
+  }
+
+  const rings = [];
+  for (const [counterpartId, times] of exchanges) {
+    times.sort((a, b) => a - b);
+    const closeTogether = times.some((t, i) => i > 0 && t - times[i - 1] <= RING_WINDOW_MS);
+    if (times.length >= RING_MIN_PROJECTS || closeTogether) rings.push(counterpartId);
+  }
+  return rings;
+}
+
+async function ratingSignals(userId) {
+  const [received, given] = await Promise.all([
+    prisma.rating.findMany({
+      where: { toUserId: userId, voidedAt: null },
+      select: { fromUserId: true, projectId: true, createdAt: true }
+    }),
+    prisma.rating.findMany({
+      where: { fromUserId: userId, voidedAt: null },
+      select: { toUserId: true, projectId: true, createdAt: true }
+    })
+  ]);
+
+  // Burst: ratings received inside the trailing window beyond the allowance
+  const burstSince = Date.now() - BURST_WINDOW_MS;
+  const recentCount = received.filter(r => r.createdAt.getTime() >= burstSince).length;
+  const ratingsBurst = Math.max(0, recentCount - BURST_ALLOWANCE);
+
+  // Same rater rating this user on several projects
+  const perRater = new Map();
+  for (const r of received) perRater.set(r.fromUserId, (perRater.get(r.fromUserId) || 0) + 1);
+  let repeatRatings = 0;
+  for (const n of perRater.values()) if (n > 1) repeatRatings += n - 1;
+
+  const ringCounterparts = ratingRings(received, given);
+
+  // Ratings on projects where the two sides never exchanged a message
+  const projectIds = [...new Set(received.map(r => r.projectId))];
+  const messaged = projectIds.length === 0 ? [] : await prisma.message.groupBy({
+    by: ['projectId'],
+    where: {
+      projectId: { in: projectIds },
+      OR: [{ senderId: userId }, { receiverId: userId }]
+    }
+  });
+  const messagedProjects = new Set(messaged.map(m => m.projectId));
+  const silentRatings = received.filter(r => !messagedProjects.has(r.projectId)).length;
+
+  return {
+    received,
+    ratingsBurst,
+    duplicateClients: repeatRatings + ringCounterparts.length,
+    lowEffortSignals: silentRatings,
+    details: { recentCount, repeatRatings, ringCounterparts, silentRatings }
+  };
+}
+
+async function disputeSignals(userId) {
+  const [recentDisputes, disputesLost] = await Promise.all([
+    prisma.reputationEvent.count({
+      where: {
+        userId,
+        type: 'ESCROW_DISPUTE_OPENED',
+        createdAt: { gte: new Date(Date.now() - RECENT_DISPUTE_WINDOW_MS) }
+      }
+    }),
+    prisma.reputationEvent.count({ where: { userId, type: 'ESCROW_DISPUTE_LOST' } })
+  ]);
+  return { recentDisputes, disputesLost };
+}
+
+// Referees that verified a wallet the referrer also verified, i.e. the same person on both sides.
+// wallets: [{ userId, address }] for the referrer and the referees, current and past links alike
+function walletSharingReferees(referrerId, refereeIds, wallets) {
+  const referrerWallets = new Set(wallets.filter(w => w.userId === referrerId).map(w => w.address));
+  const sharing = new Set(
+    wallets.filter(w => w.userId !== referrerId && referrerWallets.has(w.address)).map(w => w.userId)
+  );
+  return refereeIds.filter(id => sharing.has(id));
+}
+
+// Every wallet the users verified: linked ones, plus spent challenges for wallets since unlinked
+async function verifiedWallets(userIds) {
+  const [linked, signed] = await Promise.all([
+    prisma.userWallet.findMany({ where: { userId: { in: userIds } }, select: { userId: true, address: true } }),
+    prisma.walletChallenge.findMany({
+      where: { userId: { in: userIds }, usedAt: { not: null } },
+      select: { userId: true, address: true }
+    })
+  ]);
+  return [...linked, ...signed];
+}
+
+async function referralSignals(userId, receivedRatings) {
+  const referrals = await prisma.referral.findMany({
+    where: { referrerId: userId },
+    select: { refereeId: true }
+  });
+  if (referrals.length === 0) return { referralFarming: 0, details: {} };
+
+  // Referees boosting their referrer with ratings
+  const refereeIds = referrals.map(r => r.refereeId);
+  const refereeSet = new Set(refereeIds);
+  const refereeRatings = receivedRatings.filter(r => refereeSet.has(r.fromUserId)).length;
+
+  // Self-referrals: referees holding (or having held) one of the referrer's wallets
+  const wallets = await verifiedWallets([userId, ...refereeIds]);
+  const sharedWalletReferees = walletSharingReferees(userId, refereeIds, wallets);
+
+  return {
+    referralFarming: refereeRatings + sharedWalletReferees.length,
+    details: { refereeRatings, sharedWalletReferees }
+  };
+}
+
+module.exports = {
+  ratingRings,
+  walletSharingReferees,
+
+  // Returns { signals, details }: signals feed fraudRiskEngine, details explain them for the audit trail
+  async extract(userId) {
+    const ratings = await ratingSignals(userId);
+    const [disputes, referrals] = await Promise.all([
+      disputeSignals(userId),
+      referralSignals(userId, ratings.received)
+    ]);
+
+    return {
+      signals: {
+        recentDisputes: disputes.recentDisputes,
+        disputesLost: disputes.disputesLost,
+        ratingsBurst: ratings.ratingsBurst,
+        duplicateClients: ratings.duplicateClients,
+        referralFarming: referrals.referralFarming,
+        lowEffortSignals: ratings.lowEffortSignals,
+      },
+      details: { ratings: ratings.details, referrals: referrals.details }
+    };
+  },
+};
@@ -0,0 +1,273 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Freelancer discovery for GET /api/users. The relevance score blends the composite reputation
+// score, how recently the freelancer was active, their completion rate and how many of the
+// requested skills they list. Every factor is 0-1, so the score is too, and each result carries
+// the per-factor breakdown as `explanation`. Pages are keyset cursors that pin the clock, so the
+// activity factor cannot reorder results between pages.
+
+const WEIGHTS = { reputation: 0.4, completion: 0.25, activity: 0.2, skills: 0.15 };
+const ACTIVITY_HALF_LIFE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SORTS = ['relevance', 'reputation', 'completed', 'rate_low', 'rate_high', 'newest'];
+const AVAILABILITY = ['AVAILABLE', 'PART_TIME', 'UNAVAILABLE'];
+const MAX_LIMIT = 50;
+
+// Sort key of each row (r) and its direction; ties are broken by id
+const SORT_KEYS = {
+  relevance: { value: Prisma.sql`r."rankScore"`, direction: 'DESC' },
+  reputation: { value: Prisma.sql`r."reputationScore"::float8`, direction: 'DESC' },
+  completed: { value: Prisma.sql`r."completedProjects"::float8`, direction: 'DESC' },
+  // Freelancers without a rate go last either way
+  rate_low: { value: Prisma.sql`COALESCE(r."hourlyRate", 1e15)`, direction: 'ASC' },
+  rate_high: { value: Prisma.sql`COALESCE(r."hourlyRate", -1)`, direction: 'DESC' },
+  newest: { value: Prisma.sql`extract(epoch from r."createdAt")::float8`, direction: 'DESC' }
+};
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+function encodeCursor(row, at) {
+  return Buffer.from(JSON.stringify({ v: row.sortValue, id: row.id, at: at.getTime() })).toString('base64url');
+}
+
+// Returns { v, id, at } or null when the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { v, id, at } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof v !== 'number' || typeof id !== 'string' || !Number.isFinite(at)) return null;
+    return { v, id, at: new Date(at) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Skills are matched case-insensitively
+function filterSql({ skills, minRate, maxRate, location, search, availability, minReputation, verified }) {
+  const conditions = [Prisma.sql`u."role" = 'USER'`];
+
+  if (skills.length) {
+    conditions.push(Prisma.sql`EXISTS (SELECT 1 FROM unnest(u."skills") s WHERE lower(s) = ANY(${skills}::text[]))`);
+  }
+  if (minRate != null) conditions.push(Prisma.sql`u."hourlyRate" >= ${minRate}`);
+  if (maxRate != null) conditions.push(Prisma.sql`u."hourlyRate" <= ${maxRate}`);
+  if (location) conditions.push(Prisma.sql`u."location" ILIKE ${`%${escapeLike(location)}%`}`);
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    conditions.push(Prisma.sql`(u."username" ILIKE ${pattern} OR u."firstName" ILIKE ${pattern}
+      OR u."lastName" ILIKE ${pattern} OR u."bio" ILIKE ${pattern})`);
+  }
+  if (availability.length) {
+    conditions.push(Prisma.sql`u."availability"::text = ANY(${availability}::text[])`);
+  }
+  if (minReputation != null) conditions.push(Prisma.sql`COALESCE(ur."score", 0) >= ${minReputation}`);
+  if (verified) conditions.push(Prisma.sql`u."isVerified" = true`);
+
+  return Prisma.join(conditions, ' AND ');
+}
+
+// Per-freelancer signals and the blended score. Completion is smoothed ((completed + 1) /
+// (finished + 2)) so one project is not a 100% rate and newcomers start at 0.5.
+function rankedSql(filters, weights, at) {
+  const { skills } = filters;
+  const halfLifeSeconds = ACTIVITY_HALF_LIFE_DAYS * 24 * 60 * 60;
+
+  return Prisma.sql`
+    WITH metrics AS (
+      SELECT u.id, u."hourlyRate", u."createdAt",
+        COALESCE(ur."score", 0) AS "reputationScore",
+        COUNT(p.id) FILTER (WHERE p."status" = 'COMPLETED')::int AS "completedProjects",
+        COUNT(p.id) FILTER (WHERE p."status" = 'CANCELLED')::int AS "cancelledProjects",
+        COUNT(p.id) FILTER (WHERE p."status" IN ('IN_PROGRESS', 'SUBMITTED', 'DISPUTED'))::int AS "activeProjects",
+        GREATEST(
+          (SELECT MAX(pr."createdAt") FROM "proposals" pr WHERE pr."freelancerId" = u.id),
+          (SELECT MAX(t."createdAt") FROM "project_transitions" t WHERE t."actorId" = u.id)
+        ) AS "lastActiveAt",
+        ARRAY(SELECT s FROM unnest(u."skills") s WHERE lower(s) = ANY(${skills}::text[])) AS "matchedSkills"
+      FROM "users" u
+      LEFT JOIN "user_reputation" ur ON ur."userId" = u.id
+      LEFT JOIN "projects" p ON p."freelancerId" = u.id
+      WHERE ${filterSql(filters)}
+      GROUP BY u.id, ur."score"
+    ),
+    factors AS (
+      SELECT m.*,
+        (m."reputationScore" / 100.0)::float8 AS "reputationFactor",
+        ((m."completedProjects" + 1.0) / (m."completedProjects" + m."cancelledProjects" + 2.0))::float8 AS "completionFactor",
+        CASE WHEN m."lastActiveAt" IS NULL THEN 0::float8
+          ELSE power(0.5, GREATEST(extract(epoch from (${at}::timestamp - m."lastActiveAt")), 0) / ${halfLifeSeconds})::float8
+        END AS "activityFactor",
+        CASE WHEN ${skills.length} = 0 THEN 0::float8
+          ELSE (cardinality(m."matchedSkills")::float8 / ${skills.length})
+        END AS "skillFactor"
+      FROM metrics m
+    )
+    SELECT f.*,
+      (${weights.reputation} * f."reputationFactor" + ${weights.completion} * f."completionFactor"
+        + ${weights.activity} * f."activityFactor" + ${weights.skills} * f."skillFactor")::float8 AS "rankScore"
+    FROM factors f`;
+}
+
+// Skills only count when some were asked for; the other weights are scaled up to sum to 1
+function weightsFor(skills) {
+  if (skills.length) return WEIGHTS;
+  const rest = 1 - WEIGHTS.skills;
+  return {
+    reputation: WEIGHTS.reputation / rest,
+    completion: WEIGHTS.completion / rest,
+    activity: WEIGHTS.activity / rest,
+    skills: 0
+  };
+}
+
+function explain(row, weights, skills, sort, at) {
+  const finished = row.completedProjects + row.cancelledProjects;
+  const idleDays = row.lastActiveAt ? Math.floor((at - row.lastActiveAt) / DAY_MS) : null;
+
+  const factors = [
+    {
+      factor: 'reputation',
+      weight: weights.reputation,
+      value: row.reputationFactor,
+      detail: `Reputation score ${row.reputationScore}/100`
+    },
+    {
+      factor: 'completion',
+      weight: weights.completion,
+      value: row.completionFactor,
+      detail: finished ? `${row.completedProjects} of ${finished} finished projects completed` : 'No finished projects yet'
+    },
+    {
+      factor: 'activity',
+      weight: weights.activity,
+      value: row.activityFactor,
+      detail: idleDays === null ? 'No proposals or project activity yet' : `Last active ${idleDays} day${idleDays === 1 ? '' : 's'} ago`
+    },
+    skills.length ? {
+      factor: 'skills',
+      weight: weights.skills,
+      value: row.skillFactor,
+      detail: `Lists ${row.matchedSkills.length} of ${skills.length} requested skills${row.matchedSkills.length ? ` (${row.matchedSkills.join(', ')})` : ''}`
+    } : null
+  ].filter(Boolean).map(f => ({ ...f, weight: round(f.weight), value: round(f.value), contribution: round(f.weight * f.value) }));
+
+  const strongest = [...factors].sort((a, b) => b.contribution - a.contribution)[0];
+  return {
+    sort,
+    score: round(row.rankScore),
+    factors,
+    summary: sort === 'relevance'
+      ? `Strongest factor: ${strongest.factor} (${strongest.detail})`
+      : `Sorted by ${sort.replace('_', ' ')}; relevance score shown for reference`
+  };
+}
+
+const userSelect = {
+  id: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  bio: true,
+  avatar: true,
+  skills: true,
+  hourlyRate: true,
+  availability: true,
+  location: true,
+  reputation: true,
+  isVerified: true,
+  totalEarned: true,
+  createdAt: true,
+  _count: {
+    select: {
+      freelancerProjects: {
+        where: { status: 'COMPLETED' }
+      }
+    }
+  }
+};
+
+// Returns { users, nextCursor, total, take }, or { error } when the cursor is malformed
+async function search(filters, { sort = 'relevance', cursor = null, limit = 10 } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) return { error: 'Invalid cursor' };
+
+  const at = after ? after.at : new Date();
+  const weights = weightsFor(filters.skills);
+  const { value, direction } = SORT_KEYS[sort] || SORT_KEYS.relevance;
+
+  const ranked = rankedSql(filters, weights, at);
+  const activeLimit = filters.maxActiveProjects != null
+    ? Prisma.sql`r."activeProjects" <= ${filters.maxActiveProjects}`
+    : Prisma.sql`TRUE`;
+  const keyset = after
+    ? (direction === 'DESC'
+      ? Prisma.sql`(${value} < ${after.v} OR (${value} = ${after.v} AND r.id > ${after.id}))`
+      : Prisma.sql`(${value} > ${after.v} OR (${value} = ${after.v} AND r.id > ${after.id}))`)
+    : Prisma.sql`TRUE`;
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT r.*, ${value} AS "sortValue"
+      FROM (${ranked}) r
+      WHERE ${activeLimit} AND ${keyset}
+      ORDER BY "sortValue" ${Prisma.raw(direction)}, r.id ASC
+      LIMIT ${take + 1}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM (${ranked}) r WHERE ${activeLimit}`
+  ]);
+
+  const page = rows.slice(0, take);
+  const profiles = await prisma.user.findMany({ where: { id: { in: page.map(r => r.id) } }, select: userSelect });
+  const byId = new Map(profiles.map(p => [p.id, p]));
+
+  return {
+    users: page.filter(row => byId.has(row.id)).map(row => ({
+      ...byId.get(row.id),
+      reputationScore: row.reputationScore,
+      completedProjects: row.completedProjects,
+      activeProjects: row.activeProjects,
+      completionRate: row.completedProjects + row.cancelledProjects
+        ? round(row.completedProjects / (row.completedProjects + row.cancelledProjects))
+        : null,
+      lastActiveAt: row.lastActiveAt,
+      matchedSkills: row.matchedSkills,
+      explanation: explain(row, weights, filters.skills, sort, at)
+    })),
+    nextCursor: rows.length > take ? encodeCursor(page[page.length - 1], at) : null,
+    total,
+    take
+  };
+}
+
+const list = (value) => (Array.isArray(value) ? value : (value ? String(value).split(',') : []))
+  .map(v => v.trim()).filter(Boolean);
+
+const number = (value) => (value != null && value !== '' ? parseFloat(value) : null);
+
+// Normalise query-string filters into what search() accepts
+function parseFilters({ skills, minRate, maxRate, location, search, availability, minReputation, verified, maxActiveProjects } = {}) {
+  return {
+    skills: list(skills).map(s => s.toLowerCase()),
+    minRate: number(minRate),
+    maxRate: number(maxRate),
+    location: (location || '').trim() || null,
+    search: (search || '').trim() || null,
+    availability: list(availability).map(a => a.toUpperCase()).filter(a => AVAILABILITY.includes(a)),
+    minReputation: number(minReputation),
+    verified: verified === true || verified === 'true',
+    maxActiveProjects: maxActiveProjects != null && maxActiveProjects !== '' ? parseInt(maxActiveProjects) : null
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  SORTS,
+  AVAILABILITY,
+  MAX_LIMIT,
+  parseFilters,
+  search,
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Chat-completion providers for the dispute resolver. Every provider exposes
+//   { name, model, complete(messages, { temperature }) => Promise<string> }
+// where messages are OpenAI-style { role, content } and the result is the raw reply text.
+
+// Any server speaking the OpenAI chat completions API (OpenAI, vLLM, Ollama, LM Studio, ...)
+function openAICompatible({ baseUrl = 'https://api.openai.com/v1', apiKey, model = 'gpt-4o-mini', timeoutMs = 30000 } = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai-compatible',
+    model,
+    async complete(messages, { temperature = 0.2 } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model, messages, temperature }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!resp.ok) {
+        throw new Error(`LLM request failed with HTTP ${resp.status}`);
+      }
+      const data = await resp.json();
+      return data?.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+// Offline provider returning a fixed reply (a string, or an object serialized as JSON)
+function stub({ response, model = 'stub' } = {}) {
+  const reply = response ?? {
+    outcome: 'mediation_needed',
+    confidence: 0.5,
+    reasoning: 'Stub provider: no model consulted.',
+    evidence: [],
+    suggestedDAOProposal: 'Escalate to manual review by DAO committee'
+  };
+
+  return {
+    name: 'stub',
+    model,
+    async complete() {
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    }
+  };
+}
+
+function fixtureKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+// Replays recorded replies. With `responses` they are returned in order (one per call);
+// with `dir` they are looked up by a hash of the request messages, and `record` (another
+// provider) fills in missing fixtures so a live run can be captured once and replayed offline.
+function fixture({ responses, dir, record, model = 'fixture' } = {}) {
+  let calls = 0;
+
+  return {
+    name: 'fixture',
+    model: record ? record.model : model,
+    async complete(messages, options) {
+      if (responses) {
+        if (calls >= responses.length) {
+          throw new Error(`Fixture provider exhausted after ${responses.length} replies`);
+        }
+        const reply = responses[calls++];
+        return typeof reply === 'string' ? reply : JSON.stringify(reply);
+      }
+
+      const file = path.join(dir, `${fixtureKey(messages)}.json`);
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).reply;
+      }
+      if (!record) {
+        throw new Error(`No recorded fixture for request ${path.basename(file, '.json')}`);
+      }
+
+      const reply = await record.complete(messages, options);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ model: record.model, messages, reply }, null, 2));
+      return reply;
+    }
+  };
+}
+
+// Provider configured from the environment; null means "no LLM", so callers use the heuristic.
+//   LLM_PROVIDER      openai (default) | stub | fixture | none
+//   LLM_BASE_URL      OpenAI-compatible endpoint, e.g. http://localhost:8000/v1 for a self-hosted model
+//   LLM_API_KEY       falls back to OPENAI_API_KEY; optional for self-hosted endpoints
+//   AI_MODEL          model name sent to the endpoint
+//   LLM_FIXTURE_DIR   recorded replies for the fixture provider
+//   LLM_FIXTURE_RECORD=1 records missing fixtures through the openai provider
+function fromEnv(env = process.env) {
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  const live = () => openAICompatible({
+    baseUrl: env.LLM_BASE_URL || undefined,
+    apiKey,
+    model: env.AI_MODEL || undefined,
+    timeoutMs: env.LLM_TIMEOUT_MS ? parseInt(env.LLM_TIMEOUT_MS) : undefined
+  });
+
+  switch (env.LLM_PROVIDER || 'openai') {
+    case 'none':
+      return null;
+    case 'stub':
+      return stub({ model: env.AI_MODEL || undefined });
+    case 'fixture':
+      if (!env.LLM_FIXTURE_DIR) throw new Error('LLM_FIXTURE_DIR is required for the fixture provider');
+      return fixture({ dir: env.LLM_FIXTURE_DIR, record: env.LLM_FIXTURE_RECORD === '1' ? live() : undefined });
+    case 'openai':
+      // Without a key or a custom endpoint there is nothing to call
+      return apiKey || env.LLM_BASE_URL ? live() : null;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}"`);
+  }
+}
+
+module.exports = { openAICompatible, stub, fixture, fromEnv };
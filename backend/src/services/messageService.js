@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const attachmentStorage = require('./attachmentStorage');
+
+const prisma = new PrismaClient();
+
+// Project messaging shared by the REST routes and the socket handlers.
+// Failures are returned as { status, error } so each transport can report them its own way.
+
+const MAX_PAGE_SIZE = 100;
+const userSelect = { id: true, username: true, avatar: true };
+
+const messageInclude = {
+  sender: { select: userSelect },
+  receiver: { select: userSelect },
+  attachments: { select: { id: true, fileName: true, mimeType: true, size: true, sha256: true } },
+  receipts: { select: { userId: true, readAt: true } },
+  _count: { select: { replies: { where: { deletedAt: null } } } }
+};
+
+const isParticipant = (project, userId) => project.clientId === userId || project.freelancerId === userId;
+
+// Deleted messages keep their row, with the text moved to the audit trail and files hidden
+function present(message) {
+  const { _count, receipts, ...rest } = message;
+  const shaped = { ...rest, readBy: receipts || [], replyCount: _count?.replies ?? 0 };
+  if (message.deletedAt) {
+    shaped.content = '';
+    shaped.attachments = [];
+  }
+  return shaped;
+}
+
+async function loadProjectFor(userId, projectId) {
+  const project = await prisma.project.findUnique({ where: { id: projectId } });
+  if (!project) return { status: 404, error: 'Project not found' };
+  if (!isParticipant(project, userId)) return { status: 403, error: 'Not authorized to access messages for this project' };
+  return { project };
+}
+
+async function send({ senderId, projectId, receiverId, content = '', parentId, attachmentIds = [] }) {
+  const { project, ...failure } = await loadProjectFor(senderId, projectId);
+  if (!project) return failure;
+
+  if (!isParticipant(project, receiverId) || receiverId === senderId) {
+    return { status: 400, error: 'Receiver is not involved in this project' };
+  }
+
+  if (!content.trim() && attachmentIds.length === 0) {
+    return { status: 400, error: 'Message needs content or an attachment' };
+  }
+
+  // Replies always hang off the thread root so threads stay one level deep
+  let threadId = null;
+  if (parentId) {
+    const parent = await prisma.message.findUnique({ where: { id: parentId } });
+    if (!parent || parent.projectId !== projectId) {
+      return { status: 400, error: 'Parent message not found in this project' };
+    }
+    threadId = parent.parentId || parent.id;
+  }
+
+  if (attachmentIds.length > 0) {
+    const usable = await prisma.messageAttachment.count({
+      where: { id: { in: attachmentIds }, projectId, uploaderId: senderId, messageId: null }
+    });
+    if (usable !== new Set(attachmentIds).size) {
+      return { status: 400, error: 'Attachments must be your own unsent uploads for this project' };
+    }
+  }
+
+  const message = await prisma.message.create({
+    data: {
+      projectId,
+      senderId,
+      receiverId,
+      parentId: threadId,
+      content,
+      attachments: attachmentIds.length ? { connect: attachmentIds.map(id => ({ id })) } : undefined
+    },
+    include: messageInclude
+  });
+
+  return { message: present(message) };
+}
+
+// Store an uploaded file and record it; the sha256 lets the same file be cited as dispute evidence
+async function upload({ uploaderId, projectId, file }) {
+  const { project, ...failure } = await loadProjectFor(uploaderId, projectId);
+  if (!project) return failure;
+
+  const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  const storageKey = `${projectId}/${sha256}`;
+  const storage = attachmentStorage.get();
+
+  const existing = await prisma.messageAttachment.findFirst({ where: { projectId, sha256 } });
+  if (!existing) await storage.put(storageKey, file.buffer);
+
+  const attachment = await prisma.messageAttachment.create({
+    data: {
+      projectId,
+      uploaderId,
+      fileName: file.originalname,
+      mimeType: file.mimetype || 'application/octet-stream',
+      size: file.size,
+      sha256,
+      storageKey
+    }
+  });
+
+  return { attachment };
+}
+
+async function download({ userId, attachmentId }) {
+  const attachment = await prisma.messageAttachment.findUnique({ where: { id: attachmentId } });
+  if (!attachment) return { status: 404, error: 'Attachment not found' };
+
+  const { project, ...failure } = await loadProjectFor(userId, attachment.projectId);
+  if (!project) return failure;
+
+  // Unsent uploads are private to the uploader
+  if (!attachment.messageId && attachment.uploaderId !== userId) {
+    return { status: 404, error: 'Attachment not found' };
+  }
+
+  const content = await attachmentStorage.get().get(attachment.storageKey);
+  if (!content) return { status: 404, error: 'Attachment content is missing' };
+
+  return { attachment, content };
+}
+
+// Newest-first page of top-level messages (parentId omitted) or of one thread's replies.
+// Returned chronologically, with nextCursor pointing further back in time.
+async function list({ projectId, parentId = null, cursor, limit = 50 }) {
+  const take = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+  const rows = await prisma.message.findMany({
+    where: { projectId, parentId },
+    include: messageInclude,
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = rows.length > take;
+  const page = rows.slice(0, take);
+  return {
+    messages: page.reverse().map(present),
+    nextCursor: hasMore ? page[0].id : null
+  };
+}
+
+// Record read receipts for messages addressed to the user; ids not addressed to them are ignored
+async function markRead({ userId, messageIds }) {
+  const messages = await prisma.message.findMany({
+    where: { id: { in: messageIds }, receiverId: userId, deletedAt: null },
+    select: { id: true, projectId: true }
+  });
+  if (messages.length === 0) return { read: [] };
+
+  const ids = messages.map(m => m.id);
+  const readAt = new Date();
+  await prisma.$transaction([
+    prisma.messageReadReceipt.createMany({
+      data: ids.map(messageId => ({ messageId, userId, readAt })),
+      skipDuplicates: true
+    }),
+    prisma.message.updateMany({ where: { id: { in: ids } }, data: { isRead: true } })
+  ]);
+
+  return { read: messages, readAt };
+}
+
+async function loadOwnMessage(userId, messageId) {
+  const message = await prisma.message.findUnique({ where: { id: messageId } });
+  if (!message) return { status: 404, error: 'Message not found' };
+  if (message.senderId !== userId) return { status: 403, error: 'Only the sender can change this message' };
+  if (message.deletedAt) return { status: 400, error: 'Message has been deleted' };
+  return { message };
+}
+
+async function edit({ userId, messageId, content }) {
+  const { message, ...failure } = await loadOwnMessage(userId, messageId);
+  if (!message) return failure;
+
+  const [, updated] = await prisma.$transaction([
+    prisma.messageRevision.create({
+      data: { messageId, editorId: userId, action: 'EDIT', previousContent: message.content }
+    }),
+    prisma.message.update({
+      where: { id: messageId },
+      data: { content, editedAt: new Date() },
+      include: messageInclude
+    })
+  ]);
+
+  return { message: present(updated) };
+}
+
+async function remove({ userId, messageId }) {
+  const { message, ...failure } = await loadOwnMessage(userId, messageId);
+  if (!message) return failure;
+
+  const [, updated] = await prisma.$transaction([
+    prisma.messageRevision.create({
+      data: { messageId, editorId: userId, action: 'DELETE', previousContent: message.content }
+    }),
+    prisma.message.update({
+      where: { id: messageId },
+      data: { deletedAt: new Date(), content: '' },
+      include: messageInclude
+    })
+  ]);
+
+  return { message: present(updated) };
+}
+
+module.exports = {
+  isParticipant,
+  loadProjectFor,
+  send,
+  upload,
+  download,
+  list,
+  markRead,
+  edit,
+  remove,
+};
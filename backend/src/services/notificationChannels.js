@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Out-of-app delivery adapters for notifications. Email transports expose
+//   { name, send({ to, subject, text }) }
+// and the webhook adapter exposes send({ url, secret, event, payload }).
+// Every send throws on failure so the caller can schedule a retry.
+
+function formatEmail({ from, to, subject, text }) {
+  const header = (value) => String(value).replace(/[\r\n]+/g, ' ');
+  return [
+    `From: ${header(from)}`,
+    `To: ${header(to)}`,
+    `Subject: ${header(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text
+  ].join('\r\n').replace(/\r?\n/g, '\r\n');
+}
+
+// Writes each email as an .eml file; the local stand-in for an SMTP server in development
+function outbox({ dir = path.join(__dirname, '..', '..', 'outbox'), from = 'SkillFi <no-reply@skillfi.local>' } = {}) {
+  return {
+    name: 'outbox',
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.promises.writeFile(file, formatEmail({ from, to, subject, text }));
+    }
+  };
+}
+
+// Plain SMTP without auth or TLS, for a local relay such as Mailpit or MailHog
+function smtp({ host = 'localhost', port = 1025, from = 'no-reply@skillfi.local', timeoutMs = 10000 } = {}) {
+  return {
+    name: 'smtp',
+    send({ to, subject, text }) {
+      const address = (value) => String(value).match(/<([^>]+)>/)?.[1] || String(value);
+      // Lines starting with a dot are escaped so they do not end the DATA section
+      const data = formatEmail({ from, to, subject, text }).replace(/^\./gm, '..');
+      const script = [
+        { expect: 220 },
+        { send: `EHLO ${os.hostname()}`, expect: 250 },
+        { send: `MAIL FROM:<${address(from)}>`, expect: 250 },
+        { send: `RCPT TO:<${address(to)}>`, expect: 250 },
+        { send: 'DATA', expect: 354 },
+        { send: `${data}\r\n.`, expect: 250 },
+        { send: 'QUIT', expect: 221 }
+      ];
+
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let step = 0;
+        let buffer = '';
+        let settled = false;
+        const finish = (error) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (error) reject(error);
+          else resolve();
+        };
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => finish(new Error('SMTP timeout')));
+        socket.on('error', finish);
+        socket.on('data', (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (line[3] === '-') continue; // continuation of a multi-line reply
+
+            if (parseInt(line.slice(0, 3)) !== script[step].expect) {
+              return finish(new Error(`SMTP: ${line}`));
+            }
+            step++;
+            if (step === script.length) return finish();
+            socket.write(`${script[step].send}\r\n`);
+          }
+        });
+      });
+    }
+  };
+}
+
+// Drops emails; for environments without any mail setup
+function disabled() {
+  return {
+    name: 'none',
+    async send() {}
+  };
+}
+
+// Webhooks are user-supplied URLs fetched by the server, so they may only reach public addresses:
+// not loopback, private, link-local, CGNAT, multicast or reserved ranges. BlockList applies the
+// IPv4 ranges to IPv4-mapped IPv6 addresses as well.
+const blockedAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) blockedAddresses.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) blockedAddresses.addSubnet(prefix, bits, 'ipv6');
+
+// Errors whose message may be stored as the delivery's lastError; anything else is replaced
+const webhookError = (message) => Object.assign(new Error(message), { webhookError: true });
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Why a webhook URL may not be used, or null. Checked when the URL is saved and again before
+// every send, since DNS can change in between.
+async function webhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return 'Webhook URL is not valid';
+  }
+  if (parsed.protocol !== 'https:') return 'Webhook URL must use https';
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+  } catch (e) {
+    return 'Webhook host could not be resolved';
+  }
+  if (addresses.some(address => !isPublicAddress(address))) return 'Webhook URL must point to a public address';
+  return null;
+}
+
+// dns.lookup for the request itself, so a host that re-resolves to a private address is refused
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const resolved = Array.isArray(address) ? address : [{ address, family }];
+    if (resolved.some(a => !isPublicAddress(a.address))) {
+      return callback(webhookError('Webhook URL must point to a public address'));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POSTs the payload as JSON; with a secret, X-SkillFi-Signature is the hex HMAC-SHA256 of the body.
+// Redirects are not followed. Errors name the problem without echoing what the remote end sent.
+function webhook({ timeoutMs = 10000 } = {}) {
+  const post = (url, headers, body) => new Promise((resolve, reject) => {
+    const req = https.request(url, { method: 'POST', headers, lookup: publicLookup, timeout: timeoutMs }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('timeout', () => req.destroy(webhookError('Webhook timed out')));
+    req.on('error', (error) => reject(error.webhookError ? error : webhookError('Webhook could not be reached')));
+    req.end(body);
+  });
+
+  return {
+    name: 'webhook',
+    async send({ url, secret, event, payload }) {
+      const problem = await webhookUrlProblem(url);
+      if (problem) throw new Error(problem);
+
+      const body = JSON.stringify(payload);
+      const headers = {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-SkillFi-Event': event
+      };
+      if (secret) {
+        headers['X-SkillFi-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const status = await post(url, headers, body);
+      if (status < 200 || status >= 300) {
+        throw new Error('Webhook did not accept the delivery');
+      }
+    }
+  };
+}
+
+// EMAIL_TRANSPORT: outbox (default) | smtp | none
+function emailFromEnv(env = process.env) {
+  const from = env.EMAIL_FROM || undefined;
+  switch (env.EMAIL_TRANSPORT || 'outbox') {
+    case 'outbox':
+      return outbox({ dir: env.EMAIL_OUTBOX_DIR || undefined, from });
+    case 'smtp':
+      return smtp({ host: env.SMTP_HOST || undefined, port: parseInt(env.SMTP_PORT || '1025'), from });
+    case 'none':
+      return disabled();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${env.EMAIL_TRANSPORT}"`);
+  }
+}
+
+module.exports = {
+  formatEmail,
+  outbox,
+  smtp,
+  disabled,
+  webhook,
+  webhookUrlProblem,
+  emailFromEnv,
+};
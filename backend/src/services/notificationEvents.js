@@ -0,0 +1,268 @@
+const notificationService = require('./notificationService');
+
+// Producers that turn domain events into notifications. They are fire-and-forget:
+// a failing notification is logged and never fails the request that triggered it.
+
+function fire(label, work) {
+  Promise.resolve()
+    .then(work)
+    .catch(error => console.error(`[notifications] ${label} failed:`, error));
+}
+
+const participants = (project) => [project.clientId, project.freelancerId].filter(Boolean);
+
+// proposal includes freelancer { username } and project { id, title, client { id } }
+function proposalReceived(proposal) {
+  fire('proposalReceived', () => notificationService.notify({
+    userId: proposal.project.client.id,
+    type: 'PROPOSAL_RECEIVED',
+    title: `New proposal on "${proposal.project.title}"`,
+    body: `${proposal.freelancer.username} bid ${proposal.bidAmount} with delivery in ${proposal.deliveryTime} days.`,
+    data: { projectId: proposal.project.id, proposalId: proposal.id }
+  }));
+}
+
+function proposalAccepted(proposal, project) {
+  fire('proposalAccepted', () => notificationService.notify({
+    userId: proposal.freelancerId,
+    type: 'PROPOSAL_ACCEPTED',
+    title: `Your proposal on "${project.title}" was accepted`,
+    body: 'The project is now in progress. Check the milestones to get started.',
+    data: { projectId: project.id, proposalId: proposal.id }
+  }));
+}
+
+// rejected: [{ id, freelancerId }] of the other proposals when the project was awarded
+function proposalsRejected(rejected, project) {
+  for (const proposal of rejected) {
+    fire('proposalsRejected', () => notificationService.notify({
+      userId: proposal.freelancerId,
+      type: 'PROPOSAL_REJECTED',
+      title: `"${project.title}" was awarded to another freelancer`,
+      body: 'Thanks for your proposal. The client has chosen someone else for this project.',
+      data: { projectId: project.id, proposalId: proposal.id }
+    }));
+  }
+}
+
+const terms = ({ bidAmount, deliveryTime }) => [
+  bidAmount != null ? `bid ${bidAmount}` : null,
+  deliveryTime != null ? `delivery in ${deliveryTime} days` : null
+].filter(Boolean).join(', ');
+
+function counterOfferMade(proposal, project, offer) {
+  fire('counterOfferMade', () => notificationService.notify({
+    userId: proposal.freelancerId,
+    type: 'PROPOSAL_UPDATED',
+    title: `Counter-offer on "${project.title}"`,
+    body: `The client proposes ${terms(offer)}.${offer.message ? ` "${offer.message}"` : ''}`,
+    data: { projectId: project.id, proposalId: proposal.id, counterOfferId: offer.id }
+  }));
+}
+
+function counterOfferAnswered(proposal, project, offer) {
+  fire('counterOfferAnswered', () => notificationService.notify({
+    userId: project.clientId,
+    type: 'PROPOSAL_UPDATED',
+    title: `Counter-offer ${offer.status.toLowerCase()} on "${project.title}"`,
+    body: offer.status === 'ACCEPTED'
+      ? `The freelancer accepted ${terms(offer)}.`
+      : 'The freelancer kept their original terms.',
+    data: { projectId: project.id, proposalId: proposal.id, counterOfferId: offer.id }
+  }));
+}
+
+// change: 'revised' | 'withdrawn' | 'resubmitted'
+function proposalChanged(proposal, project, change) {
+  fire('proposalChanged', () => notificationService.notify({
+    userId: project.clientId,
+    type: 'PROPOSAL_UPDATED',
+    title: `A proposal on "${project.title}" was ${change}`,
+    body: change === 'withdrawn'
+      ? 'The freelancer withdrew their proposal.'
+      : `New terms: ${terms(proposal)}.`,
+    data: { projectId: project.id, proposalId: proposal.id }
+  }));
+}
+
+// message as returned by messageService (with sender)
+function messageReceived(message) {
+  const preview = message.content ? message.content.slice(0, 140) : 'Sent an attachment';
+  fire('messageReceived', () => notificationService.notify({
+    userId: message.receiverId,
+    type: 'MESSAGE_RECEIVED',
+    title: `New message from ${message.sender.username}`,
+    body: preview,
+    data: { projectId: message.projectId, messageId: message.id }
+  }));
+}
+
+// Tell the other participant(s) about a milestone change made by actorId
+function milestoneUpdated(project, milestone, actorId) {
+  const recipients = participants(project).filter(id => id !== actorId);
+  for (const userId of recipients) {
+    fire('milestoneUpdated', () => notificationService.notify({
+      userId,
+      type: 'MILESTONE_UPDATED',
+      title: `Milestone "${milestone.title}" is ${milestone.status.toLowerCase()}`,
+      body: milestone.status === 'REJECTED' && milestone.feedback
+        ? `Feedback on "${project.title}": ${milestone.feedback}`
+        : `Milestone ${milestone.order + 1} of "${project.title}" (${milestone.amount}) is now ${milestone.status.toLowerCase()}.`,
+      data: { projectId: project.id, milestoneId: milestone.id, status: milestone.status }
+    }));
+  }
+}
+
+function milestonesDefined(project, milestones, actorId) {
+  const recipients = participants(project).filter(id => id !== actorId);
+  for (const userId of recipients) {
+    fire('milestonesDefined', () => notificationService.notify({
+      userId,
+      type: 'MILESTONE_UPDATED',
+      title: `Milestones set for "${project.title}"`,
+      body: `The project budget is split into ${milestones.length} milestone${milestones.length === 1 ? '' : 's'}.`,
+      data: { projectId: project.id }
+    }));
+  }
+}
+
+const STATUS_SUMMARIES = {
+  SUBMITTED: 'The work was submitted for review',
+  IN_PROGRESS: 'Changes were requested',
+  COMPLETED: 'The project was completed',
+  CANCELLED: 'The project was cancelled'
+};
+
+// transition is a ProjectTransition row; its actor is not notified
+function projectStatusChanged(project, transition) {
+  const recipients = participants(project).filter(id => id !== transition.actorId);
+  const summary = STATUS_SUMMARIES[transition.toStatus] || `The project is now ${transition.toStatus.toLowerCase()}`;
+
+  for (const userId of recipients) {
+    fire('projectStatusChanged', () => notificationService.notify({
+      userId,
+      type: 'PROJECT_STATUS_CHANGED',
+      title: `${summary} on "${project.title}"`,
+      body: transition.reason || `Status: ${transition.toStatus}.`,
+      data: { projectId: project.id, transitionId: transition.id, status: transition.toStatus }
+    }));
+  }
+}
+
+// revealed: the target had already reviewed, so both reviews are now public
+function reviewReceived(review, project, revealed) {
+  fire('reviewReceived', () => notificationService.notify({
+    userId: review.targetId,
+    type: 'REVIEW_RECEIVED',
+    title: revealed ? `Reviews on "${project.title}" are now visible` : `You were reviewed on "${project.title}"`,
+    body: revealed
+      ? `You received ${review.rating} out of 5.`
+      : `Leave your own review to see it. Otherwise both reviews are published on ${review.revealAt.toISOString().slice(0, 10)}.`,
+    data: { projectId: project.id, reviewId: review.id }
+  }));
+}
+
+function reviewResponded(review, project) {
+  fire('reviewResponded', () => notificationService.notify({
+    userId: review.authorId,
+    type: 'REVIEW_RECEIVED',
+    title: `Your review on "${project.title}" got a response`,
+    body: review.response.slice(0, 140),
+    data: { projectId: project.id, reviewId: review.id }
+  }));
+}
+
+const DISPUTE_SUMMARIES = {
+  opened: 'A dispute was opened',
+  evidence: 'New evidence was submitted in the dispute',
+  analyzed: 'The dispute has a new AI analysis',
+  escalated: 'The dispute was escalated to a DAO vote',
+  withdrawn: 'The dispute was withdrawn',
+  resolved: 'The dispute was resolved'
+};
+
+const OUTCOME_SUMMARIES = {
+  CLIENT: 'in favour of the client',
+  FREELANCER: 'in favour of the freelancer',
+  SPLIT: 'with a split'
+};
+
+// action is a key of DISPUTE_SUMMARIES; actorId (if any) is not notified
+function disputeUpdated(dispute, project, action, actorId = null) {
+  const recipients = participants(project).filter(id => id !== actorId);
+  const body = action === 'resolved' && dispute.outcome
+    ? `${DISPUTE_SUMMARIES.resolved} ${OUTCOME_SUMMARIES[dispute.outcome]}.`
+    : `${DISPUTE_SUMMARIES[action]}. Status: ${dispute.status}.`;
+
+  for (const userId of recipients) {
+    fire('disputeUpdated', () => notificationService.notify({
+      userId,
+      type: 'DISPUTE_UPDATED',
+      title: `${DISPUTE_SUMMARIES[action]} on "${project.title}"`,
+      body,
+      data: { projectId: project.id, disputeId: dispute.id, action }
+    }));
+  }
+}
+
+const REWARD_SUMMARIES = {
+  qualified: 'qualified',
+  paid: 'was paid',
+  clawed_back: 'was clawed back'
+};
+
+// reward is a ReferralReward row; action is a key of REWARD_SUMMARIES
+function referralRewardUpdated(reward, action) {
+  fire('referralRewardUpdated', () => notificationService.notify({
+    userId: reward.userId,
+    type: 'REFERRAL_REWARD',
+    title: `Your referral reward of ${reward.paidAmount ?? reward.amount} SKILL ${REWARD_SUMMARIES[action]}`,
+    body: action === 'clawed_back'
+      ? reward.clawbackReason || 'The reward was reversed after review.'
+      : `Status: ${reward.status}.`,
+    data: { referralRewardId: reward.id, referralId: reward.referralId, action }
+  }));
+}
+
+// The referee signs SkillFiRewards.registerReferral so the contract records their referrer
+function referralRegistrationNeeded(referral, transaction) {
+  fire('referralRegistrationNeeded', () => notificationService.notify({
+    userId: referral.refereeId,
+    type: 'REFERRAL_REWARD',
+    title: 'Register your referral on-chain',
+    body: 'Sign one transaction to record who invited you with the SkillFi rewards contract.',
+    data: { referralId: referral.id, transaction }
+  }));
+}
+
+// projects are the newest few matches; total counts all new matches since the last alert
+function savedSearchMatched(saved, projects, total) {
+  const titles = projects.map(p => `- ${p.title}`).join('\n');
+  const more = total > projects.length ? `\n...and ${total - projects.length} more` : '';
+  fire('savedSearchMatched', () => notificationService.notify({
+    userId: saved.userId,
+    type: 'SAVED_SEARCH_MATCH',
+    title: `${total} new project${total === 1 ? '' : 's'} match "${saved.name}"`,
+    body: `${titles}${more}`,
+    data: { savedSearchId: saved.id, projectIds: projects.map(p => p.id) }
+  }));
+}
+
+module.exports = {
+  proposalReceived,
+  proposalAccepted,
+  proposalsRejected,
+  counterOfferMade,
+  counterOfferAnswered,
+  proposalChanged,
+  messageReceived,
+  milestoneUpdated,
+  milestonesDefined,
+  projectStatusChanged,
+  reviewReceived,
+  reviewResponded,
+  disputeUpdated,
+  referralRewardUpdated,
+  referralRegistrationNeeded,
+  savedSearchMatched,
+};
@@ -0,0 +1,316 @@
+const { PrismaClient } = require('@prisma/client');
+const channels = require('./notificationChannels');
+
+const prisma = new PrismaClient();
+
+// Stores notifications, pushes them to the user's sockets and sends them on the user's
+// other channels. Email and webhook sends that fail are retried with exponential backoff
+// by the dispatcher job; users with a digest preference get their emails batched.
+
+const TYPES = [
+  'PROPOSAL_RECEIVED',
+  'PROPOSAL_ACCEPTED',
+  'MESSAGE_RECEIVED',
+  'MILESTONE_UPDATED',
+  'DISPUTE_UPDATED',
+  'SAVED_SEARCH_MATCH',
+  'PROPOSAL_UPDATED',
+  'PROPOSAL_REJECTED',
+  'PROJECT_STATUS_CHANGED',
+  'REVIEW_RECEIVED',
+  'REFERRAL_REWARD'
+];
+
+// Messages already reach the recipient in the chat, so they are not emailed unless asked for
+const DEFAULT_CHANNELS = Object.fromEntries(TYPES.map(type => [
+  type,
+  { inApp: true, email: type !== 'MESSAGE_RECEIVED', webhook: true }
+]));
+
+const DIGEST_WINDOW_MS = { HOURLY: 60 * 60 * 1000, DAILY: 24 * 60 * 60 * 1000 };
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_RETRY_BASE_MS || '60000');
+
+const deliveryInclude = {
+  notification: {
+    include: {
+      user: { select: { id: true, email: true, notificationPreference: true } }
+    }
+  }
+};
+
+let io = null;
+let email = null;
+const webhook = channels.webhook();
+
+// Called once at startup with the Socket.IO server; in-app pushes are skipped until then
+function attach(socketServer) {
+  io = socketServer;
+}
+
+function emailTransport() {
+  if (!email) email = channels.emailFromEnv();
+  return email;
+}
+
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+function channelsFor(preference, type) {
+  return { ...DEFAULT_CHANNELS[type], ...(preference?.channels?.[type] || {}) };
+}
+
+function presentPreferences(userId, preference) {
+  return {
+    userId,
+    channels: Object.fromEntries(TYPES.map(type => [type, channelsFor(preference, type)])),
+    digest: preference?.digest || 'NONE',
+    webhookUrl: preference?.webhookUrl || null,
+    hasWebhookSecret: Boolean(preference?.webhookSecret)
+  };
+}
+
+async function getPreferences(userId) {
+  const preference = await prisma.notificationPreference.findUnique({ where: { userId } });
+  return presentPreferences(userId, preference);
+}
+
+// channels is merged per type into what is stored; null clears webhookUrl / webhookSecret
+async function updatePreferences(userId, { channels: changes, digest, webhookUrl, webhookSecret }) {
+  const current = await prisma.notificationPreference.findUnique({ where: { userId } });
+
+  const merged = { ...(current?.channels || {}) };
+  for (const [type, flags] of Object.entries(changes || {})) {
+    merged[type] = { ...(merged[type] || {}), ...flags };
+  }
+
+  const data = {
+    channels: merged,
+    ...(digest !== undefined ? { digest } : {}),
+    ...(webhookUrl !== undefined ? { webhookUrl } : {}),
+    ...(webhookSecret !== undefined ? { webhookSecret } : {})
+  };
+
+  const preference = await prisma.notificationPreference.upsert({
+    where: { userId },
+    create: { userId, ...data },
+    update: data
+  });
+
+  return presentPreferences(userId, preference);
+}
+
+function emailText(notification) {
+  return `${notification.body}\n\n${process.env.FRONTEND_URL || 'http://localhost:3000'}/notifications`;
+}
+
+function webhookPayload(notification) {
+  const { id, type, title, body, data, createdAt } = notification;
+  return { id, type, title, body, data, createdAt };
+}
+
+// Send one delivery; returns true when sent. Failures are rescheduled, or marked FAILED
+// once MAX_ATTEMPTS is reached or the user no longer has the channel configured.
+async function deliver(delivery) {
+  const { notification } = delivery;
+  const { email: address, notificationPreference: preference } = notification.user;
+  const attempts = delivery.attempts + 1;
+
+  try {
+    if (delivery.channel === 'EMAIL') {
+      if (!address) return fail(delivery, attempts, 'User has no email address');
+      await emailTransport().send({ to: address, subject: notification.title, text: emailText(notification) });
+    } else {
+      if (!preference?.webhookUrl) return fail(delivery, attempts, 'Webhook is no longer configured');
+      await webhook.send({
+        url: preference.webhookUrl,
+        secret: preference.webhookSecret,
+        event: notification.type,
+        payload: webhookPayload(notification)
+      });
+    }
+
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'SENT', attempts, sentAt: new Date(), lastError: null }
+    });
+    return true;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        attempts,
+        lastError: String(error.message).slice(0, 500),
+        status: failed ? 'FAILED' : 'PENDING',
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts))
+      }
+    });
+    return false;
+  }
+}
+
+async function fail(delivery, attempts, reason) {
+  await prisma.notificationDelivery.update({
+    where: { id: delivery.id },
+    data: { status: 'FAILED', attempts, lastError: reason }
+  });
+  return false;
+}
+
+// Digest emails of a user go out together: new ones join the batch already waiting
+async function digestDueAt(userId, digest) {
+  const waiting = await prisma.notificationDelivery.findFirst({
+    where: { status: 'PENDING', digest: true, channel: 'EMAIL', notification: { userId } },
+    orderBy: { nextAttemptAt: 'asc' },
+    select: { nextAttemptAt: true }
+  });
+  return waiting?.nextAttemptAt || new Date(Date.now() + DIGEST_WINDOW_MS[digest]);
+}
+
+async function notify({ userId, type, title, body, data }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, notificationPreference: true }
+  });
+  if (!user) return null;
+
+  const preference = user.notificationPreference;
+  const wanted = channelsFor(preference, type);
+  const digest = preference?.digest || 'NONE';
+
+  const deliveries = [];
+  if (wanted.email && user.email) {
+    deliveries.push(digest === 'NONE'
+      ? { channel: 'EMAIL' }
+      : { channel: 'EMAIL', digest: true, nextAttemptAt: await digestDueAt(userId, digest) });
+  }
+  if (wanted.webhook && preference?.webhookUrl) {
+    deliveries.push({ channel: 'WEBHOOK' });
+  }
+
+  const notification = await prisma.notification.create({
+    data: {
+      userId,
+      type,
+      title,
+      body,
+      data: data || undefined,
+      deliveries: { create: deliveries }
+    },
+    include: { deliveries: true }
+  });
+
+  const { deliveries: created, ...stored } = notification;
+  if (wanted.inApp && io) {
+    io.to(`user-${userId}`).emit('notification', stored);
+  }
+
+  for (const delivery of created.filter(d => !d.digest)) {
+    await deliver({ ...delivery, notification: { ...stored, user } });
+  }
+
+  return stored;
+}
+
+// Retry immediate deliveries whose backoff has elapsed
+async function processDue({ batchSize = 50 } = {}) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', digest: false, nextAttemptAt: { lte: new Date() } },
+    include: deliveryInclude,
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize
+  });
+
+  let sent = 0;
+  for (const delivery of due) {
+    if (await deliver(delivery)) sent++;
+  }
+  return { attempted: due.length, sent };
+}
+
+// Send one email per user whose digest batch is due, listing everything in the batch
+async function sendDigests({ batchSize = 500 } = {}) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', digest: true, nextAttemptAt: { lte: new Date() } },
+    include: deliveryInclude,
+    orderBy: { createdAt: 'asc' },
+    take: batchSize
+  });
+
+  const byUser = new Map();
+  for (const delivery of due) {
+    const { userId } = delivery.notification;
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(delivery);
+  }
+
+  let sent = 0;
+  for (const batch of byUser.values()) {
+    const { user } = batch[0].notification;
+    const ids = batch.map(d => d.id);
+    const attempts = Math.max(...batch.map(d => d.attempts)) + 1;
+
+    try {
+      if (!user.email) throw new Error('User has no email address');
+      const lines = batch.map(d => `- ${d.notification.title}\n  ${d.notification.body}`);
+      await emailTransport().send({
+        to: user.email,
+        subject: `You have ${batch.length} new notification${batch.length === 1 ? '' : 's'} on SkillFi`,
+        text: `${lines.join('\n\n')}\n\n${process.env.FRONTEND_URL || 'http://localhost:3000'}/notifications`
+      });
+      await prisma.notificationDelivery.updateMany({
+        where: { id: { in: ids } },
+        data: { status: 'SENT', attempts, sentAt: new Date(), lastError: null }
+      });
+      sent++;
+    } catch (error) {
+      await prisma.notificationDelivery.updateMany({
+        where: { id: { in: ids } },
+        data: {
+          attempts,
+          lastError: String(error.message).slice(0, 500),
+          status: !user.email || attempts >= MAX_ATTEMPTS ? 'FAILED' : 'PENDING',
+          nextAttemptAt: new Date(Date.now() + retryDelay(attempts))
+        }
+      });
+    }
+  }
+
+  return { users: byUser.size, sent };
+}
+
+async function list({ userId, unreadOnly = false, cursor, limit = 20 }) {
+  const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const rows = await prisma.notification.findMany({
+    where: { userId, ...(unreadOnly ? { readAt: null } : {}) },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = rows.length > take;
+  const page = rows.slice(0, take);
+  return { notifications: page, nextCursor: hasMore ? page[page.length - 1].id : null };
+}
+
+// ids omitted marks everything read
+async function markRead({ userId, ids }) {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, readAt: null, ...(ids ? { id: { in: ids } } : {}) },
+    data: { readAt: new Date() }
+  });
+  return { count };
+}
+
+module.exports = {
+  TYPES,
+  DEFAULT_CHANNELS,
+  attach,
+  getPreferences,
+  updatePreferences,
+  notify,
+  processDue,
+  sendDigests,
+  list,
+  markRead,
+};
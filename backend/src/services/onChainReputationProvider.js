@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const { ESCROW_ABI, STAKING_ABI, NFT_ABI, NFT_TYPE_SKILL } = require('../config/contracts');
+
+const prisma = new PrismaClient();
+
+// Reads a wallet's on-chain track record and normalizes it to a 0-100 onChainBase for reputationCalculator.
+// Signals whose contract is not configured (or whose call fails) are left out and the rest re-weighted.
+
+const SIGNAL_WEIGHTS = {
+  rating: 0.35,     // SkillFiEscrow.getUserRating, 1..5
+  completed: 0.3,   // SkillFiEscrow.userReputations.completedProjects
+  stake: 0.15,      // escrow stake + SkillFiStaking stake
+  skillNFTs: 0.2,   // SkillFiNFT skill certifications
+};
+
+const COMPLETED_HALF_SCORE = 5;    // projects needed for a score of 50
+const STAKE_FULL_SCORE = 1000;     // SKILL staked for a score of 100
+const SKILL_NFT_POINTS = 20;       // per verified skill NFT, capped at 100
+
+const cache = new Map(); // wallet -> { value, expiresAt }
+let contracts = null;
+
+function getContracts() {
+  if (contracts) return contracts;
+  const rpcUrl = process.env.RPC_URL;
+  if (!rpcUrl) return null;
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const make = (address, abi) => (address ? new ethers.Contract(address, abi, provider) : null);
+  contracts = {
+    escrow: make(process.env.ESCROW_CONTRACT_ADDRESS, ESCROW_ABI),
+    staking: make(process.env.STAKING_CONTRACT_ADDRESS, STAKING_ABI),
+    nft: make(process.env.NFT_CONTRACT_ADDRESS, NFT_ABI),
+  };
+  return contracts;
+}
+
+async function safeCall(label, fn) {
+  try {
+    return await fn();
+  } catch (e) {
+    console.error(`[onChainReputation] ${label} failed:`, e.shortMessage || e.message);
+    return null;
+  }
+}
+
+function clamp(n) {
+  return Math.max(0, Math.min(100, n));
+}
+
+async function readSignals(wallet, { escrow, staking, nft }) {
+  const signals = {};
+
+  if (escrow) {
+    const rating = await safeCall('getUserRating', () => escrow.getUserRating(wallet));
+    if (rating !== null && rating > 0n) {
+      signals.rating = { raw: Number(rating), score: clamp((Number(rating) - 1) * 25) };
+    }
+
+    const rep = await safeCall('userReputations', () => escrow.userReputations(wallet));
+    if (rep) {
+      const completed = Number(rep.completedProjects);
+      signals.completed = {
+        raw: completed,
+        score: clamp(100 * completed / (completed + COMPLETED_HALF_SCORE))
+      };
+      signals.stake = { raw: Number(ethers.formatEther(rep.stakeAmount)) };
+    }
+  }
+
+  if (staking) {
+    const stake = await safeCall('stakes', () => staking.stakes(wallet));
+    if (stake) {
+      signals.stake = { raw: (signals.stake?.raw || 0) + Number(ethers.formatEther(stake.amount)) };
+    }
+  }
+  if (signals.stake) {
+    signals.stake.score = clamp(100 * signals.stake.raw / STAKE_FULL_SCORE);
+  }
+
+  if (nft) {
+    const tokenIds = await safeCall('getUserNFTs', () => nft.getUserNFTs(wallet));
+    if (tokenIds) {
+      let skillCount = 0;
+      for (const tokenId of tokenIds) {
+        const meta = await safeCall('getNFTMetadata', () => nft.getNFTMetadata(tokenId));
+        if (meta && Number(meta.nftType) === NFT_TYPE_SKILL) skillCount++;
+      }
+      signals.skillNFTs = { raw: skillCount, score: clamp(skillCount * SKILL_NFT_POINTS) };
+    }
+  }
+
+  return signals;
+}
+
+function combine(signals) {
+  let total = 0;
+  let weightSum = 0;
+  for (const [key, weight] of Object.entries(SIGNAL_WEIGHTS)) {
+    if (!signals[key]) continue;
+    total += signals[key].score * weight;
+    weightSum += weight;
+  }
+  return weightSum > 0 ? Math.round(total / weightSum) : null;
+}
+
+module.exports = {
+  // Returns { score, breakdown } for a wallet, or null when nothing on-chain can be read
+  async forWallet(walletAddress, { ttlMs = parseInt(process.env.ONCHAIN_REPUTATION_CACHE_TTL_MS || '300000') } = {}) {
+    if (!walletAddress) return null;
+    const wallet = walletAddress.toLowerCase();
+
+    const cached = cache.get(wallet);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    const c = getContracts();
+    if (!c || (!c.escrow && !c.staking && !c.nft)) return null;
+
+    const signals = await readSignals(wallet, c);
+    const score = combine(signals);
+    const value = score === null ? null : {
+      score,
+      breakdown: { ...signals, weights: SIGNAL_WEIGHTS, readAt: new Date().toISOString() }
+    };
+
+    cache.set(wallet, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  },
+
+  // Only a wallet the user proved they own counts (see walletLinks)
+  async forUser(userId, options) {
+    const wallet = await prisma.userWallet.findFirst({ where: { userId, isPrimary: true }, select: { address: true } });
+    return this.forWallet(wallet?.address, options);
+  },
+
+  invalidate(walletAddress) {
+    if (walletAddress) cache.delete(walletAddress.toLowerCase());
+    else cache.clear();
+  },
+};
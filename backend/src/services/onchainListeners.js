@@ -1,90 +1,420 @@
 const { ethers } = require('ethers');
 const { PrismaClient } = require('@prisma/client');
-const repEventRepo = require('../repositories/reputationEventRepository');
-const reputationService = require('./reputationService');
+const { createIndexer } = require('./chainIndexer');
+const onChainProvider = require('./onChainReputationProvider');
+const disputeService = require('./disputeService');
+const notificationEvents = require('./notificationEvents');
+const projectStateMachine = require('./projectStateMachine');
+const referralRewards = require('./referralRewards');
+const walletLinks = require('./walletLinks');
+const { MARKETPLACE_ABI, ESCROW_ABI, DAO_ABI, REWARDS_ABI, ESCROW_STATUS } = require('../config/contracts');
 
 const prisma = new PrismaClient();
 
-const MARKETPLACE_ABI = [
-  "event ProjectCreated(uint256 indexed projectId, address indexed client, string title, uint256 budget)",
-  "event ProposalAccepted(uint256 indexed proposalId, uint256 indexed projectId, address indexed freelancer)"
-];
-
+// Only verified wallets are attributed, so claiming an address earns nothing
 async function userIdByWallet(address) {
-  if (!address) return null;
-  const user = await prisma.user.findFirst({ where: { walletAddress: address.toLowerCase() } });
-  if (user) return user.id;
-  // try checksum or raw
-  const alt = await prisma.user.findFirst({ where: { walletAddress: address } });
-  return alt?.id || null;
+  if (!address || address === ethers.ZeroAddress) return null;
+  return walletLinks.userIdByWallet(address);
 }
 
-async function handleProjectCreated(contract, log) {
-  try {
-    const parsed = contract.interface.parseLog(log);
-    const client = parsed.args.client;
-    const clientId = await userIdByWallet(client);
-    if (!clientId) return;
-
-    await repEventRepo.addEvent({
-      userId: clientId,
-      type: 'ESCROW_COMPLETED', // treat creation as neutral/low positive for now
-      weight: 0.5,
-      delta: 2,
-      metadata: { event: 'ProjectCreated', projectId: parsed.args.projectId.toString(), budget: parsed.args.budget?.toString?.() }
-    });
-    await reputationService.recomputeUser(clientId);
-  } catch (e) {
-    console.error('handleProjectCreated error', e);
+// ---- Marketplace (legacy) ----
+
+function marketplaceHandlers() {
+  return {
+    async ProjectCreated(parsed) {
+      const clientId = await userIdByWallet(parsed.args.client);
+      if (!clientId) return [];
+
+      return [{
+        userId: clientId,
+        type: 'OTHER', // creation is not a completion; small activity signal only
+        weight: 0.5,
+        delta: 2,
+        metadata: { event: 'ProjectCreated', projectId: parsed.args.projectId.toString(), budget: parsed.args.budget?.toString?.() }
+      }];
+    },
+
+    async ProposalAccepted(parsed) {
+      const freelancerId = await userIdByWallet(parsed.args.freelancer);
+      if (!freelancerId) return [];
+
+      return [{
+        userId: freelancerId,
+        type: 'OTHER', // selection signal: small boost
+        weight: 1,
+        delta: 5,
+        metadata: { event: 'ProposalAccepted', projectId: parsed.args.projectId.toString(), proposalId: parsed.args.proposalId.toString() }
+      }];
+    },
+  };
+}
+
+// ---- SkillFiEscrow ----
+
+// Mirror the escrow's current view of a project onto the linked Prisma project.
+// Reading live state (rather than deriving it from the event) keeps backfills convergent.
+async function syncProjectFromChain(escrow, chainProjectId) {
+  const onchain = await escrow.getProject(chainProjectId);
+  const status = ESCROW_STATUS[Number(onchain.status)] || 'OPEN';
+
+  const data = {};
+  const freelancerId = await userIdByWallet(onchain.freelancer);
+  if (freelancerId) data.freelancerId = freelancerId;
+
+  const project = await prisma.project.findFirst({
+    where: {
+      contractAddress: { equals: escrow.target, mode: 'insensitive' },
+      blockchainId: chainProjectId.toString()
+    }
+  });
+  if (!project) return onchain;
+
+  // The contract is authoritative, so its status is recorded even when it skips platform steps
+  if (project.status !== status) {
+    await projectStateMachine.transition(project, status, { reason: 'Escrow contract state', data, force: true });
+  } else if (data.freelancerId && data.freelancerId !== project.freelancerId) {
+    await prisma.project.update({ where: { id: project.id }, data });
   }
+  return onchain;
+}
+
+// Escrow events name the project they change, except stake deposits and withdrawals
+function escrowProjectId(parsed) {
+  return parsed.fragment.inputs.some(input => input.name === 'projectId') ? parsed.args.projectId.toString() : null;
 }
 
-async function handleProposalAccepted(contract, log) {
-  try {
-    const parsed = contract.interface.parseLog(log);
-    const freelancer = parsed.args.freelancer;
-    const freelancerId = await userIdByWallet(freelancer);
-    if (!freelancerId) return;
-
-    await repEventRepo.addEvent({
-      userId: freelancerId,
-      type: 'ESCROW_COMPLETED', // selection signal: small boost
-      weight: 1,
-      delta: 5,
-      metadata: { event: 'ProposalAccepted', projectId: parsed.args.projectId.toString(), proposalId: parsed.args.proposalId.toString() }
+// After a reorg: releases from orphaned transactions stop counting as payouts, and every project
+// an orphaned log touched is mirrored from the escrow again. Releases and logs that were mined
+// again are re-applied when the replacement blocks are indexed.
+async function resyncOrphaned(escrow, logs) {
+  const txHashes = [...new Set(logs.map(l => l.txHash))];
+  if (txHashes.length > 0) {
+    await prisma.milestone.updateMany({
+      where: {
+        status: 'PAID',
+        paymentTxHash: { in: txHashes },
+        project: { contractAddress: { equals: escrow.target, mode: 'insensitive' } }
+      },
+      data: { status: 'APPROVED', paidAt: null, paymentTxHash: null }
     });
-    await reputationService.recomputeUser(freelancerId);
-  } catch (e) {
-    console.error('handleProposalAccepted error', e);
   }
+  for (const chainProjectId of new Set(logs.map(l => l.projectId).filter(Boolean))) {
+    await syncProjectFromChain(escrow, chainProjectId);
+  }
+}
+
+function escrowHandlers(escrow) {
+  return {
+    async ProjectCreated(parsed) {
+      const chainProjectId = parsed.args.projectId.toString();
+      const clientId = await userIdByWallet(parsed.args.client);
+      if (!clientId) return [];
+
+      // Link the most recent unlinked project with the same title if the client created it off-chain first
+      const linked = await prisma.project.findFirst({
+        where: { contractAddress: { equals: escrow.target, mode: 'insensitive' }, blockchainId: chainProjectId }
+      });
+      const candidate = linked ? null : await prisma.project.findFirst({
+        where: { clientId, title: parsed.args.title, blockchainId: null },
+        orderBy: { createdAt: 'desc' }
+      });
+      if (candidate) {
+        await prisma.project.update({
+          where: { id: candidate.id },
+          data: { contractAddress: escrow.target, blockchainId: chainProjectId }
+        });
+      }
+      await syncProjectFromChain(escrow, chainProjectId);
+
+      return [{
+        userId: clientId,
+        type: 'OTHER',
+        weight: 0.5,
+        delta: 2,
+        metadata: { event: 'ProjectCreated', projectId: chainProjectId, amount: parsed.args.amount.toString() }
+      }];
+    },
+
+    async ProposalAccepted(parsed) {
+      const chainProjectId = parsed.args.projectId.toString();
+      await syncProjectFromChain(escrow, chainProjectId);
+
+      const freelancerId = await userIdByWallet(parsed.args.freelancer);
+      if (!freelancerId) return [];
+
+      return [{
+        userId: freelancerId,
+        type: 'OTHER',
+        weight: 1,
+        delta: 5,
+        metadata: { event: 'ProposalAccepted', projectId: chainProjectId, amount: parsed.args.amount.toString() }
+      }];
+    },
+
+    async MilestoneCompleted(parsed, log) {
+      const chainProjectId = parsed.args.projectId.toString();
+      const onchain = await syncProjectFromChain(escrow, chainProjectId);
+
+      // The release on-chain is the payout for the matching milestone
+      await prisma.milestone.updateMany({
+        where: {
+          order: Number(parsed.args.milestoneIndex),
+          status: { not: 'PAID' },
+          project: {
+            contractAddress: { equals: escrow.target, mode: 'insensitive' },
+            blockchainId: chainProjectId
+          }
+        },
+        data: { status: 'PAID', paidAt: new Date(), paymentTxHash: log.transactionHash }
+      });
+
+      const freelancerId = await userIdByWallet(onchain.freelancer);
+      if (!freelancerId) return [];
+
+      return [{
+        userId: freelancerId,
+        type: 'ESCROW_COMPLETED',
+        weight: 0.5,
+        delta: 3,
+        metadata: {
+          event: 'MilestoneCompleted',
+          projectId: chainProjectId,
+          milestoneIndex: parsed.args.milestoneIndex.toString(),
+          amount: parsed.args.amount.toString()
+        }
+      }];
+    },
+
+    async ProjectCompleted(parsed) {
+      const chainProjectId = parsed.args.projectId.toString();
+      const onchain = await syncProjectFromChain(escrow, chainProjectId);
+      const metadata = { event: 'ProjectCompleted', projectId: chainProjectId, totalAmount: parsed.args.totalAmount.toString() };
+
+      onChainProvider.invalidate(parsed.args.freelancer);
+      onChainProvider.invalidate(onchain.client);
+
+      const events = [];
+      const freelancerId = await userIdByWallet(parsed.args.freelancer);
+      if (freelancerId) {
+        events.push({ userId: freelancerId, type: 'ESCROW_COMPLETED', weight: 1, delta: 10, metadata: { ...metadata, role: 'freelancer' } });
+      }
+      const clientId = await userIdByWallet(onchain.client);
+      if (clientId) {
+        events.push({ userId: clientId, type: 'ESCROW_COMPLETED', weight: 0.5, delta: 5, metadata: { ...metadata, role: 'client' } });
+      }
+      return events;
+    },
+
+    async DisputeRaised(parsed, log) {
+      const chainProjectId = parsed.args.projectId.toString();
+      const onchain = await syncProjectFromChain(escrow, chainProjectId);
+      const initiator = parsed.args.initiator.toLowerCase();
+
+      const project = await prisma.project.findFirst({
+        where: { contractAddress: { equals: escrow.target, mode: 'insensitive' }, blockchainId: chainProjectId }
+      });
+      if (project) {
+        await disputeService.linkChainDispute({
+          project,
+          openedById: await userIdByWallet(parsed.args.initiator),
+          daoDisputeId: parsed.args.disputeId,
+          txHash: log.transactionHash
+        });
+      }
+      const metadata = {
+        event: 'DisputeRaised',
+        projectId: chainProjectId,
+        disputeId: parsed.args.disputeId.toString(),
+        initiator
+      };
+
+      const events = [];
+      for (const [role, address] of [['client', onchain.client], ['freelancer', onchain.freelancer]]) {
+        const userId = await userIdByWallet(address);
+        if (!userId) continue;
+        events.push({
+          userId,
+          type: 'ESCROW_DISPUTE_OPENED',
+          weight: 1,
+          delta: address.toLowerCase() === initiator ? -2 : -5,
+          metadata: { ...metadata, role }
+        });
+      }
+      return events;
+    },
+
+    async UserRated(parsed) {
+      onChainProvider.invalidate(parsed.args.target);
+      const targetId = await userIdByWallet(parsed.args.target);
+      if (!targetId) return [];
+      const score = Number(parsed.args.rating);
+
+      return [{
+        userId: targetId,
+        type: 'CLIENT_RATING',
+        weight: score,
+        delta: (score - 3) * 10, // same mapping as off-chain ratings
+        metadata: {
+          event: 'UserRated',
+          projectId: parsed.args.projectId.toString(),
+          rater: parsed.args.rater.toLowerCase(),
+          score
+        }
+      }];
+    },
+
+    // Stake changes carry no reputation delta themselves; the zero-weight event triggers a recompute
+    async StakeDeposited(parsed) {
+      onChainProvider.invalidate(parsed.args.user);
+      const userId = await userIdByWallet(parsed.args.user);
+      if (!userId) return [];
+      return [{ userId, type: 'OTHER', weight: 0, delta: 0, metadata: { event: 'StakeDeposited', amount: parsed.args.amount.toString() } }];
+    },
+
+    async StakeWithdrawn(parsed) {
+      onChainProvider.invalidate(parsed.args.user);
+      const userId = await userIdByWallet(parsed.args.user);
+      if (!userId) return [];
+      return [{ userId, type: 'OTHER', weight: 0, delta: 0, metadata: { event: 'StakeWithdrawn', amount: parsed.args.amount.toString() } }];
+    },
+  };
+}
+
+// ---- SkillFiDAO ----
+
+// The escrow's own resolveDispute emits nothing, so won/lost outcomes come from the DAO.
+function daoHandlers(dao, escrow) {
+  return {
+    async DisputeResolved(parsed) {
+      const disputeId = parsed.args.disputeId.toString();
+      const dispute = await dao.getDispute(disputeId);
+      const chainProjectId = dispute.projectId.toString();
+      await syncProjectFromChain(escrow, chainProjectId);
+
+      const winner = parsed.args.winner.toLowerCase();
+      const resolved = await disputeService.markResolvedByDao({
+        daoDisputeId: disputeId,
+        winner,
+        client: dispute.client,
+        freelancer: dispute.freelancer
+      });
+      if (resolved) notificationEvents.disputeUpdated(resolved, resolved.project, 'resolved');
+      if (winner === ethers.ZeroAddress) return []; // tie: escrow splits funds, no winner or loser
+
+      const metadata = { event: 'DisputeResolved', disputeId, projectId: chainProjectId, winner };
+      const events = [];
+      for (const [role, address] of [['client', dispute.client], ['freelancer', dispute.freelancer]]) {
+        const userId = await userIdByWallet(address);
+        if (!userId) continue;
+        const won = address.toLowerCase() === winner;
+        events.push({
+          userId,
+          type: won ? 'ESCROW_DISPUTE_WON' : 'ESCROW_DISPUTE_LOST',
+          weight: 1,
+          delta: won ? 5 : -15,
+          metadata: { ...metadata, role }
+        });
+      }
+      return events;
+    },
+  };
+}
+
+// ---- SkillFiRewards ----
+
+// Referral payouts settle the referral reward ledger; they carry no reputation
+function rewardsHandlers() {
+  return {
+    async ReferralReward(parsed, log) {
+      const referrerId = await userIdByWallet(parsed.args.referrer);
+      const refereeId = await userIdByWallet(parsed.args.referee);
+      if (referrerId && refereeId) {
+        await referralRewards.recordChainReward({
+          referrerId,
+          refereeId,
+          amount: parsed.args.amount,
+          txHash: log.transactionHash,
+          logIndex: log.index
+        });
+      }
+      return [];
+    },
+  };
 }
 
-function start({ rpcUrl, contractAddress }) {
-  if (!rpcUrl || !contractAddress) {
-    console.warn('[onchainListeners] Missing rpcUrl or contractAddress; listeners not started');
+// Starts resumable indexers for the configured contracts (marketplace, escrow and the escrow's DAO, rewards).
+// Against a local Hardhat node use confirmations: 0 and call syncOnce() after mining to index deterministically.
+function start({
+  rpcUrl,
+  marketplaceAddress,
+  escrowAddress,
+  daoAddress,
+  rewardsAddress,
+  startBlock = 0,
+  confirmations = 6,
+  batchSize = 2000,
+  pollIntervalMs = 15000,
+}) {
+  if (!rpcUrl || (!marketplaceAddress && !escrowAddress && !rewardsAddress)) {
+    console.warn('[onchainListeners] Missing rpcUrl or contract addresses; listeners not started');
     return null;
   }
 
   const provider = new ethers.JsonRpcProvider(rpcUrl);
-  const contract = new ethers.Contract(contractAddress, MARKETPLACE_ABI, provider);
+  const options = { provider, startBlock, confirmations, batchSize, pollIntervalMs };
+  const indexers = [];
 
-  const handlers = [];
+  if (marketplaceAddress) {
+    const marketplace = new ethers.Contract(marketplaceAddress, MARKETPLACE_ABI, provider);
+    indexers.push(createIndexer({ ...options, contract: marketplace, handlers: marketplaceHandlers(), label: 'onchainListeners:marketplace' }));
+  }
 
-  const onProjectCreated = (log) => handleProjectCreated(contract, log);
-  const onProposalAccepted = (log) => handleProposalAccepted(contract, log);
+  if (rewardsAddress) {
+    const rewards = new ethers.Contract(rewardsAddress, REWARDS_ABI, provider);
+    indexers.push(createIndexer({ ...options, contract: rewards, handlers: rewardsHandlers(), label: 'onchainListeners:rewards' }));
+  }
 
-  provider.on({ address: contractAddress, topics: [contract.interface.getEvent("ProjectCreated").topicHash] }, onProjectCreated);
-  provider.on({ address: contractAddress, topics: [contract.interface.getEvent("ProposalAccepted").topicHash] }, onProposalAccepted);
+  let ready = Promise.resolve();
+  if (escrowAddress) {
+    const escrow = new ethers.Contract(escrowAddress, ESCROW_ABI, provider);
+    indexers.push(createIndexer({
+      ...options,
+      contract: escrow,
+      handlers: escrowHandlers(escrow),
+      projectIdOf: escrowProjectId,
+      onRollback: (logs) => resyncOrphaned(escrow, logs),
+      label: 'onchainListeners:escrow'
+    }));
 
-  handlers.push(() => provider.off({ address: contractAddress, topics: [contract.interface.getEvent("ProjectCreated").topicHash] }, onProjectCreated));
-  handlers.push(() => provider.off({ address: contractAddress, topics: [contract.interface.getEvent("ProposalAccepted").topicHash] }, onProposalAccepted));
+    // The DAO address defaults to the one the escrow was deployed against
+    ready = Promise.resolve(daoAddress || escrow.dao()).then((address) => {
+      const dao = new ethers.Contract(address, DAO_ABI, provider);
+      const indexer = createIndexer({
+        ...options,
+        contract: dao,
+        handlers: daoHandlers(dao, escrow),
+        projectIdOf: async (parsed) => (await dao.getDispute(parsed.args.disputeId)).projectId.toString(),
+        onRollback: (logs) => resyncOrphaned(escrow, logs),
+        label: 'onchainListeners:dao'
+      });
+      indexers.push(indexer);
+      indexer.start();
+    }).catch(e => console.error('[onchainListeners] DAO indexer not started', e));
+  }
 
-  console.log('[onchainListeners] Started for', contractAddress);
+  for (const indexer of indexers) indexer.start();
 
   return {
-    stop() {
-      for (const off of handlers) off();
-      console.log('[onchainListeners] Stopped for', contractAddress);
+    async syncOnce() {
+      await ready;
+      const results = [];
+      for (const indexer of indexers) results.push(await indexer.syncOnce());
+      return results;
+    },
+    async stop() {
+      await ready;
+      await Promise.all(indexers.map(indexer => indexer.stop()));
+      provider.destroy();
     }
   };
 }
@@ -0,0 +1,158 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Project search over Postgres full-text search. Title matches weigh more than description
+// matches; DOCUMENT must stay identical to the expression index in prisma/sql/project_search.sql
+// for the index to be used.
+
+const DOCUMENT = Prisma.sql`(setweight(to_tsvector('english', p."title"), 'A') || setweight(to_tsvector('english', p."description"), 'B'))`;
+
+const SORTS = ['relevance', 'newest', 'budget_high', 'budget_low', 'deadline', 'fewest_proposals'];
+
+// Budget facet buckets: min inclusive, max exclusive; BUDGET_BREAKS are the inner boundaries
+const BUDGET_BREAKS = [500, 1000, 5000, 10000];
+const BUDGET_BUCKETS = [
+  { key: 'under_500', min: null, max: 500 },
+  { key: '500_1000', min: 500, max: 1000 },
+  { key: '1000_5000', min: 1000, max: 5000 },
+  { key: '5000_10000', min: 5000, max: 10000 },
+  { key: '10000_plus', min: 10000, max: null }
+];
+
+const MAX_LIMIT = 50;
+
+const tsQuery = (q) => Prisma.sql`websearch_to_tsquery('english', ${q})`;
+
+// filters: { q, category, skills[], minBudget, maxBudget, status, createdAfter, createdBefore, excludeClientId }
+// omit drops one filter, so a facet can count across its own values
+function whereSql(filters, omit = null) {
+  const conditions = [];
+  const { q, category, skills, minBudget, maxBudget, status } = filters;
+
+  if (q) conditions.push(Prisma.sql`${DOCUMENT} @@ ${tsQuery(q)}`);
+  if (status) conditions.push(Prisma.sql`p."status" = ${status}::"ProjectStatus"`);
+  if (category && omit !== 'category') conditions.push(Prisma.sql`p."category" = ${category}`);
+  if (skills?.length && omit !== 'skills') conditions.push(Prisma.sql`p."skills" && ${skills}::text[]`);
+  if (omit !== 'budget') {
+    if (minBudget != null) conditions.push(Prisma.sql`p."budget" >= ${minBudget}`);
+    if (maxBudget != null) conditions.push(Prisma.sql`p."budget" <= ${maxBudget}`);
+  }
+  if (filters.createdAfter) conditions.push(Prisma.sql`p."createdAt" > ${filters.createdAfter}`);
+  if (filters.createdBefore) conditions.push(Prisma.sql`p."createdAt" <= ${filters.createdBefore}`);
+  if (filters.excludeClientId) conditions.push(Prisma.sql`p."clientId" <> ${filters.excludeClientId}`);
+
+  return conditions.length ? Prisma.sql`WHERE ${Prisma.join(conditions, ' AND ')}` : Prisma.empty;
+}
+
+function orderSql(sort, q) {
+  switch (sort) {
+    case 'relevance':
+      return q
+        ? Prisma.sql`ORDER BY rank DESC, p."createdAt" DESC`
+        : Prisma.sql`ORDER BY p."createdAt" DESC`;
+    case 'budget_high':
+      return Prisma.sql`ORDER BY p."budget" DESC, p."createdAt" DESC`;
+    case 'budget_low':
+      return Prisma.sql`ORDER BY p."budget" ASC, p."createdAt" DESC`;
+    case 'deadline':
+      return Prisma.sql`ORDER BY p."deadline" ASC NULLS LAST, p."createdAt" DESC`;
+    case 'fewest_proposals':
+      return Prisma.sql`ORDER BY "proposalCount" ASC, p."createdAt" DESC`;
+    default:
+      return Prisma.sql`ORDER BY p."createdAt" DESC`;
+  }
+}
+
+async function facets(filters) {
+  const [categories, skills, budgets] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."category" AS value, COUNT(*)::int AS count
+      FROM "projects" p ${whereSql(filters, 'category')}
+      GROUP BY p."category"
+      ORDER BY count DESC, value ASC
+      LIMIT 20`,
+    prisma.$queryRaw`
+      SELECT s.skill AS value, COUNT(*)::int AS count
+      FROM "projects" p CROSS JOIN LATERAL unnest(p."skills") AS s(skill) ${whereSql(filters, 'skills')}
+      GROUP BY s.skill
+      ORDER BY count DESC, value ASC
+      LIMIT 30`,
+    prisma.$queryRaw`
+      SELECT width_bucket(p."budget", ${BUDGET_BREAKS}::float8[]) AS bucket, COUNT(*)::int AS count
+      FROM "projects" p ${whereSql(filters, 'budget')}
+      GROUP BY bucket`
+  ]);
+
+  const byBucket = new Map(budgets.map(b => [Number(b.bucket), b.count]));
+  return {
+    category: categories.filter(c => c.value !== null),
+    skills,
+    budget: BUDGET_BUCKETS.map((bucket, i) => ({ ...bucket, count: byBucket.get(i) || 0 }))
+  };
+}
+
+const projectInclude = {
+  client: {
+    select: {
+      id: true,
+      username: true,
+      avatar: true,
+      reputation: true
+    }
+  },
+  _count: {
+    select: { proposals: true }
+  }
+};
+
+// Returns { projects, total, facets? }; projects carry `rank` when q is given
+async function search(filters, { sort, page = 1, limit = 10, withFacets = true } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+  const skip = (Math.max(parseInt(page) || 1, 1) - 1) * take;
+  const where = whereSql(filters);
+  const rank = filters.q ? Prisma.sql`ts_rank_cd(${DOCUMENT}, ${tsQuery(filters.q)})` : Prisma.sql`0`;
+
+  const [rows, [{ total }], facetCounts] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."id", ${rank} AS rank,
+        (SELECT COUNT(*) FROM "proposals" pr WHERE pr."projectId" = p."id") AS "proposalCount"
+      FROM "projects" p ${where}
+      ${orderSql(sort, filters.q)}
+      LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM "projects" p ${where}`,
+    withFacets ? facets(filters) : null
+  ]);
+
+  const found = await prisma.project.findMany({
+    where: { id: { in: rows.map(r => r.id) } },
+    include: projectInclude
+  });
+  const byId = new Map(found.map(p => [p.id, p]));
+  const projects = rows
+    .filter(r => byId.has(r.id))
+    .map(r => (filters.q ? { ...byId.get(r.id), rank: Number(r.rank) } : byId.get(r.id)));
+
+  return { projects, total, take, ...(facetCounts ? { facets: facetCounts } : {}) };
+}
+
+// Normalise stored or query-string filters into what search() accepts
+function parseFilters({ search, q, category, skills, minBudget, maxBudget, status = 'OPEN' } = {}) {
+  const list = Array.isArray(skills) ? skills : (skills ? String(skills).split(',') : []);
+  return {
+    q: (q || search || '').trim() || null,
+    category: category || null,
+    skills: list.map(s => s.trim()).filter(Boolean),
+    minBudget: minBudget != null && minBudget !== '' ? parseFloat(minBudget) : null,
+    maxBudget: maxBudget != null && maxBudget !== '' ? parseFloat(maxBudget) : null,
+    status: status || null
+  };
+}
+
+module.exports = {
+  SORTS,
+  BUDGET_BUCKETS,
+  MAX_LIMIT,
+  parseFilters,
+  search,
+};
@@ -0,0 +1,194 @@
+const { PrismaClient } = require('@prisma/client');
+const reputationService = require('./reputationService');
+const notificationEvents = require('./notificationEvents');
+const referralRewards = require('./referralRewards');
+
+const prisma = new PrismaClient();
+
+// Project lifecycle: OPEN -> IN_PROGRESS -> SUBMITTED -> COMPLETED, with CANCELLED and DISPUTED
+// branches. Every status change goes through here so it is checked against TRANSITIONS and
+// recorded in project_transitions; hooks run once the change is committed.
+
+// Actor roles: the project's CLIENT or FREELANCER, platform ADMIN staff, or the SYSTEM
+// (chain confirmations, jobs and dispute outcomes)
+const TRANSITIONS = [
+  { from: 'OPEN', to: 'IN_PROGRESS', actors: ['CLIENT', 'SYSTEM'] },
+  { from: 'OPEN', to: 'CANCELLED', actors: ['CLIENT', 'ADMIN', 'SYSTEM'] },
+  { from: 'IN_PROGRESS', to: 'SUBMITTED', actors: ['FREELANCER', 'SYSTEM'] },
+  { from: 'IN_PROGRESS', to: 'COMPLETED', actors: ['SYSTEM'] },
+  { from: 'IN_PROGRESS', to: 'CANCELLED', actors: ['ADMIN', 'SYSTEM'] },
+  { from: 'IN_PROGRESS', to: 'DISPUTED', actors: ['CLIENT', 'FREELANCER', 'SYSTEM'] },
+  { from: 'SUBMITTED', to: 'IN_PROGRESS', actors: ['CLIENT', 'SYSTEM'] },
+  { from: 'SUBMITTED', to: 'COMPLETED', actors: ['CLIENT', 'SYSTEM'] },
+  { from: 'SUBMITTED', to: 'CANCELLED', actors: ['ADMIN', 'SYSTEM'] },
+  { from: 'SUBMITTED', to: 'DISPUTED', actors: ['CLIENT', 'FREELANCER', 'SYSTEM'] },
+  // Withdrawing a dispute returns the project to where it was
+  { from: 'DISPUTED', to: 'IN_PROGRESS', actors: ['CLIENT', 'FREELANCER', 'ADMIN', 'SYSTEM'] },
+  { from: 'DISPUTED', to: 'SUBMITTED', actors: ['CLIENT', 'FREELANCER', 'ADMIN', 'SYSTEM'] },
+  // Dispute outcomes
+  { from: 'DISPUTED', to: 'COMPLETED', actors: ['ADMIN', 'SYSTEM'] },
+  { from: 'DISPUTED', to: 'CANCELLED', actors: ['ADMIN', 'SYSTEM'] },
+];
+
+const SYSTEM = { id: null, role: 'SYSTEM' };
+
+// The role a user acts in on a project; null if they have none
+function actorFor(project, user) {
+  if (!user) return SYSTEM;
+  if (user.id === project.clientId) return { id: user.id, role: 'CLIENT' };
+  if (project.freelancerId && user.id === project.freelancerId) return { id: user.id, role: 'FREELANCER' };
+  if (user.role === 'ADMIN' || user.role === 'SYSTEM') return { id: user.id, role: user.role };
+  return null;
+}
+
+// Statuses the actor may move the project to from where it is now
+function available(project, actor) {
+  if (!actor) return [];
+  return TRANSITIONS
+    .filter(t => t.from === project.status && t.actors.includes(actor.role))
+    .map(t => t.to);
+}
+
+// Returns null when allowed, otherwise { status, error }
+function check(project, to, actor) {
+  const edge = TRANSITIONS.find(t => t.from === project.status && t.to === to);
+  if (!edge) {
+    return { status: 400, error: `Project cannot move from ${project.status} to ${to}` };
+  }
+  if (!actor || !edge.actors.includes(actor.role)) {
+    return { status: 403, error: `Not authorized to move this project to ${to}` };
+  }
+  return null;
+}
+
+// Apply a transition inside the caller's transaction. data is written along with the status.
+// force skips the TRANSITIONS check; it is only for mirroring the escrow contract's state.
+// Returns { project, transition } or { status, error }; the caller runs runHooks after commit.
+async function apply(tx, project, to, { actor = SYSTEM, reason = null, data = {}, force = false } = {}) {
+  if (!force) {
+    const denied = check(project, to, actor);
+    if (denied) return denied;
+  }
+
+  // Guard on the status read by the caller so concurrent transitions cannot both win
+  const { count } = await tx.project.updateMany({
+    where: { id: project.id, status: project.status },
+    data: { ...data, status: to }
+  });
+  if (count === 0) {
+    return { status: 409, error: 'Project status changed, reload and try again' };
+  }
+
+  const transition = await tx.projectTransition.create({
+    data: {
+      projectId: project.id,
+      fromStatus: project.status,
+      toStatus: to,
+      actorId: actor.id,
+      actorRole: actor.role,
+      reason
+    }
+  });
+  const updated = await tx.project.findUnique({ where: { id: project.id } });
+
+  return { project: updated, transition };
+}
+
+// Apply a transition on its own and run the hooks
+async function transition(project, to, options) {
+  const result = await prisma.$transaction(tx => apply(tx, project, to, options));
+  if (result.transition) await runHooks(result);
+  return result;
+}
+
+// Reputation for projects that never went on-chain; escrow projects get theirs from the chain handlers
+async function reputationHook({ project, transition }) {
+  if (project.blockchainId || !project.freelancerId) return;
+
+  const metadata = { event: 'ProjectTransition', source: 'platform', projectId: project.id, transitionId: transition.id };
+  let events = [];
+
+  // Completions after a dispute are scored by the dispute's WON/LOST events
+  if (transition.toStatus === 'COMPLETED' && transition.fromStatus !== 'DISPUTED') {
+    events = [
+      { userId: project.freelancerId, type: 'ESCROW_COMPLETED', weight: 1, delta: 10, metadata: { ...metadata, role: 'freelancer' } },
+      { userId: project.clientId, type: 'ESCROW_COMPLETED', weight: 0.5, delta: 5, metadata: { ...metadata, role: 'client' } }
+    ];
+  } else if (transition.toStatus === 'DISPUTED') {
+    events = [['client', project.clientId], ['freelancer', project.freelancerId]].map(([role, userId]) => ({
+      userId,
+      type: 'ESCROW_DISPUTE_OPENED',
+      weight: 1,
+      delta: userId === transition.actorId ? -2 : -5,
+      metadata: { ...metadata, role }
+    }));
+  }
+  if (events.length === 0) return;
+
+  await prisma.reputationEvent.createMany({ data: events });
+  for (const { userId } of events) {
+    try {
+      await reputationService.recomputeUser(userId);
+    } catch (e) {
+      console.error('[projectStateMachine] recompute failed for', userId, e.message);
+    }
+  }
+}
+
+// Awards and disputes send their own notifications; the rest are announced here
+async function notificationHook({ project, transition }) {
+  const { fromStatus, toStatus } = transition;
+  if (fromStatus === 'DISPUTED' || toStatus === 'DISPUTED') return;
+  if (fromStatus === 'OPEN' && toStatus === 'IN_PROGRESS') return;
+  notificationEvents.projectStatusChanged(project, transition);
+}
+
+// A referee's first completed project qualifies their referral rewards
+async function referralHook(result) {
+  await referralRewards.qualify(result);
+}
+
+const HOOKS = [reputationHook, notificationHook, referralHook];
+
+// Hooks never undo a committed transition; failures are logged
+async function runHooks(result) {
+  for (const hook of HOOKS) {
+    try {
+      await hook(result);
+    } catch (e) {
+      console.error(`[projectStateMachine] ${hook.name} failed for project ${result.project.id}:`, e);
+    }
+  }
+}
+
+// When the project last became COMPLETED; projects completed before transitions were
+// recorded fall back to updatedAt
+async function completedAt(project) {
+  const completed = await prisma.projectTransition.findFirst({
+    where: { projectId: project.id, toStatus: 'COMPLETED' },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+  return completed?.createdAt || project.updatedAt;
+}
+
+function history(projectId) {
+  return prisma.projectTransition.findMany({
+    where: { projectId },
+    include: { actor: { select: { id: true, username: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+module.exports = {
+  TRANSITIONS,
+  SYSTEM,
+  actorFor,
+  available,
+  check,
+  apply,
+  transition,
+  runHooks,
+  completedAt,
+  history,
+};
@@ -0,0 +1,143 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationEvents = require('./notificationEvents');
+const projectStateMachine = require('./projectStateMachine');
+
+const prisma = new PrismaClient();
+
+// Proposal lifecycle shared by the proposal routes, the on-chain accept confirmation and the
+// expiry job. Permission and state checks stay in the routes; these only apply the changes.
+
+function snapshot(proposal, source) {
+  return {
+    proposalId: proposal.id,
+    revision: proposal.revision,
+    bidAmount: proposal.bidAmount,
+    description: proposal.description,
+    deliveryTime: proposal.deliveryTime,
+    source
+  };
+}
+
+const supersedePending = (tx, where) => tx.proposalCounterOffer.updateMany({
+  where: { status: 'PENDING', ...where },
+  data: { status: 'SUPERSEDED' }
+});
+
+// Replace the terms of a proposal, keeping the previous ones as a revision.
+// Pending counter-offers no longer apply to the new terms.
+async function revise(proposal, terms, source, tx = null) {
+  const apply = async (db) => {
+    await db.proposalRevision.create({ data: snapshot(proposal, source) });
+    await supersedePending(db, { proposalId: proposal.id });
+    return db.proposal.update({
+      where: { id: proposal.id },
+      data: {
+        bidAmount: terms.bidAmount ?? proposal.bidAmount,
+        description: terms.description ?? proposal.description,
+        deliveryTime: terms.deliveryTime ?? proposal.deliveryTime,
+        revision: proposal.revision + 1,
+        ...(source === 'RESUBMIT' ? { status: 'PENDING', shortlistedAt: null } : {})
+      }
+    });
+  };
+  return tx ? apply(tx) : prisma.$transaction(apply);
+}
+
+async function withdraw(proposal) {
+  return prisma.$transaction(async (tx) => {
+    await supersedePending(tx, { proposalId: proposal.id });
+    return tx.proposal.update({
+      where: { id: proposal.id },
+      data: { status: 'WITHDRAWN', shortlistedAt: null }
+    });
+  });
+}
+
+// Accept one proposal: assign the freelancer, reject the other pending proposals and
+// notify everyone who bid. project is the proposal's project.
+async function award(proposal, project) {
+  // The escrow listener may already have mirrored an on-chain acceptance
+  const alreadyAssigned = project.status === 'IN_PROGRESS' && project.freelancerId === proposal.freelancerId;
+
+  const { accepted, rejected, moved } = await prisma.$transaction(async (tx) => {
+    const accepted = await tx.proposal.update({
+      where: { id: proposal.id },
+      data: { status: 'ACCEPTED' }
+    });
+
+    const moved = alreadyAssigned ? null : await projectStateMachine.apply(tx, project, 'IN_PROGRESS', {
+      actor: { id: project.clientId, role: 'CLIENT' },
+      reason: 'Proposal accepted',
+      data: { freelancerId: proposal.freelancerId }
+    });
+    if (moved?.error) throw new Error(moved.error);
+
+    const rejected = await tx.proposal.findMany({
+      where: { projectId: project.id, id: { not: proposal.id }, status: 'PENDING' },
+      select: { id: true, freelancerId: true }
+    });
+    await tx.proposal.updateMany({
+      where: { id: { in: rejected.map(p => p.id) } },
+      data: { status: 'REJECTED' }
+    });
+    await supersedePending(tx, { proposal: { projectId: project.id } });
+
+    return { accepted, rejected, moved };
+  });
+
+  if (moved) await projectStateMachine.runHooks(moved);
+  notificationEvents.proposalAccepted(accepted, project);
+  notificationEvents.proposalsRejected(rejected, project);
+
+  return { accepted, rejected };
+}
+
+// Client proposes different terms; only the latest offer can be accepted
+async function makeCounterOffer(proposal, { createdById, bidAmount, deliveryTime, message }) {
+  return prisma.$transaction(async (tx) => {
+    await supersedePending(tx, { proposalId: proposal.id });
+    return tx.proposalCounterOffer.create({
+      data: { proposalId: proposal.id, createdById, bidAmount, deliveryTime, message }
+    });
+  });
+}
+
+// Freelancer answers the pending counter-offer; accepting makes its terms the proposal's
+async function respondToCounterOffer(proposal, offer, accept) {
+  return prisma.$transaction(async (tx) => {
+    const updated = accept
+      ? await revise(proposal, { bidAmount: offer.bidAmount, deliveryTime: offer.deliveryTime }, 'COUNTER_OFFER', tx)
+      : proposal;
+
+    const answered = await tx.proposalCounterOffer.update({
+      where: { id: offer.id },
+      data: { status: accept ? 'ACCEPTED' : 'DECLINED', respondedAt: new Date() }
+    });
+
+    return { proposal: updated, offer: answered };
+  });
+}
+
+// Pending proposals on open projects whose deadline has passed can no longer be accepted
+async function expireDue(now = new Date()) {
+  const where = { status: 'PENDING', project: { status: 'OPEN', deadline: { lt: now } } };
+  const due = await prisma.proposal.findMany({ where, select: { id: true } });
+  if (due.length === 0) return { expired: 0 };
+
+  const ids = due.map(p => p.id);
+  await prisma.$transaction([
+    prisma.proposal.updateMany({ where: { id: { in: ids }, status: 'PENDING' }, data: { status: 'EXPIRED' } }),
+    prisma.proposalCounterOffer.updateMany({ where: { proposalId: { in: ids }, status: 'PENDING' }, data: { status: 'SUPERSEDED' } })
+  ]);
+
+  return { expired: ids.length };
+}
+
+module.exports = {
+  revise,
+  withdraw,
+  award,
+  makeCounterOffer,
+  respondToCounterOffer,
+  expireDue,
+};
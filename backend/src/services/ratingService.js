@@ -0,0 +1,217 @@
+const { PrismaClient } = require('@prisma/client');
+const ratingRepo = require('../repositories/ratingRepository');
+const repEventRepo = require('../repositories/reputationEventRepository');
+const reputationService = require('./reputationService');
+const projectStateMachine = require('./projectStateMachine');
+const contentModeration = require('./contentModeration');
+
+const prisma = new PrismaClient();
+
+// Ratings are only valid between the two sides of a completed project, within WINDOW_DAYS of
+// completion. Ratings that break the participant rules (including ones created before they were
+// enforced) are voided: kept for the record, but dropped from reputation.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = parseInt(process.env.RATING_WINDOW_DAYS || '30');
+
+// Comments hidden from everyone but staff
+const HIDDEN_MODERATION = ['FLAGGED', 'REMOVED'];
+
+// Returns null when fromUserId may rate toUserId on the project, otherwise { status, error }
+function participantProblem(project, fromUserId, toUserId) {
+  if (project.status !== 'COMPLETED') {
+    return { status: 400, error: 'Only completed projects can be rated' };
+  }
+  if (fromUserId !== project.clientId && fromUserId !== project.freelancerId) {
+    return { status: 403, error: 'Only the client and freelancer of a project can rate it' };
+  }
+  const counterparty = fromUserId === project.clientId ? project.freelancerId : project.clientId;
+  if (!counterparty || toUserId !== counterparty) {
+    return { status: 400, error: 'You can only rate the other party of the project' };
+  }
+  return null;
+}
+
+async function checkEligibility(project, fromUserId, toUserId) {
+  const problem = participantProblem(project, fromUserId, toUserId);
+  if (problem) return problem;
+
+  const completed = await projectStateMachine.completedAt(project);
+  if (Date.now() - completed.getTime() > WINDOW_DAYS * DAY_MS) {
+    return { status: 400, error: `Ratings close ${WINDOW_DAYS} days after the project is completed` };
+  }
+  return null;
+}
+
+// The CLIENT_RATING event a rating produced. Matched on the rater and project so events written
+// before ratingId was recorded are found too.
+const eventWhere = (rating) => ({
+  userId: rating.toUserId,
+  type: 'CLIENT_RATING',
+  AND: [
+    { metadata: { path: ['projectId'], equals: rating.projectId } },
+    { metadata: { path: ['fromUserId'], equals: rating.fromUserId } }
+  ]
+});
+
+// Callers run checkEligibility and the one-rating-per-project check first
+async function create({ fromUserId, toUserId, projectId, score, comment }) {
+  const { flagged, reasons } = contentModeration.check(comment);
+  const rating = await ratingRepo.create({
+    fromUserId,
+    toUserId,
+    projectId,
+    score,
+    comment,
+    moderation: flagged ? 'FLAGGED' : 'NONE',
+    flagReasons: reasons
+  });
+
+  await repEventRepo.addEvent({
+    userId: toUserId,
+    type: 'CLIENT_RATING',
+    weight: score, // simple weighting by score
+    delta: (score - 3) * 10, // map 1..5 roughly to -20..+20
+    metadata: { fromUserId, projectId, score, ratingId: rating.id },
+  });
+
+  const reputation = await reputationService.recomputeUser(toUserId);
+  return { rating, reputation };
+}
+
+async function recomputeAll(userIds) {
+  const recomputed = [];
+  for (const userId of new Set(userIds)) {
+    try {
+      await reputationService.recomputeUser(userId);
+      recomputed.push(userId);
+    } catch (e) {
+      console.error('[ratingService] recompute failed for', userId, e.message);
+    }
+  }
+  return recomputed;
+}
+
+// Void ratings and remove their reputation events, then recompute the rated users
+async function voidRatings(ratings, reason) {
+  const voidedAt = new Date();
+  for (const rating of ratings) {
+    await prisma.$transaction([
+      prisma.rating.update({ where: { id: rating.id }, data: { voidedAt, voidReason: reason(rating) } }),
+      prisma.reputationEvent.deleteMany({ where: eventWhere(rating) })
+    ]);
+  }
+  const recomputed = await recomputeAll(ratings.map(r => r.toUserId));
+  return { voided: ratings.length, recomputed };
+}
+
+// Active ratings that break the participant rules, with the reason. The window is not applied
+// retroactively: older projects have no reliable completion time.
+async function findInvalid({ batchSize = 500 } = {}) {
+  const invalid = [];
+  let scanned = 0;
+  let cursor = null;
+
+  for (;;) {
+    const batch = await prisma.rating.findMany({
+      where: { voidedAt: null },
+      include: { project: { select: { status: true, clientId: true, freelancerId: true } } },
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (batch.length === 0) break;
+
+    for (const rating of batch) {
+      const problem = participantProblem(rating.project, rating.fromUserId, rating.toUserId);
+      if (problem) invalid.push({ rating, reason: problem.error });
+    }
+    scanned += batch.length;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  return { scanned, invalid };
+}
+
+// Retroactive cleanup; dryRun only reports what would be voided
+async function cleanup({ dryRun = true } = {}) {
+  const { scanned, invalid } = await findInvalid();
+  const report = invalid.map(({ rating, reason }) => ({
+    id: rating.id,
+    projectId: rating.projectId,
+    fromUserId: rating.fromUserId,
+    toUserId: rating.toUserId,
+    reason
+  }));
+
+  if (dryRun || invalid.length === 0) {
+    return { dryRun, scanned, invalid: report, voided: 0, recomputed: [] };
+  }
+
+  const reasons = new Map(invalid.map(({ rating, reason }) => [rating.id, reason]));
+  const { voided, recomputed } = await voidRatings(invalid.map(i => i.rating), r => `Cleanup: ${reasons.get(r.id)}`);
+  return { dryRun, scanned, invalid: report, voided, recomputed };
+}
+
+// The rated user reports the comment; staff decide what happens to it
+function report(rating, reason) {
+  return ratingRepo.update(rating.id, {
+    moderation: rating.moderation === 'REMOVED' ? 'REMOVED' : 'FLAGGED',
+    flagReasons: [...new Set([...rating.flagReasons, `reported:${reason}`])]
+  });
+}
+
+// action: APPROVE keeps the comment, REMOVE hides it, VOID drops the whole rating
+async function moderate(rating, action, moderatorId) {
+  const moderation = { APPROVE: 'APPROVED', REMOVE: 'REMOVED', VOID: 'REMOVED' }[action];
+  const updated = await ratingRepo.update(rating.id, { moderation, moderatedById: moderatorId, moderatedAt: new Date() });
+  if (action !== 'VOID') return updated;
+
+  await voidRatings([updated], () => 'Voided by moderator');
+  return ratingRepo.findById(rating.id);
+}
+
+// Active ratings a user received; comments under moderation are withheld
+async function forUser(userId, { page = 1, limit = 20 } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const where = { toUserId: userId, voidedAt: null };
+
+  const [ratings, total] = await Promise.all([
+    prisma.rating.findMany({
+      where,
+      select: {
+        id: true,
+        projectId: true,
+        score: true,
+        comment: true,
+        moderation: true,
+        createdAt: true,
+        fromUser: { select: { id: true, username: true, avatar: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: (Math.max(parseInt(page) || 1, 1) - 1) * take,
+      take
+    }),
+    prisma.rating.count({ where })
+  ]);
+
+  return {
+    ratings: ratings.map(({ moderation, ...rating }) => (
+      HIDDEN_MODERATION.includes(moderation) ? { ...rating, comment: null, commentHidden: true } : rating
+    )),
+    total,
+    take
+  };
+}
+
+module.exports = {
+  WINDOW_DAYS,
+  checkEligibility,
+  create,
+  voidRatings,
+  findInvalid,
+  cleanup,
+  report,
+  moderate,
+  forUser,
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Referral campaigns: a time-boxed set of codes with their own reward schedule, use limit, target
+// role and second-level share. Lookups of a campaign code are recorded as clicks with their UTM
+// attribution, which gives each campaign a clicked -> signed up -> completed first project funnel.
+
+const CODE_PATTERN = /^[A-Z0-9-]{3,20}$/;
+const MAX_BULK_CODES = 500;
+
+// Returns the problems with a reward schedule: [{ fromUse, referrer, referee }], the first tier
+// starting at use 1 and later tiers at strictly increasing uses
+function scheduleProblems(schedule) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return ['rewardSchedule must be a non-empty array'];
+
+  const problems = [];
+  schedule.forEach((tier, i) => {
+    if (!Number.isInteger(tier.fromUse) || tier.fromUse < 1) problems.push(`tier ${i}: fromUse must be a positive integer`);
+    for (const key of ['referrer', 'referee']) {
+      if (typeof tier[key] !== 'number' || tier[key] < 0) problems.push(`tier ${i}: ${key} must be a non-negative number`);
+    }
+    if (i === 0 && tier.fromUse !== 1) problems.push('the first tier must start at fromUse 1');
+    if (i > 0 && tier.fromUse <= schedule[i - 1].fromUse) problems.push(`tier ${i}: fromUse must increase`);
+  });
+  return problems;
+}
+
+// 'scheduled' | 'running' | 'ended' | 'paused'
+function status(campaign, now = new Date()) {
+  if (!campaign.active) return 'paused';
+  if (campaign.startsAt > now) return 'scheduled';
+  if (campaign.endsAt && campaign.endsAt <= now) return 'ended';
+  return 'running';
+}
+
+// Returns null when a referee with this role may join through the campaign, otherwise { status, error }
+async function acceptanceProblem(campaign, role) {
+  const current = status(campaign);
+  if (current !== 'running') {
+    return { status: 400, error: `Referral campaign "${campaign.name}" is ${current}` };
+  }
+  if (campaign.targetRole && campaign.targetRole !== role) {
+    return { status: 400, error: `Referral campaign "${campaign.name}" is for ${campaign.targetRole.toLowerCase()}s only` };
+  }
+  if (campaign.maxUses) {
+    const used = await prisma.referral.count({ where: { campaignId: campaign.id } });
+    if (used >= campaign.maxUses) return { status: 400, error: 'Referral campaign has reached maximum uses' };
+  }
+  return null;
+}
+
+// Reward tier for the code owner's next referral in the campaign. Runs in the transaction that
+// creates the referral, so the count already includes it.
+async function amountsFor(tx, campaign, referrerId) {
+  const uses = await tx.referral.count({ where: { campaignId: campaign.id, referrerId } });
+  const tiers = campaign.rewardSchedule.filter(tier => tier.fromUse <= Math.max(uses, 1));
+  const { referrer, referee } = tiers[tiers.length - 1];
+  return { referrer, referee };
+}
+
+function randomCode(prefix = '') {
+  return `${prefix}${crypto.randomBytes(4).toString('hex').toUpperCase()}`.slice(0, 20);
+}
+
+// Codes are normalised to upper case; vanity codes must be free, random ones are retried
+async function issueCode(campaign, { ownerId, code, maxUses = null }) {
+  if (code) {
+    return prisma.referralCode.create({
+      data: { code: code.toUpperCase(), ownerId, campaignId: campaign.id, maxUses, expiresAt: campaign.endsAt }
+    });
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await prisma.referralCode.create({
+        data: { code: randomCode(), ownerId, campaignId: campaign.id, maxUses, expiresAt: campaign.endsAt }
+      });
+    } catch (e) {
+      if (e.code !== 'P2002') throw e;
+    }
+  }
+  throw new Error('Could not generate a unique referral code');
+}
+
+// count random codes for each owner, optionally prefixed (e.g. "SPRING-")
+async function issueBulk(campaign, { ownerIds, count = 1, prefix = '', maxUses = null }) {
+  const data = [];
+  const seen = new Set();
+  for (const ownerId of ownerIds) {
+    for (let i = 0; i < count; i++) {
+      let code = randomCode(prefix.toUpperCase());
+      while (seen.has(code)) code = randomCode(prefix.toUpperCase());
+      seen.add(code);
+      data.push({ code, ownerId, campaignId: campaign.id, maxUses, expiresAt: campaign.endsAt });
+    }
+  }
+
+  // Collisions with existing codes are skipped rather than failing the batch
+  await prisma.referralCode.createMany({ data, skipDuplicates: true });
+  return prisma.referralCode.findMany({
+    where: { code: { in: data.map(d => d.code) } },
+    select: { id: true, code: true, ownerId: true, maxUses: true, expiresAt: true }
+  });
+}
+
+const ATTRIBUTION_FIELDS = {
+  utm_source: 'utmSource',
+  utm_medium: 'utmMedium',
+  utm_campaign: 'utmCampaign',
+  utm_term: 'utmTerm',
+  utm_content: 'utmContent',
+  landing: 'landingPage'
+};
+
+// Record a code lookup; query carries the utm_* and landing parameters
+function recordClick(code, query, referrerUrl) {
+  const data = { codeId: code.id, campaignId: code.campaignId, referrerUrl: referrerUrl?.slice(0, 500) || null };
+  for (const [param, field] of Object.entries(ATTRIBUTION_FIELDS)) {
+    if (query[param]) data[field] = String(query[param]).slice(0, 200);
+  }
+  return prisma.referralClick.create({ data });
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+const withRates = (row) => ({
+  ...row,
+  signupRate: rate(row.signedUp, row.clicked),
+  completionRate: rate(row.completedFirstProject, row.signedUp)
+});
+
+// Clicked -> signed up -> completed first project, overall, per code and per UTM source.
+// Signups are attributed to a source through the click they came from.
+async function funnel(campaign) {
+  const [totals, byCode, bySource] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT
+        (SELECT COUNT(*) FROM "referral_clicks" WHERE "campaignId" = ${campaign.id})::int AS clicked,
+        COUNT(r.id)::int AS "signedUp",
+        COUNT(r."qualifiedAt")::int AS "completedFirstProject"
+      FROM "referrals" r
+      WHERE r."campaignId" = ${campaign.id}`,
+    prisma.$queryRaw`
+      SELECT c.id AS "codeId", c.code, c."ownerId",
+        (SELECT COUNT(*) FROM "referral_clicks" k WHERE k."codeId" = c.id)::int AS clicked,
+        COUNT(r.id)::int AS "signedUp",
+        COUNT(r."qualifiedAt")::int AS "completedFirstProject"
+      FROM "referral_codes" c
+      LEFT JOIN "referrals" r ON r."codeId" = c.id
+      WHERE c."campaignId" = ${campaign.id}
+      GROUP BY c.id
+      ORDER BY "signedUp" DESC, clicked DESC, c.code ASC`,
+    prisma.$queryRaw`
+      SELECT COALESCE(k."utmSource", '(none)') AS source,
+        COUNT(*)::int AS clicked,
+        COUNT(r.id)::int AS "signedUp",
+        COUNT(r."qualifiedAt")::int AS "completedFirstProject"
+      FROM "referral_clicks" k
+      LEFT JOIN "referrals" r ON r."clickId" = k.id
+      WHERE k."campaignId" = ${campaign.id}
+      GROUP BY 1
+      ORDER BY clicked DESC, source ASC`
+  ]);
+
+  return {
+    campaignId: campaign.id,
+    status: status(campaign),
+    ...withRates(totals[0]),
+    byCode: byCode.map(withRates),
+    bySource: bySource.map(withRates)
+  };
+}
+
+module.exports = {
+  CODE_PATTERN,
+  MAX_BULK_CODES,
+  scheduleProblems,
+  status,
+  acceptanceProblem,
+  amountsFor,
+  issueCode,
+  issueBulk,
+  recordClick,
+  funnel,
+};
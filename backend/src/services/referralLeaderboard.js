@@ -0,0 +1,170 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Referrers ranked by qualified referrals (the referee completed a qualifying project and no reward
+// was clawed back) within a period, with their rank in the previous period of the same length.
+// Week, month and all-time boards are materialized by the referralLeaderboard job; custom date
+// ranges are ranked on request.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period length in days; ALL is compared with the standings a week earlier
+const TIMEFRAMES = { WEEK: 7, MONTH: 30, ALL: null };
+const ALL_COMPARISON_DAYS = 7;
+
+const userSelect = { id: true, username: true, avatar: true };
+
+// { from, to, previousFrom, previousTo }; a null lower bound means since the beginning
+function periodsFor(timeframe, now = new Date()) {
+  const days = TIMEFRAMES[timeframe];
+  if (days === null) {
+    return { from: null, to: now, previousFrom: null, previousTo: new Date(now.getTime() - ALL_COMPARISON_DAYS * DAY_MS) };
+  }
+  const from = new Date(now.getTime() - days * DAY_MS);
+  return { from, to: now, previousFrom: new Date(from.getTime() - days * DAY_MS), previousTo: from };
+}
+
+// A custom range is compared with the equally long range just before it
+function customPeriods(from, to) {
+  const length = to.getTime() - from.getTime();
+  return { from, to, previousFrom: new Date(from.getTime() - length), previousTo: from };
+}
+
+const inPeriod = (from, to) => (from
+  ? Prisma.sql`"qualifiedAt" >= ${from} AND "qualifiedAt" < ${to}`
+  : Prisma.sql`"qualifiedAt" < ${to}`);
+
+// Ranked rows: userId, rank, referrals, previousRank, previousReferrals
+function rankedSql({ from, to, previousFrom, previousTo }) {
+  return Prisma.sql`
+    WITH qualified AS (
+      SELECT r."referrerId", r."qualifiedAt"
+      FROM "referrals" r
+      WHERE r."qualifiedAt" IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM "referral_rewards" rw
+          WHERE rw."referralId" = r.id AND rw."status" = 'CLAWED_BACK'
+        )
+    ),
+    current_period AS (
+      SELECT "referrerId" AS "userId", COUNT(*)::int AS referrals
+      FROM qualified WHERE ${inPeriod(from, to)}
+      GROUP BY "referrerId"
+    ),
+    previous_period AS (
+      SELECT "referrerId" AS "userId", COUNT(*)::int AS referrals,
+             RANK() OVER (ORDER BY COUNT(*) DESC)::int AS rank
+      FROM qualified WHERE ${inPeriod(previousFrom, previousTo)}
+      GROUP BY "referrerId"
+    )
+    SELECT c."userId",
+           RANK() OVER (ORDER BY c.referrals DESC)::int AS rank,
+           c.referrals,
+           p.rank AS "previousRank",
+           COALESCE(p.referrals, 0) AS "previousReferrals"
+    FROM current_period c
+    LEFT JOIN previous_period p ON p."userId" = c."userId"`;
+}
+
+// Rebuild one materialized board; returns its computedAt
+async function refresh(timeframe, now = new Date()) {
+  await prisma.$transaction([
+    prisma.referralLeaderboardEntry.deleteMany({ where: { timeframe } }),
+    prisma.$executeRaw`
+      INSERT INTO "referral_leaderboard"
+        ("timeframe", "userId", "rank", "referrals", "previousRank", "previousReferrals", "computedAt")
+      SELECT ${timeframe}::"ReferralTimeframe", l."userId", l.rank, l.referrals, l."previousRank", l."previousReferrals", ${now}
+      FROM (${rankedSql(periodsFor(timeframe, now))}) l`
+  ]);
+  return now;
+}
+
+async function refreshAll() {
+  const now = new Date();
+  for (const timeframe of Object.keys(TIMEFRAMES)) {
+    await refresh(timeframe, now);
+  }
+  return Object.keys(TIMEFRAMES).length;
+}
+
+function toEntry({ user, rank, referrals, previousRank, previousReferrals }) {
+  return {
+    rank,
+    user,
+    referrals,
+    previousRank,
+    previousReferrals,
+    movement: previousRank === null ? null : previousRank - rank, // positive means up
+    isNew: previousRank === null
+  };
+}
+
+const paging = ({ page = 1, limit = 10 }) => {
+  const take = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+  return { take, skip: (Math.max(parseInt(page) || 1, 1) - 1) * take };
+};
+
+// A materialized board; boards the job has not built yet are built on first read
+async function standings(timeframe, options = {}) {
+  const { take, skip } = paging(options);
+  const latest = await prisma.referralLeaderboardEntry.findFirst({ where: { timeframe }, select: { computedAt: true } });
+  const computedAt = latest?.computedAt || await refresh(timeframe);
+
+  const [entries, total] = await Promise.all([
+    prisma.referralLeaderboardEntry.findMany({
+      where: { timeframe },
+      include: { user: { select: userSelect } },
+      orderBy: [{ rank: 'asc' }, { userId: 'asc' }],
+      skip,
+      take
+    }),
+    prisma.referralLeaderboardEntry.count({ where: { timeframe } })
+  ]);
+
+  // Periods are relative to when the board was computed
+  const { from, to, previousFrom, previousTo } = periodsFor(timeframe, computedAt);
+  return {
+    entries: entries.map(toEntry),
+    total,
+    take,
+    computedAt,
+    period: { from, to },
+    previousPeriod: { from: previousFrom, to: previousTo }
+  };
+}
+
+// A custom date range, ranked live
+async function rangeStandings(from, to, options = {}) {
+  const { take, skip } = paging(options);
+  const periods = customPeriods(from, to);
+  const ranked = rankedSql(periods);
+
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT l.*, u.id, u.username, u.avatar
+      FROM (${ranked}) l
+      JOIN "users" u ON u.id = l."userId"
+      ORDER BY l.rank ASC, l."userId" ASC
+      LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`SELECT COUNT(*)::int AS total FROM (${ranked}) l`
+  ]);
+
+  return {
+    entries: rows.map(({ id, username, avatar, ...row }) => toEntry({ ...row, user: { id, username, avatar } })),
+    total,
+    take,
+    computedAt: new Date(),
+    period: { from, to },
+    previousPeriod: { from: periods.previousFrom, to: periods.previousTo }
+  };
+}
+
+module.exports = {
+  TIMEFRAMES,
+  periodsFor,
+  refresh,
+  refreshAll,
+  standings,
+  rangeStandings,
+};
@@ -0,0 +1,461 @@
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const notificationEvents = require('./notificationEvents');
+const referralCampaigns = require('./referralCampaigns');
+const walletLinks = require('./walletLinks');
+const { REWARDS_ABI } = require('../config/contracts');
+
+const prisma = new PrismaClient();
+
+// Referral reward ledger. Accepting a referral writes a PENDING reward for each side (plus the
+// referrer's own referrer when a second-level share applies), and the referee's first completed
+// project makes them QUALIFIED.
+//
+// Payouts are platform credits by design, not SkillFiRewards transactions: the contract only pays
+// referrers from updateUserActivity, which only the SkillFiEscrow contract may call, and the
+// deployed escrow never calls it. The backend therefore cannot build a transaction that pays a
+// referrer, so the payout job credits every qualified reward to the user's platform balance.
+// Referrals are still registered on-chain (registerReferral) so an escrow that does report
+// completions can pay them; any ReferralReward event it emits is recorded against the ledger, and
+// revertOrphaned/report catch those payouts when they are reorged away or match no ledger row.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REWARDS_ADDRESS = process.env.REWARDS_CONTRACT_ADDRESS;
+const MIN_PROJECT_BUDGET = parseFloat(process.env.REFERRAL_MIN_PROJECT_BUDGET || '0');
+const ONCHAIN_GRACE_DAYS = parseInt(process.env.REFERRAL_ONCHAIN_GRACE_DAYS || '7');
+const SECOND_LEVEL_SHARE = parseFloat(process.env.REFERRAL_SECOND_LEVEL_SHARE || '0');
+
+// SKILL per side, by the role the referee signed up as. REFERRAL_REWARDS overrides it as JSON,
+// e.g. {"CLIENT":{"referrer":100,"referee":20}}
+const DEFAULT_AMOUNTS = {
+  FREELANCER: { referrer: 50, referee: 10 },
+  CLIENT: { referrer: 50, referee: 10 }
+};
+
+function loadAmounts() {
+  if (!process.env.REFERRAL_REWARDS) return DEFAULT_AMOUNTS;
+  try {
+    const overrides = JSON.parse(process.env.REFERRAL_REWARDS);
+    return Object.fromEntries(Object.entries(DEFAULT_AMOUNTS).map(([role, amounts]) => [
+      role,
+      { ...amounts, ...overrides[role] }
+    ]));
+  } catch (e) {
+    console.error('[referralRewards] REFERRAL_REWARDS is not valid JSON; using defaults:', e.message);
+    return DEFAULT_AMOUNTS;
+  }
+}
+
+const AMOUNTS = loadAmounts();
+
+const rewardsInterface = new ethers.Interface(REWARDS_ABI);
+let rewardsContract = null;
+
+function contract() {
+  if (!rewardsContract) {
+    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://localhost:8545');
+    rewardsContract = new ethers.Contract(REWARDS_ADDRESS, REWARDS_ABI, provider);
+  }
+  return rewardsContract;
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Runs inside the transaction that creates the referral. Campaign referrals follow the campaign's
+// reward schedule and second-level share. Returns the amounts written.
+async function createForReferral(tx, referral, campaign = null) {
+  const amounts = campaign
+    ? await referralCampaigns.amountsFor(tx, campaign, referral.referrerId)
+    : AMOUNTS[referral.role];
+  const share = campaign ? campaign.secondLevelShare : SECOND_LEVEL_SHARE;
+
+  const rows = [
+    { referralId: referral.id, userId: referral.referrerId, beneficiary: 'REFERRER', amount: amounts.referrer },
+    { referralId: referral.id, userId: referral.refereeId, beneficiary: 'REFEREE', amount: amounts.referee }
+  ];
+
+  // Whoever referred the referrer earns a share of the referrer's reward
+  let secondLevel = 0;
+  if (share > 0 && amounts.referrer > 0) {
+    const upstream = await tx.referral.findUnique({ where: { refereeId: referral.referrerId }, select: { referrerId: true } });
+    if (upstream && upstream.referrerId !== referral.refereeId) {
+      secondLevel = Math.round(amounts.referrer * share * 100) / 100;
+      rows.push({ referralId: referral.id, userId: upstream.referrerId, beneficiary: 'SECOND_LEVEL', amount: secondLevel });
+    }
+  }
+
+  await tx.referralReward.createMany({ data: rows.filter(row => row.amount > 0) });
+  return { referrer: amounts.referrer, referee: amounts.referee, secondLevel };
+}
+
+function findReferral(where) {
+  return prisma.referral.findUnique({ where });
+}
+
+// Both sides' primary verified wallets
+async function referralWallets(referral) {
+  const [referrer, referee] = await Promise.all([
+    walletLinks.primaryWallet(referral.referrerId),
+    walletLinks.primaryWallet(referral.refereeId)
+  ]);
+  return { referrer, referee };
+}
+
+// Unsigned SkillFiRewards.registerReferral for the referee's wallet; null when the contract is not
+// configured, the referral is already registered or either side has no verified wallet.
+async function registrationTransaction(referral) {
+  if (!REWARDS_ADDRESS || referral.onchainRegisteredAt) return null;
+  const { referrer: referrerWallet, referee: from } = await referralWallets(referral);
+  if (!from || !referrerWallet) return null;
+
+  const { chainId } = await contract().runner.getNetwork();
+  return {
+    from,
+    to: REWARDS_ADDRESS,
+    data: rewardsInterface.encodeFunctionData('registerReferral', [referrerWallet]),
+    value: '0',
+    chainId: Number(chainId)
+  };
+}
+
+// Mirror the contract's record of the referee's referrer. Returns 'registered', 'unregistered' or
+// 'conflict' (the contract names someone else as the referrer).
+async function refreshRegistration(referral) {
+  if (referral.onchainRegisteredAt) return 'registered';
+  if (!REWARDS_ADDRESS) return 'unregistered';
+  const wallets = await referralWallets(referral);
+  if (!wallets.referee) return 'unregistered';
+
+  const onchain = await contract().userRewards(wallets.referee);
+  if (onchain.referrer === ethers.ZeroAddress) return 'unregistered';
+  if (!sameAddress(onchain.referrer, wallets.referrer)) return 'conflict';
+
+  referral.onchainRegisteredAt = new Date();
+  await prisma.referral.update({ where: { id: referral.id }, data: { onchainRegisteredAt: referral.onchainRegisteredAt } });
+  return 'registered';
+}
+
+// Whether the user completed a project, as client or freelancer, before `before`. Projects without
+// a COMPLETED transition (completed before transitions were recorded) count by their updatedAt.
+async function completedProjectBefore(userId, before, excludeProjectId) {
+  const count = await prisma.project.count({
+    where: {
+      id: { not: excludeProjectId },
+      status: 'COMPLETED',
+      OR: [{ clientId: userId }, { freelancerId: userId }],
+      AND: [{
+        OR: [
+          { transitions: { some: { toStatus: 'COMPLETED', createdAt: { lt: before } } } },
+          { updatedAt: { lt: before } }
+        ]
+      }]
+    }
+  });
+  return count > 0;
+}
+
+// Project hook: the referee's first completed project, as client or freelancer, qualifies the
+// referral and its rewards. Projects with the referrer on the other side or below the minimum
+// budget do not count, and neither do referrals attached to users who had already completed a
+// project when the referral was made.
+async function qualify({ project, transition }) {
+  if (transition.toStatus !== 'COMPLETED' || !project.freelancerId) return;
+  if (project.budget < MIN_PROJECT_BUDGET) return;
+
+  const sides = [[project.clientId, project.freelancerId], [project.freelancerId, project.clientId]];
+  for (const [refereeId, counterpartyId] of sides) {
+    const referral = await findReferral({ refereeId });
+    if (!referral || referral.qualifiedAt || referral.referrerId === counterpartyId) continue;
+    if (await completedProjectBefore(refereeId, referral.createdAt, project.id)) continue;
+
+    const qualifiedAt = new Date();
+    const { count: first } = await prisma.referral.updateMany({
+      where: { id: referral.id, qualifiedAt: null },
+      data: { qualifiedAt }
+    });
+    if (!first) continue; // another completion got there first
+
+    const pending = await prisma.referralReward.findMany({
+      where: { referralId: referral.id, status: 'PENDING', onchainOnly: false }
+    });
+    if (pending.length === 0) continue;
+
+    for (const reward of pending) {
+      const data = { status: 'QUALIFIED', qualifiedAt, qualifyingProjectId: project.id, payoutMethod: 'PLATFORM' };
+      const { count } = await prisma.referralReward.updateMany({ where: { id: reward.id, status: 'PENDING' }, data });
+      if (count) notificationEvents.referralRewardUpdated({ ...reward, ...data }, 'qualified');
+    }
+  }
+}
+
+// Pay a QUALIFIED reward into the user's platform balance. Returns the paid row, or null if it
+// was settled elsewhere first.
+async function creditPlatform(reward) {
+  const paid = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.referralReward.updateMany({
+      where: { id: reward.id, status: 'QUALIFIED' },
+      data: { status: 'PAID', payoutMethod: 'PLATFORM', paidAmount: reward.amount, paidAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    await tx.user.update({ where: { id: reward.userId }, data: { totalEarned: { increment: reward.amount } } });
+    return tx.referralReward.findUnique({ where: { id: reward.id } });
+  });
+
+  if (paid) notificationEvents.referralRewardUpdated(paid, 'paid');
+  return paid;
+}
+
+// Includes rows once qualified as ONCHAIN: nothing on-chain will pay them
+async function creditQualified({ batchSize = 200 } = {}) {
+  const rewards = await prisma.referralReward.findMany({
+    where: { status: 'QUALIFIED' },
+    orderBy: { qualifiedAt: 'asc' },
+    take: batchSize
+  });
+
+  let credited = 0;
+  for (const reward of rewards) {
+    if (await creditPlatform(reward)) credited += 1;
+  }
+  return credited;
+}
+
+// Referees whose referrer is still waiting for a reward are sent the registration transaction
+// once, so the contract knows the referral; the reward itself is credited by the platform
+async function requestRegistrations({ batchSize = 100 } = {}) {
+  if (!REWARDS_ADDRESS) return 0;
+
+  const referrals = await prisma.referral.findMany({
+    where: {
+      onchainRegisteredAt: null,
+      registrationAskedAt: null,
+      referee: { wallets: { some: { isPrimary: true } } },
+      referrer: { wallets: { some: { isPrimary: true } } },
+      rewards: { some: { beneficiary: 'REFERRER', status: 'PENDING' } }
+    },
+    take: batchSize
+  });
+
+  let requested = 0;
+  for (const referral of referrals) {
+    try {
+      const registration = await refreshRegistration(referral);
+      if (registration === 'registered') continue;
+
+      // A conflicting on-chain referrer cannot be changed, so there is nothing to ask for
+      await prisma.referral.update({ where: { id: referral.id }, data: { registrationAskedAt: new Date() } });
+      if (registration === 'conflict') continue;
+
+      notificationEvents.referralRegistrationNeeded(referral, await registrationTransaction(referral));
+      requested += 1;
+    } catch (e) {
+      console.error('[referralRewards] registration request failed for referral', referral.id, e.message);
+    }
+  }
+  return requested;
+}
+
+// ReferralReward handler: settle the referrer's oldest unpaid reward with the on-chain payout, or
+// record an extra payout when the contract pays for later projects too. The event only comes from
+// updateUserActivity, i.e. from an escrow contract that reports completions; the current
+// SkillFiEscrow does not. Idempotent per log.
+async function recordChainReward({ referrerId, refereeId, amount, txHash, logIndex }) {
+  const existing = await prisma.referralReward.findUnique({
+    where: { chainTxHash_chainLogIndex: { chainTxHash: txHash, chainLogIndex: logIndex } }
+  });
+  if (existing) return existing;
+
+  const referral = await prisma.referral.findUnique({ where: { refereeId } });
+  if (!referral || referral.referrerId !== referrerId) {
+    console.warn(`[referralRewards] ReferralReward in ${txHash} does not match a platform referral`);
+    return null;
+  }
+
+  const paidAmount = Number(ethers.formatEther(amount));
+  const settlement = {
+    status: 'PAID',
+    payoutMethod: 'ONCHAIN',
+    paidAmount,
+    paidAt: new Date(),
+    chainTxHash: txHash,
+    chainLogIndex: logIndex
+  };
+
+  const paid = await prisma.$transaction(async (tx) => {
+    const unpaid = await tx.referralReward.findFirst({
+      where: { referralId: referral.id, beneficiary: 'REFERRER', status: { in: ['PENDING', 'QUALIFIED'] } },
+      orderBy: { createdAt: 'asc' }
+    });
+    const { count } = unpaid
+      ? await tx.referralReward.updateMany({ where: { id: unpaid.id, status: unpaid.status }, data: settlement })
+      : { count: 0 };
+
+    const row = count
+      ? await tx.referralReward.findUnique({ where: { id: unpaid.id } })
+      : await tx.referralReward.create({
+        data: { referralId: referral.id, userId: referrerId, beneficiary: 'REFERRER', amount: paidAmount, onchainOnly: true, ...settlement }
+      });
+
+    await tx.user.update({ where: { id: referrerId }, data: { totalEarned: { increment: paidAmount } } });
+    if (!referral.onchainRegisteredAt) {
+      await tx.referral.update({ where: { id: referral.id }, data: { onchainRegisteredAt: new Date() } });
+    }
+    return row;
+  });
+
+  notificationEvents.referralRewardUpdated(paid, 'paid');
+  return paid;
+}
+
+// On-chain payouts whose log was dropped by a reorg go back to unpaid, or are deleted when the log
+// was their only source. Logs are recorded just after their handler runs, hence settleMs; reorgs
+// deeper than a day are not expected.
+async function revertOrphaned({ settleMs = 10 * 60 * 1000 } = {}) {
+  const now = Date.now();
+  const paid = await prisma.referralReward.findMany({
+    where: {
+      status: 'PAID',
+      payoutMethod: 'ONCHAIN',
+      chainTxHash: { not: null },
+      paidAt: { gte: new Date(now - DAY_MS), lt: new Date(now - settleMs) }
+    }
+  });
+  if (paid.length === 0) return 0;
+
+  const logs = await prisma.chainLog.findMany({
+    where: { OR: paid.map(r => ({ txHash: r.chainTxHash, logIndex: r.chainLogIndex })) },
+    select: { txHash: true, logIndex: true }
+  });
+  const indexed = new Set(logs.map(l => `${l.txHash}:${l.logIndex}`));
+  const orphaned = paid.filter(r => !indexed.has(`${r.chainTxHash}:${r.chainLogIndex}`));
+
+  for (const reward of orphaned) {
+    const unpaid = reward.qualifiedAt
+      ? { status: 'QUALIFIED' }
+      : { status: 'PENDING', payoutMethod: null };
+    await prisma.$transaction([
+      reward.onchainOnly
+        ? prisma.referralReward.delete({ where: { id: reward.id } })
+        : prisma.referralReward.update({
+          where: { id: reward.id },
+          data: { ...unpaid, paidAmount: null, paidAt: null, chainTxHash: null, chainLogIndex: null }
+        }),
+      prisma.user.update({ where: { id: reward.userId }, data: { totalEarned: { decrement: reward.paidAmount } } })
+    ]);
+    console.warn(`[referralRewards] reward ${reward.id} reverted: ${reward.chainTxHash} was reorged away`);
+  }
+  return orphaned.length;
+}
+
+// Credit a qualified reward now instead of on the payout job's next pass
+async function settleOnPlatform(reward) {
+  const { count } = await prisma.referralReward.updateMany({
+    where: { id: reward.id, status: 'QUALIFIED' },
+    data: { payoutMethod: 'PLATFORM' }
+  });
+  return count ? creditPlatform(reward) : null;
+}
+
+// Reverse a reward. Paid amounts come off totalEarned; tokens already minted on-chain stay in the
+// referrer's wallet and have to be recovered outside the platform.
+async function clawBack(reward, reason) {
+  const clawed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.referralReward.updateMany({
+      where: { id: reward.id, status: reward.status },
+      data: { status: 'CLAWED_BACK', clawedBackAt: new Date(), clawbackReason: reason }
+    });
+    if (count === 0) return null;
+
+    if (reward.status === 'PAID') {
+      await tx.user.update({ where: { id: reward.userId }, data: { totalEarned: { decrement: reward.paidAmount } } });
+    }
+    return tx.referralReward.findUnique({ where: { id: reward.id } });
+  });
+
+  if (clawed) notificationEvents.referralRewardUpdated(clawed, 'clawed_back');
+  return clawed;
+}
+
+// Ledger totals plus the rows that need a look: qualified rewards still unpaid after the grace
+// period, on-chain payouts that differ from the configured amount (the contract sets its own),
+// and payouts the contract made with no ledger row to settle
+async function report() {
+  const cutoff = new Date(Date.now() - ONCHAIN_GRACE_DAYS * DAY_MS);
+  const include = {
+    user: { select: { id: true, username: true, wallets: { where: { isPrimary: true }, select: { address: true } } } },
+    referral: { select: { id: true, refereeId: true, onchainRegisteredAt: true } }
+  };
+
+  const [totals, overdue, unmatched, mismatched] = await Promise.all([
+    prisma.referralReward.groupBy({
+      by: ['beneficiary', 'status'],
+      _count: { _all: true },
+      _sum: { amount: true, paidAmount: true }
+    }),
+    prisma.referralReward.findMany({
+      where: { status: 'QUALIFIED', qualifiedAt: { lt: cutoff } },
+      include,
+      orderBy: { qualifiedAt: 'asc' }
+    }),
+    prisma.referralReward.findMany({
+      where: { onchainOnly: true, status: 'PAID' },
+      include,
+      orderBy: { paidAt: 'desc' }
+    }),
+    prisma.$queryRaw`
+      SELECT id, "userId", "referralId", amount, "paidAmount", "chainTxHash"
+      FROM referral_rewards
+      WHERE status = 'PAID' AND "payoutMethod" = 'ONCHAIN' AND "onchainOnly" = false
+        AND "paidAmount" <> amount
+      ORDER BY "paidAt" DESC`
+  ]);
+
+  return {
+    graceDays: ONCHAIN_GRACE_DAYS,
+    totals: totals.map(t => ({
+      beneficiary: t.beneficiary,
+      status: t.status,
+      count: t._count._all,
+      amount: t._sum.amount || 0,
+      paidAmount: t._sum.paidAmount || 0
+    })),
+    overdue,
+    mismatched,
+    unmatched
+  };
+}
+
+// A user's rewards (as referrer or referee) with totals by status
+async function forUser(userId) {
+  const rewards = await prisma.referralReward.findMany({
+    where: { userId },
+    include: { referral: { select: { id: true, role: true, referrerId: true, refereeId: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const totals = { PENDING: 0, QUALIFIED: 0, PAID: 0, CLAWED_BACK: 0 };
+  for (const reward of rewards) {
+    totals[reward.status] += reward.status === 'PAID' ? reward.paidAmount : reward.amount;
+  }
+  return { rewards, totals };
+}
+
+module.exports = {
+  AMOUNTS,
+  MIN_PROJECT_BUDGET,
+  ONCHAIN_GRACE_DAYS,
+  createForReferral,
+  findReferral,
+  registrationTransaction,
+  qualify,
+  creditPlatform,
+  creditQualified,
+  requestRegistrations,
+  recordChainReward,
+  revertOrphaned,
+  settleOnPlatform,
+  clawBack,
+  report,
+  forUser,
+};
@@ -1,5 +1,5 @@
 // Combines multiple signals into a 0-100 score with optional time decay.
-// events: [{ type, weight, delta, createdAt }]
+// events: [{ id, type, weight, delta, createdAt, metadata }]
 
 function timeDecayFactor(createdAt, { halfLifeDays = 90 } = {}) {
   const ageMs = Date.now() - new Date(createdAt).getTime();
@@ -36,9 +36,12 @@ module.exports = {
 
     // Event contributions with time decay
     let eventScoreRaw = 0;
+    const eventContributions = [];
     for (const e of events) {
       const factor = timeDecayFactor(e.createdAt, decay);
-      eventScoreRaw += (e.delta ?? 0) * (e.weight ?? 1) * factor;
+      const contribution = (e.delta ?? 0) * (e.weight ?? 1) * factor;
+      eventScoreRaw += contribution;
+      eventContributions.push({ id: e.id, type: e.type, createdAt: e.createdAt, metadata: e.metadata, decay: factor, contribution });
     }
     const eventScore = Math.max(0, Math.min(100, eventScoreRaw + 50)); // center around 50
 
@@ -56,7 +59,9 @@ module.exports = {
         onChainScore: Math.round(onChainScore),
         eventsScore: Math.round(eventScore),
         fraudPenalty: Math.round(fraudPenalty),
-      }
+      },
+      // Effect of each event on the composite, before clamping
+      eventContributions: eventContributions.map(c => ({ ...c, impact: eventsWeight * c.contribution })),
     };
   }
 };
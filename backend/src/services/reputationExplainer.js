@@ -0,0 +1,67 @@
+// Turns reputation components and decayed event contributions into "why did my score change" text.
+
+const EVENT_LABELS = {
+  ESCROW_COMPLETED: 'Completed escrow work',
+  ESCROW_DISPUTE_OPENED: 'Dispute opened on a project',
+  ESCROW_DISPUTE_WON: 'Dispute resolved in your favor',
+  ESCROW_DISPUTE_LOST: 'Dispute resolved against you',
+  CLIENT_RATING: 'Rating received',
+  OTHER: 'Platform activity',
+};
+
+const COMPONENT_LABELS = {
+  ratingScore: 'Rating score',
+  onChainScore: 'On-chain score',
+  eventsScore: 'Activity score',
+  fraudPenalty: 'Fraud penalty',
+};
+
+const COMPONENTS = Object.keys(COMPONENT_LABELS);
+
+function formatPoints(n) {
+  const rounded = Math.round(n * 10) / 10;
+  return `${rounded >= 0 ? '+' : ''}${rounded}`;
+}
+
+module.exports = {
+  COMPONENTS,
+
+  // Difference per component between two snapshots ({ score, ratingScore, ... }); null without a previous one
+  componentDeltas(previous, current) {
+    if (!previous) return null;
+    const deltas = { score: current.score - previous.score };
+    for (const key of COMPONENTS) deltas[key] = (current[key] ?? 0) - (previous[key] ?? 0);
+    return deltas;
+  },
+
+  describeComponentChanges(deltas) {
+    if (!deltas) return [];
+    const lines = [];
+    for (const key of COMPONENTS) {
+      const d = deltas[key];
+      if (!d) continue;
+      const direction = d > 0 ? 'increased' : 'decreased';
+      lines.push(`${COMPONENT_LABELS[key]} ${direction} by ${Math.abs(d)} point${Math.abs(d) === 1 ? '' : 's'}`);
+    }
+    return lines;
+  },
+
+  // Events with the largest effect on the composite after time decay
+  topEventReasons(eventContributions, { limit = 5, minImpact = 0.1 } = {}) {
+    return eventContributions
+      .filter(c => Math.abs(c.impact) >= minImpact)
+      .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+      .slice(0, limit)
+      .map(c => {
+        const label = EVENT_LABELS[c.type] || c.type;
+        const detail = c.metadata?.event ? ` (${c.metadata.event})` : '';
+        return {
+          eventId: c.id,
+          type: c.type,
+          at: c.createdAt,
+          impact: Math.round(c.impact * 10) / 10,
+          text: `${label}${detail}: ${formatPoints(c.impact)} points`,
+        };
+      });
+  },
+};
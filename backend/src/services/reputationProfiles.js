@@ -0,0 +1,59 @@
+// Named, versioned weight profiles for reputationCalculator.compute.
+// Profiles are immutable once released: change weights by adding a new version, then point
+// REPUTATION_PROFILE at it. Scores computed with another profile are re-scored by jobs/reputationRescore.
+
+const PROFILES = {
+  default: {
+    1: {
+      base: 50,
+      weights: { ratingWeight: 0.5, onChainWeight: 0.3, eventsWeight: 0.2 },
+      decay: { halfLifeDays: 90 },
+    },
+  },
+  'onchain-heavy': {
+    1: {
+      base: 50,
+      weights: { ratingWeight: 0.35, onChainWeight: 0.45, eventsWeight: 0.2 },
+      decay: { halfLifeDays: 120 },
+    },
+  },
+};
+
+const DEFAULT_PROFILE = 'default@1';
+
+function latestVersion(name) {
+  const versions = Object.keys(PROFILES[name] || {}).map(Number);
+  return versions.length ? Math.max(...versions) : null;
+}
+
+module.exports = {
+  // Resolve "name@version" (or "name" for its latest version); null if unknown
+  get(id) {
+    if (!id) return null;
+    const [name, rawVersion] = String(id).split('@');
+    const version = rawVersion ? Number(rawVersion) : latestVersion(name);
+    const profile = PROFILES[name]?.[version];
+    if (!profile) return null;
+    return { id: `${name}@${version}`, name, version, ...profile };
+  },
+
+  active() {
+    const id = process.env.REPUTATION_PROFILE || DEFAULT_PROFILE;
+    const profile = this.get(id);
+    if (!profile) {
+      console.warn(`[reputationProfiles] Unknown REPUTATION_PROFILE "${id}", using ${DEFAULT_PROFILE}`);
+      return this.get(DEFAULT_PROFILE);
+    }
+    return profile;
+  },
+
+  list() {
+    const activeId = this.active().id;
+    return Object.entries(PROFILES).flatMap(([name, versions]) =>
+      Object.keys(versions).map(version => {
+        const profile = this.get(`${name}@${version}`);
+        return { ...profile, active: profile.id === activeId };
+      })
+    );
+  },
+};
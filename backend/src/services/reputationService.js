@@ -1,43 +1,104 @@
+const { Prisma } = require('@prisma/client');
 const ratingRepo = require('../repositories/ratingRepository');
 const repEventRepo = require('../repositories/reputationEventRepository');
 const userRepRepo = require('../repositories/userReputationRepository');
+const snapshotRepo = require('../repositories/reputationSnapshotRepository');
 const calculator = require('./reputationCalculator');
 const fraud = require('./fraudRiskEngine');
+const fraudSignalExtractor = require('./fraudSignalExtractor');
+const fraudAssessmentRepo = require('../repositories/fraudAssessmentRepository');
+const onChainProvider = require('./onChainReputationProvider');
+const explainer = require('./reputationExplainer');
+const profiles = require('./reputationProfiles');
 
 module.exports = {
-  // Recompute and persist user's reputation
+  // Recompute and persist user's reputation.
+  // options: { profile, weights, decay, onChainBase, fraudSignals, dryRun }
+  // profile is a "name@version" id from reputationProfiles (active profile by default);
+  // weights/decay override it. dryRun computes without writing anything.
   async recomputeUser(userId, options = {}) {
+    const profile = options.profile ? profiles.get(options.profile) : profiles.active();
+    if (!profile) throw new Error(`Unknown reputation profile: ${options.profile}`);
+    const dryRun = Boolean(options.dryRun);
+
     const { average, count } = await ratingRepo.getUserAverageScore(userId);
 
     // Fetch recent events (limit for performance)
     const events = await repEventRepo.listByUser(userId, { limit: 200 });
 
-    // Placeholder: obtain on-chain base and fraud signals from other services
-    const onChainBase = options.onChainBase ?? 50; // to be wired to escrow/DAO later
+    // On-chain track record (escrow rating, completions, stake, skill NFTs); neutral 50 if unavailable
+    let onChainBase = options.onChainBase;
+    let onChainBreakdown = null;
+    if (onChainBase === undefined || onChainBase === null) {
+      const onChain = await onChainProvider.forUser(userId);
+      onChainBase = onChain?.score ?? 50;
+      onChainBreakdown = onChain?.breakdown ?? null;
+    }
 
-    const fraudPenalty = fraud.evaluate(options.fraudSignals || {});
+    // Fraud signals derived from the database; explicitly passed signals override derived ones
+    const derived = await fraudSignalExtractor.extract(userId);
+    const fraudSignals = { ...derived.signals, ...(options.fraudSignals || {}) };
+    const { penalty: fraudPenalty, triggeredRules } = fraud.explain(fraudSignals);
+    if (triggeredRules.length > 0 && !dryRun) {
+      await fraudAssessmentRepo.create({
+        userId,
+        penalty: fraudPenalty,
+        signals: fraudSignals,
+        triggeredRules,
+        details: derived.details,
+      });
+    }
 
     const result = calculator.compute({
+      base: profile.base,
       ratingAverage: average,
       ratingCount: count,
       onChainBase,
       events,
       fraudPenalty,
-      weights: options.weights,
-      decay: options.decay,
+      weights: { ...profile.weights, ...(options.weights || {}) },
+      decay: { ...profile.decay, ...(options.decay || {}) },
     });
 
-    await userRepRepo.upsert(userId, {
-      score: result.score,
-      onChainScore: result.components.onChainScore,
-      ratingScore: result.components.ratingScore,
-      fraudPenalty: result.components.fraudPenalty,
-    });
+    // Any override makes the score differ from what the profile alone gives, so it is marked and
+    // jobs/reputationRescore replaces it on its next pass
+    const overridden = Boolean(options.weights || options.decay || options.fraudSignals) ||
+      (options.onChainBase !== undefined && options.onChainBase !== null);
+    const profileId = overridden ? `${profile.id}+override` : profile.id;
+
+    // History snapshot with the reasons behind this score
+    const previous = await snapshotRepo.latest(userId);
+    const current = { score: result.score, ...result.components };
+    const deltas = explainer.componentDeltas(previous, current);
+    const explanations = {
+      deltas,
+      componentChanges: explainer.describeComponentChanges(deltas),
+      reasons: explainer.topEventReasons(result.eventContributions),
+      fraudRules: triggeredRules,
+    };
+
+    if (!dryRun) {
+      await userRepRepo.upsert(userId, {
+        score: result.score,
+        onChainScore: result.components.onChainScore,
+        ratingScore: result.components.ratingScore,
+        eventsScore: result.components.eventsScore,
+        fraudPenalty: result.components.fraudPenalty,
+        onChainBreakdown: onChainBreakdown ?? Prisma.DbNull,
+        profile: profileId,
+      });
+      await snapshotRepo.create({ userId, ...current, profile: profileId, explanations });
+    }
 
     return {
       userId,
       score: result.score,
       components: result.components,
+      profile: profileId,
+      dryRun,
+      onChainBreakdown,
+      fraudRules: triggeredRules,
+      explanations,
       updatedAt: new Date().toISOString(),
     };
   }
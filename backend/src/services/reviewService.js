@@ -0,0 +1,180 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationEvents = require('./notificationEvents');
+const projectStateMachine = require('./projectStateMachine');
+
+const prisma = new PrismaClient();
+
+// Two-sided reviews of completed projects. Each party reviews the other once; a review stays
+// hidden from everyone but its author until the counterparty has reviewed too or the review
+// window closes. Visibility is revealAt <= now, so no job is needed to open the window.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS || '14');
+
+// Sub-scores by the author's side: clients rate the work, freelancers rate the client
+const CATEGORIES = {
+  CLIENT: ['communication', 'quality', 'timeliness', 'professionalism'],
+  FREELANCER: ['communication', 'clarity', 'payment', 'professionalism']
+};
+
+const authorSelect = { select: { id: true, username: true, avatar: true } };
+
+const visible = () => ({ revealAt: { lte: new Date() } });
+
+async function windowFor(project) {
+  const opened = await projectStateMachine.completedAt(project);
+  return { opensAt: opened, closesAt: new Date(opened.getTime() + WINDOW_DAYS * DAY_MS) };
+}
+
+// The author's side and the counterparty, or null when the user is not a participant
+function sidesFor(project, userId) {
+  if (!project.freelancerId) return null;
+  if (userId === project.clientId) return { authorRole: 'CLIENT', targetId: project.freelancerId };
+  if (userId === project.freelancerId) return { authorRole: 'FREELANCER', targetId: project.clientId };
+  return null;
+}
+
+// Returns the unknown category keys for the role, if any
+function invalidCategories(authorRole, categories) {
+  return Object.keys(categories || {}).filter(key => !CATEGORIES[authorRole].includes(key));
+}
+
+// Reveal both reviews of a project once both exist. Runs after the insert commits, so two
+// reviews submitted at the same time still find each other.
+async function revealIfComplete(projectId) {
+  const reviews = await prisma.review.findMany({ where: { projectId }, select: { id: true, revealAt: true } });
+  if (reviews.length < 2) return false;
+
+  const now = new Date();
+  const hidden = reviews.filter(r => r.revealAt > now).map(r => r.id);
+  if (hidden.length === 0) return false;
+
+  await prisma.review.updateMany({ where: { id: { in: hidden } }, data: { revealAt: now } });
+  return true;
+}
+
+// Callers check the project is COMPLETED, the author is a participant and the window is open
+async function create({ project, authorId, rating, title, comment, categories, closesAt }) {
+  const { authorRole, targetId } = sidesFor(project, authorId);
+
+  const review = await prisma.review.create({
+    data: { projectId: project.id, authorId, targetId, authorRole, rating, title, comment, categories, revealAt: closesAt }
+  });
+
+  const revealed = await revealIfComplete(project.id);
+  const stored = revealed ? await prisma.review.findUnique({ where: { id: review.id } }) : review;
+
+  notificationEvents.reviewReceived(stored, project, revealed);
+  return { review: stored, revealed };
+}
+
+// Reviews can be changed until they are revealed
+function update(review, { rating, title, comment, categories }) {
+  return prisma.review.update({
+    where: { id: review.id },
+    data: { rating, title, comment, categories }
+  });
+}
+
+function respond(review, response) {
+  return prisma.review.update({
+    where: { id: review.id },
+    data: { response, respondedAt: new Date() }
+  });
+}
+
+// Reviews of a project as seen by viewerId: visible ones plus the viewer's own
+function forProject(projectId, viewerId = null) {
+  return prisma.review.findMany({
+    where: {
+      projectId,
+      OR: [visible(), ...(viewerId ? [{ authorId: viewerId }] : [])]
+    },
+    include: { author: authorSelect, target: authorSelect },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+// Visible reviews a user received; role filters by the side they were on
+async function forUser(userId, { role, rating, page = 1, limit = 20 } = {}) {
+  const take = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const where = {
+    targetId: userId,
+    ...visible(),
+    ...(role ? { authorRole: role === 'FREELANCER' ? 'CLIENT' : 'FREELANCER' } : {}),
+    ...(rating ? { rating: parseInt(rating) } : {})
+  };
+
+  const [reviews, total] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      include: { author: authorSelect, project: { select: { id: true, title: true, category: true } } },
+      orderBy: { createdAt: 'desc' },
+      skip: (Math.max(parseInt(page) || 1, 1) - 1) * take,
+      take
+    }),
+    prisma.review.count({ where })
+  ]);
+
+  return { reviews, total, take };
+}
+
+function summarize(reviews) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  const sums = {};
+  let total = 0;
+  let responded = 0;
+
+  for (const review of reviews) {
+    distribution[review.rating] += 1;
+    total += review.rating;
+    if (review.respondedAt) responded += 1;
+    for (const [key, score] of Object.entries(review.categories || {})) {
+      sums[key] = sums[key] || { total: 0, count: 0 };
+      sums[key].total += score;
+      sums[key].count += 1;
+    }
+  }
+
+  const round = (n) => Math.round(n * 100) / 100;
+  return {
+    count: reviews.length,
+    average: reviews.length ? round(total / reviews.length) : null,
+    distribution,
+    categories: Object.fromEntries(Object.entries(sums).map(([key, { total: sum, count }]) => [
+      key,
+      { average: round(sum / count), count }
+    ])),
+    responseRate: reviews.length ? round(responded / reviews.length) : null
+  };
+}
+
+// Rating distribution and category averages of visible reviews, overall and per side
+async function stats(userId) {
+  const reviews = await prisma.review.findMany({
+    where: { targetId: userId, ...visible() },
+    select: { rating: true, categories: true, authorRole: true, respondedAt: true }
+  });
+
+  return {
+    userId,
+    ...summarize(reviews),
+    asFreelancer: summarize(reviews.filter(r => r.authorRole === 'CLIENT')),
+    asClient: summarize(reviews.filter(r => r.authorRole === 'FREELANCER'))
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  WINDOW_DAYS,
+  visible,
+  windowFor,
+  sidesFor,
+  invalidCategories,
+  create,
+  update,
+  respond,
+  forProject,
+  forUser,
+  stats,
+};
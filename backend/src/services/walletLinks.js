@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { PrismaClient } = require('@prisma/client');
+const onChainProvider = require('./onChainReputationProvider');
+const { EIP1271_ABI, EIP1271_MAGIC_VALUE } = require('../config/contracts');
+
+const prisma = new PrismaClient();
+
+// Wallet linking with Sign-In with Ethereum (EIP-4361). The backend issues the message with a
+// one-time nonce, the wallet signs it, and the signature is checked with ecrecover or, for
+// contract wallets, the wallet's own EIP-1271 isValidSignature on the configured node. A user may
+// link several wallets; the primary one is mirrored to User.walletAddress. Addresses are stored
+// lowercase so lookups do not depend on checksum casing.
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'localhost:3000';
+const SIWE_URI = process.env.SIWE_URI || process.env.FRONTEND_URL || 'http://localhost:3000';
+const SIWE_CHAIN_IDS = (process.env.SIWE_CHAIN_IDS || '31337').split(',').map(id => parseInt(id.trim()));
+const STATEMENT = 'Link this wallet to your SkillFi account.';
+
+let provider = null;
+const getProvider = () => {
+  if (!provider) provider = new ethers.JsonRpcProvider(process.env.RPC_URL || 'http://localhost:8545');
+  return provider;
+};
+
+const normalize = (address) => address.toLowerCase();
+
+// EIP-4361 message; the address must be in checksum form
+function siweMessage({ address, chainId, nonce, issuedAt, expiresAt }) {
+  return [
+    `${SIWE_DOMAIN} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    STATEMENT,
+    '',
+    `URI: ${SIWE_URI}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+}
+
+// Issue a message for the user to sign with `address`; returns { nonce, message, expiresAt } or { status, error }
+async function challenge(userId, address, chainId = SIWE_CHAIN_IDS[0]) {
+  if (!SIWE_CHAIN_IDS.includes(chainId)) {
+    return { status: 400, error: `Chain ${chainId} is not supported; use one of ${SIWE_CHAIN_IDS.join(', ')}` };
+  }
+
+  const now = new Date();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(now.getTime() + CHALLENGE_TTL_MS);
+  const message = siweMessage({ address, chainId, nonce, issuedAt: now, expiresAt });
+
+  // Drop this user's stale challenges while we are here. Spent ones are kept: they record every
+  // wallet the user has verified, which fraud checks compare across referrers and referees.
+  await prisma.walletChallenge.deleteMany({
+    where: { userId, usedAt: null, expiresAt: { lt: now } }
+  });
+  await prisma.walletChallenge.create({
+    data: { userId, address: normalize(address), nonce, message, expiresAt }
+  });
+  return { nonce, message, expiresAt };
+}
+
+// 'eoa' | 'contract' | null. Contract wallets are only asked when the address has code; throws
+// when the node cannot be reached.
+async function verifySignature(address, message, signature) {
+  try {
+    if (normalize(ethers.verifyMessage(message, signature)) === address) return 'eoa';
+  } catch (e) {
+    // Not an ECDSA signature; a contract wallet may still accept it
+  }
+
+  const code = await getProvider().getCode(address);
+  if (code === '0x') return null;
+  try {
+    const wallet = new ethers.Contract(address, EIP1271_ABI, getProvider());
+    const result = await wallet.isValidSignature(ethers.hashMessage(message), signature);
+    return result.toLowerCase() === EIP1271_MAGIC_VALUE ? 'contract' : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const chainIdOf = (message) => parseInt(message.match(/^Chain ID: (\d+)$/m)?.[1]);
+
+// Mirror the primary wallet onto the user row. A legacy unverified claim of the same address by
+// someone else is dropped: proof wins over a claim.
+async function setUserWallet(tx, userId, address) {
+  if (address) {
+    await tx.user.updateMany({
+      where: { id: { not: userId }, walletAddress: { equals: address, mode: 'insensitive' } },
+      data: { walletAddress: null }
+    });
+  }
+  await tx.user.update({
+    where: { id: userId },
+    data: { walletAddress: address, walletConnectedAt: address ? new Date() : null }
+  });
+}
+
+// Verify a signed challenge and link its wallet; returns { wallet } or { status, error }
+async function link(userId, { message, signature, primary = false }) {
+  const nonce = message.match(/^Nonce: ([A-Za-z0-9]+)$/m)?.[1];
+  const issued = nonce && await prisma.walletChallenge.findUnique({ where: { nonce } });
+  // The message must be exactly the one issued, so domain, URI, chain and expiry are ours
+  if (!issued || issued.userId !== userId || issued.message !== message) {
+    return { status: 400, error: 'Unknown or altered sign-in message; request a new challenge' };
+  }
+  if (issued.usedAt) return { status: 400, error: 'This sign-in message has already been used' };
+  if (issued.expiresAt <= new Date()) return { status: 400, error: 'This sign-in message has expired' };
+
+  let kind;
+  try {
+    kind = await verifySignature(issued.address, message, signature);
+  } catch (e) {
+    console.error('[walletLinks] could not check for a contract wallet', e.shortMessage || e.message);
+    return { status: 503, error: 'Could not reach the chain node to verify the signature' };
+  }
+  if (!kind) return { status: 401, error: 'Signature does not match the wallet' };
+
+  const existing = await prisma.userWallet.findUnique({ where: { address: issued.address } });
+  if (existing && existing.userId !== userId) {
+    return { status: 400, error: 'Wallet already connected to another account' };
+  }
+
+  const { count } = await prisma.walletChallenge.updateMany({
+    where: { id: issued.id, usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  if (count === 0) return { status: 400, error: 'This sign-in message has already been used' };
+
+  const wallet = await prisma.$transaction(async (tx) => {
+    const hasPrimary = await tx.userWallet.count({ where: { userId, isPrimary: true, address: { not: issued.address } } });
+    const makePrimary = primary || existing?.isPrimary || hasPrimary === 0;
+    if (makePrimary) {
+      await tx.userWallet.updateMany({ where: { userId, isPrimary: true }, data: { isPrimary: false } });
+      await setUserWallet(tx, userId, issued.address);
+    }
+
+    const data = { isPrimary: makePrimary, isContract: kind === 'contract', chainId: chainIdOf(message), verifiedAt: new Date() };
+    return tx.userWallet.upsert({
+      where: { address: issued.address },
+      create: { userId, address: issued.address, ...data },
+      update: data
+    });
+  });
+
+  onChainProvider.invalidate(issued.address);
+  return { wallet };
+}
+
+function list(userId) {
+  return prisma.userWallet.findMany({
+    where: { userId },
+    orderBy: [{ isPrimary: 'desc' }, { createdAt: 'asc' }]
+  });
+}
+
+// Returns { wallet } or { status, error }
+async function makePrimary(userId, address) {
+  const wallet = await prisma.userWallet.findUnique({ where: { address: normalize(address) } });
+  if (!wallet || wallet.userId !== userId) return { status: 404, error: 'Wallet not found' };
+
+  const primary = await prisma.$transaction(async (tx) => {
+    await tx.userWallet.updateMany({ where: { userId, isPrimary: true }, data: { isPrimary: false } });
+    await setUserWallet(tx, userId, wallet.address);
+    return tx.userWallet.update({ where: { id: wallet.id }, data: { isPrimary: true } });
+  });
+  return { wallet: primary };
+}
+
+// Unlink a wallet; when it was primary the oldest remaining wallet takes over.
+// Returns { removed, primary } or { status, error }.
+async function unlink(userId, address) {
+  const wallet = await prisma.userWallet.findUnique({ where: { address: normalize(address) } });
+  if (!wallet || wallet.userId !== userId) return { status: 404, error: 'Wallet not found' };
+
+  const primary = await prisma.$transaction(async (tx) => {
+    await tx.userWallet.delete({ where: { id: wallet.id } });
+    if (!wallet.isPrimary) return tx.userWallet.findFirst({ where: { userId, isPrimary: true } });
+
+    const next = await tx.userWallet.findFirst({ where: { userId }, orderBy: { createdAt: 'asc' } });
+    await setUserWallet(tx, userId, next?.address || null);
+    return next ? tx.userWallet.update({ where: { id: next.id }, data: { isPrimary: true } }) : null;
+  });
+
+  onChainProvider.invalidate(wallet.address);
+  return { removed: wallet.address, primary };
+}
+
+// Owner of a verified wallet, or null
+async function userIdByWallet(address) {
+  if (!address) return null;
+  const wallet = await prisma.userWallet.findUnique({ where: { address: normalize(address) }, select: { userId: true } });
+  return wallet?.userId || null;
+}
+
+// The user's primary verified wallet address, or null
+async function primaryWallet(userId) {
+  const wallet = await prisma.userWallet.findFirst({ where: { userId, isPrimary: true }, select: { address: true } });
+  return wallet?.address || null;
+}
+
+// One-off cleanup of User.walletAddress values written before wallets had to be verified: each is
+// replaced by the user's primary verified wallet (lowercase), or cleared when there is none.
+// Returns the changes as { userId, from, to }.
+async function cleanupLegacy({ dryRun = true } = {}) {
+  const users = await prisma.user.findMany({
+    where: { walletAddress: { not: null } },
+    select: { id: true, walletAddress: true, wallets: { where: { isPrimary: true }, select: { address: true } } }
+  });
+
+  const changes = users
+    .map(u => ({ userId: u.id, from: u.walletAddress, to: u.wallets[0]?.address || null }))
+    .filter(c => c.from !== c.to);
+
+  if (!dryRun) {
+    // Clear first so a lowercased address cannot collide with another user's stale casing of it
+    await prisma.$transaction([
+      ...changes.map(c => prisma.user.update({ where: { id: c.userId }, data: { walletAddress: null } })),
+      ...changes.filter(c => c.to).map(c => prisma.user.update({ where: { id: c.userId }, data: { walletAddress: c.to } }))
+    ]);
+  }
+  return { scanned: users.length, changes };
+}
+
+module.exports = {
+  challenge,
+  link,
+  list,
+  makePrimary,
+  unlink,
+  userIdByWallet,
+  primaryWallet,
+  cleanupLegacy,
+};
@@ -0,0 +1,173 @@
+const { authenticateToken } = require('../middleware/auth');
+const messageService = require('../services/messageService');
+const notificationEvents = require('../services/notificationEvents');
+
+// Socket.IO layer: JWT handshake, project rooms restricted to the client and freelancer,
+// typing and presence, and message sending through messageService like POST /api/messages.
+//
+// Rooms: `project-<id>` for project participants, `user-<id>` for everything addressed to one user.
+
+const projectRoom = (projectId) => `project-${projectId}`;
+const userRoom = (userId) => `user-${userId}`;
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+function tokenFrom(handshake) {
+  const header = handshake.headers?.authorization;
+  return handshake.auth?.token || (header ? header.replace('Bearer ', '') : null);
+}
+
+// Broadcast a new message to the project and notify the receiver wherever they are connected
+function broadcastMessage(io, message) {
+  io.to(projectRoom(message.projectId)).emit('new-message', message);
+  io.to(userRoom(message.receiverId)).emit('message-notification', {
+    messageId: message.id,
+    projectId: message.projectId,
+    sender: message.sender,
+    preview: message.content.slice(0, 140)
+  });
+}
+
+function emitToUser(io, userId, event, payload) {
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+// Disconnect sockets authenticated with a revoked session: one session, or with no sessionId every
+// session of the user except `except`
+async function disconnectSessions(io, userId, { sessionId = null, except = null } = {}) {
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  for (const socket of sockets) {
+    const sid = socket.data.user.sessionId;
+    if (sessionId ? sid === sessionId : sid !== except) socket.disconnect(true);
+  }
+}
+
+// Users with at least one socket in the room
+async function onlineUsers(io, room) {
+  const sockets = await io.in(room).fetchSockets();
+  return [...new Set(sockets.map(s => s.data.user.id))];
+}
+
+function register(io) {
+  io.use(async (socket, next) => {
+    try {
+      const token = tokenFrom(socket.handshake);
+      if (!token) return next(new Error('Access denied. No token provided.'));
+
+      const user = await authenticateToken(token);
+      if (!user) return next(new Error('Invalid token.'));
+
+      socket.data.user = user;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token.'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user.id));
+
+    socket.on('join-project', async (projectId, ack) => {
+      try {
+        const { project, ...failure } = await messageService.loadProjectFor(user.id, String(projectId));
+        if (!project) return reply(ack, { ok: false, error: failure.error });
+
+        const room = projectRoom(project.id);
+        const wasOnline = (await onlineUsers(io, room)).includes(user.id);
+        socket.join(room);
+        if (!wasOnline) socket.to(room).emit('presence', { projectId: project.id, userId: user.id, online: true });
+
+        reply(ack, { ok: true, online: await onlineUsers(io, room) });
+      } catch (error) {
+        console.error('Socket join-project error:', error);
+        reply(ack, { ok: false, error: 'Failed to join project' });
+      }
+    });
+
+    socket.on('leave-project', async (projectId) => {
+      const room = projectRoom(projectId);
+      if (!socket.rooms.has(room)) return;
+      socket.leave(room);
+      if (!(await onlineUsers(io, room)).includes(user.id)) {
+        io.to(room).emit('presence', { projectId, userId: user.id, online: false });
+      }
+    });
+
+    socket.on('typing', ({ projectId, isTyping } = {}) => {
+      const room = projectRoom(projectId);
+      if (!socket.rooms.has(room)) return;
+      socket.to(room).emit('typing', { projectId, userId: user.id, username: user.username, isTyping: Boolean(isTyping) });
+    });
+
+    socket.on('send-message', async (data = {}, ack) => {
+      try {
+        const content = typeof data.content === 'string' ? data.content.trim() : '';
+        if (content.length > 5000) return reply(ack, { ok: false, error: 'Message is too long' });
+
+        const result = await messageService.send({
+          senderId: user.id,
+          projectId: String(data.projectId),
+          receiverId: String(data.receiverId),
+          content,
+          parentId: data.parentId,
+          attachmentIds: Array.isArray(data.attachmentIds) ? data.attachmentIds.map(String) : []
+        });
+        if (result.error) return reply(ack, { ok: false, error: result.error });
+
+        broadcastMessage(io, result.message);
+        notificationEvents.messageReceived(result.message);
+        reply(ack, { ok: true, message: result.message });
+      } catch (error) {
+        console.error('Socket send-message error:', error);
+        reply(ack, { ok: false, error: 'Failed to send message' });
+      }
+    });
+
+    socket.on('mark-read', async ({ messageIds } = {}, ack) => {
+      try {
+        if (!Array.isArray(messageIds) || messageIds.length === 0) {
+          return reply(ack, { ok: false, error: 'messageIds is required' });
+        }
+
+        const { read, readAt } = await messageService.markRead({ userId: user.id, messageIds: messageIds.map(String) });
+        const projectIds = new Set(read.map(m => m.projectId));
+        for (const projectId of projectIds) {
+          const ids = read.filter(m => m.projectId === projectId).map(m => m.id);
+          io.to(projectRoom(projectId)).emit('messages-read', { userId: user.id, messageIds: ids, readAt });
+        }
+        reply(ack, { ok: true, read: read.map(m => m.id), readAt });
+      } catch (error) {
+        console.error('Socket mark-read error:', error);
+        reply(ack, { ok: false, error: 'Failed to mark messages as read' });
+      }
+    });
+
+    // Rooms are already left by the time 'disconnect' fires
+    socket.on('disconnecting', () => {
+      const rooms = [...socket.rooms].filter(r => r.startsWith('project-'));
+      setImmediate(async () => {
+        try {
+          for (const room of rooms) {
+            if (!(await onlineUsers(io, room)).includes(user.id)) {
+              io.to(room).emit('presence', { projectId: room.slice('project-'.length), userId: user.id, online: false });
+            }
+          }
+        } catch (error) {
+          console.error('Socket presence error:', error);
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  register,
+  broadcastMessage,
+  emitToUser,
+  disconnectSessions,
+  projectRoom,
+  userRoom,
+};
@@ -34,7 +34,16 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data: any) => api.post('/auth/register', data),
   login: (data: any) => api.post('/auth/login', data),
-  connectWallet: (walletAddress: string) => api.post('/auth/connect-wallet', { walletAddress }),
+  refresh: (refreshToken: string) => api.post('/auth/refresh', { refreshToken }),
+  logout: (allDevices?: boolean) => api.post('/auth/logout', { allDevices }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id: string) => api.delete(`/auth/sessions/${id}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  walletChallenge: (walletAddress: string, chainId?: number) => api.post('/auth/wallet/challenge', { walletAddress, chainId }),
+  connectWallet: (message: string, signature: string, primary?: boolean) => api.post('/auth/connect-wallet', { message, signature, primary }),
+  getWallets: () => api.get('/auth/wallets'),
+  setPrimaryWallet: (address: string) => api.put(`/auth/wallets/${address}/primary`),
+  disconnectWallet: (address: string) => api.delete(`/auth/wallets/${address}`),
   getMe: () => api.get('/auth/me'),
 };
 
@@ -45,14 +54,46 @@ export const projectsAPI = {
   create: (data: any) => api.post('/projects', data),
   update: (id: string, data: any) => api.put(`/projects/${id}`, data),
   delete: (id: string) => api.delete(`/projects/${id}`),
+  getTransitions: (id: string) => api.get(`/projects/${id}/transitions`),
+  submit: (id: string, reason?: string) => api.post(`/projects/${id}/submit`, { reason }),
+  requestChanges: (id: string, reason: string) => api.post(`/projects/${id}/request-changes`, { reason }),
+  complete: (id: string, reason?: string) => api.post(`/projects/${id}/complete`, { reason }),
+  cancel: (id: string, reason?: string) => api.post(`/projects/${id}/cancel`, { reason }),
+};
+
+// Saved searches API
+export const savedSearchesAPI = {
+  getAll: () => api.get('/saved-searches'),
+  create: (data: any) => api.post('/saved-searches', data),
+  update: (id: string, data: any) => api.patch(`/saved-searches/${id}`, data),
+  delete: (id: string) => api.delete(`/saved-searches/${id}`),
+  getResults: (id: string, params?: { page?: number; limit?: number }) => api.get(`/saved-searches/${id}/results`, { params }),
+};
+
+// Milestones API
+export const milestonesAPI = {
+  getByProject: (projectId: string) => api.get(`/projects/${projectId}/milestones`),
+  define: (projectId: string, milestones: any[]) => api.put(`/projects/${projectId}/milestones`, { milestones }),
+  submit: (projectId: string, id: string, note?: string) => api.post(`/projects/${projectId}/milestones/${id}/submit`, { note }),
+  approve: (projectId: string, id: string) => api.post(`/projects/${projectId}/milestones/${id}/approve`),
+  reject: (projectId: string, id: string, feedback: string) => api.post(`/projects/${projectId}/milestones/${id}/reject`, { feedback }),
+  pay: (projectId: string, id: string, transactionHash?: string) => api.post(`/projects/${projectId}/milestones/${id}/pay`, { transactionHash }),
 };
 
 // Proposals API
 export const proposalsAPI = {
   create: (data: any) => api.post('/proposals', data),
-  getByProject: (projectId: string) => api.get(`/proposals/project/${projectId}`),
+  getByProject: (projectId: string, params?: { shortlisted?: boolean; status?: string }) => api.get(`/proposals/project/${projectId}`, { params }),
   accept: (id: string) => api.post(`/proposals/${id}/accept`),
   reject: (id: string) => api.post(`/proposals/${id}/reject`),
+  update: (id: string, data: any) => api.patch(`/proposals/${id}`, data),
+  withdraw: (id: string) => api.post(`/proposals/${id}/withdraw`),
+  getHistory: (id: string) => api.get(`/proposals/${id}/history`),
+  shortlist: (id: string) => api.post(`/proposals/${id}/shortlist`),
+  unshortlist: (id: string) => api.delete(`/proposals/${id}/shortlist`),
+  counterOffer: (id: string, data: { bidAmount?: number; deliveryTime?: number; message?: string }) => api.post(`/proposals/${id}/counter-offers`, data),
+  acceptCounterOffer: (id: string, offerId: string) => api.post(`/proposals/${id}/counter-offers/${offerId}/accept`),
+  declineCounterOffer: (id: string, offerId: string) => api.post(`/proposals/${id}/counter-offers/${offerId}/decline`),
   getMy: () => api.get('/proposals/my-proposals'),
 };
 
@@ -63,10 +104,31 @@ export const usersAPI = {
   updateProfile: (data: any) => api.put('/users/profile', data),
 };
 
+// Reviews API
+export const reviewsAPI = {
+  create: (data: any) => api.post('/reviews', data),
+  update: (id: string, data: any) => api.put(`/reviews/${id}`, data),
+  respond: (id: string, response: string) => api.put(`/reviews/${id}/response`, { response }),
+  getByProject: (projectId: string) => api.get(`/reviews/project/${projectId}`),
+  getByUser: (userId: string, params?: { role?: 'CLIENT' | 'FREELANCER'; rating?: number; page?: number; limit?: number }) => api.get(`/reviews/user/${userId}`, { params }),
+  getStats: (userId: string) => api.get(`/reviews/user/${userId}/stats`),
+};
+
 // Messages API
 export const messagesAPI = {
   send: (data: any) => api.post('/messages', data),
-  getByProject: (projectId: string, params?: any) => api.get(`/messages/project/${projectId}`, { params }),
+  getByProject: (projectId: string, params?: { cursor?: string; limit?: number }) => api.get(`/messages/project/${projectId}`, { params }),
+  getThread: (messageId: string, params?: { cursor?: string; limit?: number }) => api.get(`/messages/${messageId}/thread`, { params }),
+  getHistory: (messageId: string) => api.get(`/messages/${messageId}/history`),
+  edit: (messageId: string, content: string) => api.patch(`/messages/${messageId}`, { content }),
+  delete: (messageId: string) => api.delete(`/messages/${messageId}`),
+  markRead: (messageIds: string[]) => api.patch('/messages/read', { messageIds }),
+  uploadAttachment: (projectId: string, file: File) => {
+    const form = new FormData();
+    form.append('projectId', projectId);
+    form.append('file', file);
+    return api.post('/messages/attachments', form, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
   getUnreadCount: () => api.get('/messages/unread-count'),
   getConversations: () => api.get('/messages/conversations'),
 };
@@ -77,12 +139,32 @@ export const contractsAPI = {
   submitProposal: (data: any) => api.post('/contracts/submit-proposal', data),
   acceptProposal: (data: any) => api.post('/contracts/accept-proposal', data),
   completeProject: (data: any) => api.post('/contracts/complete-project', data),
+  confirmTransaction: (hash: string, data: any) => api.post(`/contracts/tx/${hash}/confirm`, data),
   getProject: (blockchainId: string) => api.get(`/contracts/project/${blockchainId}`),
 };
 
 // Disputes API
 export const disputesAPI = {
   analyze: (projectId: string) => api.post('/disputes/analyze', { projectId }),
+  open: (projectId: string, reason: string) => api.post('/disputes', { projectId, reason }),
+  getById: (id: string) => api.get(`/disputes/${id}`),
+  getByProject: (projectId: string) => api.get(`/disputes/project/${projectId}`),
+  submitEvidence: (id: string, data: any) => api.post(`/disputes/${id}/evidence`, data),
+  runAnalysis: (id: string) => api.post(`/disputes/${id}/analyze`),
+  getAnalyses: (id: string) => api.get(`/disputes/${id}/analyses`),
+  previewSettlement: (id: string, settlement?: any) => api.post(`/disputes/${id}/settlement/preview`, settlement ? { settlement } : {}),
+  escalate: (id: string, transactionHash: string) => api.post(`/disputes/${id}/escalate`, { transactionHash }),
+  withdraw: (id: string) => api.post(`/disputes/${id}/withdraw`),
+  resolve: (id: string, data: any) => api.post(`/disputes/${id}/resolve`, data),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params?: { cursor?: string; limit?: number; unread?: boolean }) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (ids?: string[]) => api.patch('/notifications/read', ids ? { ids } : {}),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (data: any) => api.put('/notifications/preferences', data),
 };
 
 export default api;
\ No newline at end of file